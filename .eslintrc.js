@@ -5,6 +5,10 @@ module.exports = {
     "browser": true,
     "es6": true
   },
+  "globals": {
+    "BigInt": false,
+    "TextDecoder": false
+  },
   "parserOptions": {
     "ecmaVersion": 2018,
     "sourceType": "module"
@@ -1,21 +1,15 @@
-const udgerParser = require('../')('test/db/udgerdb_v3_test.dat');
+const udger = require('../');
+const udgerParser = udger('test/db/udgerdb_v3_test.dat');
 const http = require('http');
 
 var app = require('connect')();
 
 http.createServer(app).listen(8082, '127.0.0.1');
 
-app.use(function (req, res, next) {
-
-    udgerParser.set({
-        ua:req.headers['user-agent'],
-        ip:req.headers['x-forwarded-for'] || req.connection.remoteAddress
-    });
-
-    const result = udgerParser.parse();
+// req.udger is the parse() result, static files are not parsed
+app.use(udger.middleware.connect(udgerParser, { skip: /^\/static\// }));
 
+app.use(function (req, res) {
     res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify(result, null, 4));
-
-    next();
+    res.end(JSON.stringify(req.udger, null, 4));
 });
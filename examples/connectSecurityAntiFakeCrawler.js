@@ -1,23 +1,31 @@
-const udgerParser = require('../')('test/db/udgerdb_v3_test.dat');
+const udger = require('../');
+const udgerParser = udger('test/db/udgerdb_v3_test.dat');
 const http = require('http');
 
 var app = require('connect')();
 
 http.createServer(app).listen(8082, '127.0.0.1');
 
-app.use(function (req, res) {
+app.use(udger.middleware.connect(udgerParser));
 
-    udgerParser.set({
-        ua:req.headers['user-agent'],
-        ip:req.headers['x-forwarded-for'] || req.connection.remoteAddress
-    });
+const policy = udger.createPolicy({
+    rules: [
+        'deny if ip.classification in [fake_crawler, known_attack_source]',
+        'allow if crawler.category == search_engine_bot',
+        'challenge if datacenter and ua.class == browser'
+    ],
+    default: 'allow'
+});
 
-    const result = udgerParser.parse();
+app.use(function (req, res) {
+    const verdict = policy.evaluate(req.udger);
 
-    if (result['ip_address']['ip_classification_code'] === 'fake_crawler') {
-        res.status(403);
-        res.end('Sorry, you are not allowed');
+    if (verdict.action === 'deny') {
+        res.statusCode = 403;
+        res.end('Sorry, you are not allowed (' + verdict.rule.name + ')');
         return;
+    } else if (verdict.action === 'challenge') {
+        res.end('Please prove you are a human');
     } else {
         res.end('Welcome !');
     }
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const csv = require('./csv');
+
+// %h %l %u %t "%r" %>s %b "%{Referer}i" "%{User-Agent}i", the combined format of Apache and Nginx
+const COMBINED = /^(\S+) (\S+) (\S+) \[([^\]]+)\] "((?:[^"\\]|\\.)*)" (\d{3}|-) (\d+|-) "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)"/;
+
+// values of the same UA or IP are parsed once, until this number of distinct values
+const MEMO_SIZE = 10000;
+
+const DIMENSIONS = [
+    'ua_class_code',
+    'browser_family',
+    'browser_version',
+    'os_family',
+    'device_class',
+    'crawler_family',
+    'crawler_category',
+    'ip_classification_code',
+    'datacenter'
+];
+
+/**
+ * Unescape a quoted field of a log line
+ * @param {String} str - field, without the quotes
+ * @return {String} unescaped field
+ */
+function unescape(str) {
+    return str.replace(/\\(x[0-9a-fA-F]{2}|.)/g, (m, c) => {
+        if (c.length === 3) return String.fromCharCode(parseInt(c.slice(1), 16));
+        return c;
+    });
+}
+
+/**
+ * Parse a combined log line
+ * @param {String} line - log line
+ * @return {Object|null} fields of the line, null if malformed
+ */
+function parseLine(line) {
+    const m = COMBINED.exec(line);
+    if (!m) return null;
+
+    return {
+        ip: m[1],
+        ident: m[2],
+        user: m[3],
+        time: m[4],
+        request: unescape(m[5]),
+        status: m[6] === '-' ? null : parseInt(m[6], 10),
+        bytes: m[7] === '-' ? 0 : parseInt(m[7], 10),
+        referer: unescape(m[8]),
+        ua: unescape(m[9])
+    };
+}
+
+/** Aggregate udger results of access log lines */
+class Analyzer {
+
+    /**
+     * @param {Object} parser - UdgerParser instance
+     */
+    constructor(parser) {
+        this.parser = parser;
+        this.lines = 0;
+        this.parsed = 0;
+        this.malformed = 0;
+        this.counters = {};
+        this.uaMemo = new Map();
+        this.ipMemo = new Map();
+
+        DIMENSIONS.forEach((d) => {
+            this.counters[d] = new Map();
+        });
+    }
+
+    count(dimension, value) {
+        const counter = this.counters[dimension];
+        value = value || 'unknown';
+        counter.set(value, (counter.get(value) || 0) + 1);
+    }
+
+    memo(map, key, fn) {
+        let ret = map.get(key);
+        if (ret === undefined) {
+            if (map.size >= MEMO_SIZE) map.clear();
+            ret = fn(key);
+            map.set(key, ret);
+        }
+        return ret;
+    }
+
+    /**
+     * Parse a log line and count its udger values
+     * @param {String} line - combined log line
+     * @return {Boolean} false if the line is malformed
+     */
+    add(line) {
+        if (!line) return true;
+
+        this.lines++;
+
+        const fields = parseLine(line);
+        if (!fields) {
+            this.malformed++;
+            return false;
+        }
+
+        this.parsed++;
+
+        const ua = this.memo(this.uaMemo, fields.ua === '-' ? '' : fields.ua, (v) => this.parser.parseUa(v).udger);
+        const ip = this.memo(this.ipMemo, fields.ip, (v) => this.parser.parseIp(v).udger);
+
+        this.count('ua_class_code', ua['ua_class_code']);
+
+        if (ua['ua_class_code'] === 'crawler') {
+            this.count('crawler_family', ua['ua_family']);
+            this.count('crawler_category', ua['crawler_category']);
+        } else {
+            if (ua['ua_family']) {
+                this.count('browser_family', ua['ua_family']);
+                this.count('browser_version', ua['ua_family'] + (ua['ua_version_major'] ? ' ' + ua['ua_version_major'] : ''));
+            }
+            this.count('os_family', ua['os_family']);
+            this.count('device_class', ua['device_class']);
+        }
+
+        this.count('ip_classification_code', ip['ip_classification_code']);
+        if (ip['datacenter_name']) this.count('datacenter', ip['datacenter_name']);
+
+        return true;
+    }
+
+    /**
+     * Build the report, values are sorted by count
+     * @param {Object} [opts] - options
+     * @param {Number} opts.top - keep only the top values of each dimension (default: all)
+     * @return {Object} lines counters and { value, count, share } lists by dimension
+     */
+    report(opts) {
+        opts = opts || {};
+
+        const ret = {
+            lines: this.lines,
+            parsed: this.parsed,
+            malformed: this.malformed,
+            dimensions: {}
+        };
+
+        DIMENSIONS.forEach((d) => {
+            const entries = Array.from(this.counters[d].entries());
+            const total = entries.reduce((sum, e) => sum + e[1], 0);
+
+            let list = entries
+                .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+                .map((e) => ({ value: e[0], count: e[1], share: e[1] / total }));
+
+            if (opts.top) list = list.slice(0, opts.top);
+            ret.dimensions[d] = list;
+        });
+
+        return ret;
+    }
+}
+
+/**
+ * Gunzip the stream if it starts with the gzip magic number
+ * @param {Object} input - readable stream
+ * @return {Promise} resolved with the (decompressed) readable stream
+ */
+function decode(input) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            input.removeListener('readable', onReadable);
+            input.removeListener('end', onEnd);
+            input.removeListener('error', reject);
+        };
+
+        const onReadable = () => {
+            const head = input.read();
+            if (head === null) return;
+
+            cleanup();
+            input.unshift(head);
+
+            if (head[0] === 0x1f && head[1] === 0x8b) {
+                const gunzip = zlib.createGunzip();
+                input.on('error', (err) => gunzip.emit('error', err));
+                resolve(input.pipe(gunzip));
+            } else {
+                resolve(input);
+            }
+        };
+
+        const onEnd = () => {
+            cleanup();
+            resolve(input);
+        };
+
+        input.on('readable', onReadable);
+        input.on('end', onEnd);
+        input.on('error', reject);
+    });
+}
+
+/**
+ * Analyze a combined log stream, plain or gzipped
+ * @param {Object} parser - UdgerParser instance
+ * @param {Object} input - readable stream
+ * @param {Analyzer} [analyzer] - analyzer to add the lines to, a new one by default
+ * @return {Promise} resolved with the analyzer
+ */
+function analyzeStream(parser, input, analyzer) {
+    analyzer = analyzer || new Analyzer(parser);
+
+    return decode(input).then((stream) => new Promise((resolve, reject) => {
+        const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+        stream.on('error', (err) => {
+            rl.close();
+            reject(err);
+        });
+        rl.on('line', (line) => analyzer.add(line));
+        rl.on('close', () => resolve(analyzer));
+    }));
+}
+
+/**
+ * Analyze combined log files, plain or gzipped
+ * @param {Object} parser - UdgerParser instance
+ * @param {Array|String} files - log file paths
+ * @param {Object} [opts] - options, see Analyzer.report()
+ * @return {Promise} resolved with the report of all the files
+ */
+function analyzeFiles(parser, files, opts) {
+    const analyzer = new Analyzer(parser);
+
+    return [].concat(files).reduce(
+        (p, file) => p.then(() => analyzeStream(parser, fs.createReadStream(file), analyzer)),
+        Promise.resolve()
+    ).then(() => analyzer.report(opts));
+}
+
+/**
+ * Format a report as text tables
+ * @param {Object} report - Analyzer.report() result
+ * @return {String} text
+ */
+function formatTable(report) {
+    const out = [
+        'lines: ' + report.lines + ', parsed: ' + report.parsed + ', malformed: ' + report.malformed
+    ];
+
+    Object.keys(report.dimensions).forEach((d) => {
+        const list = report.dimensions[d];
+        const width = list.reduce((w, e) => Math.max(w, e.value.length), d.length);
+
+        out.push('');
+        out.push(d.padEnd(width) + '  ' + 'count'.padStart(9) + '  ' + 'share'.padStart(7));
+        out.push('-'.repeat(width + 20));
+        list.forEach((e) => {
+            out.push(
+                e.value.padEnd(width) + '  ' +
+                String(e.count).padStart(9) + '  ' +
+                ((e.share * 100).toFixed(2) + '%').padStart(7)
+            );
+        });
+    });
+
+    return out.join('\n') + '\n';
+}
+
+/**
+ * Format a report as CSV, one record per dimension value
+ * @param {Object} report - Analyzer.report() result
+ * @return {String} CSV text with a header
+ */
+function formatCsv(report) {
+    const out = [csv.formatLine(['dimension', 'value', 'count', 'share'])];
+
+    Object.keys(report.dimensions).forEach((d) => {
+        report.dimensions[d].forEach((e) => {
+            out.push(csv.formatLine([d, e.value, e.count, e.share.toFixed(6)]));
+        });
+    });
+
+    return out.join('\n') + '\n';
+}
+
+module.exports = {
+    DIMENSIONS,
+    parseLine,
+    Analyzer,
+    analyzeStream,
+    analyzeFiles,
+    formatTable,
+    formatCsv
+};
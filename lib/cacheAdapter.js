@@ -0,0 +1,35 @@
+// Cache adapter contract
+//
+// An adapter is an object having these methods:
+//   get(key)        value stored for the key, undefined (or null) if missing or expired
+//   set(key, value) store a value, replacing the previous one
+//   delete(key)     remove a key
+//   clear()         remove all the keys
+// and optionally:
+//   async           true if the methods return promises, ie for a shared cache like Redis or Memcached
+//   stats()         statistics returned by getCacheStats()
+//   resize(max)     called by setCacheSize()
+//
+// Keys are strings, values are plain objects having only JSON types, an adapter can serialize them.
+// The parser never changes a value it got from get() or gave to set(). Adapter errors (exceptions or
+// rejected promises) are ignored by the parser: a failed get() is a miss, a failed set() is not stored.
+// LruCache is the default synchronous in-memory adapter, see test/lib/cacheAdapterConformance.js.
+
+const METHODS = ['get', 'set', 'delete', 'clear'];
+
+/**
+ * Check that an object implements the cache adapter contract
+ * @param {Object} adapter - cache adapter
+ * @return {Object} the adapter
+ */
+function checkAdapter(adapter) {
+    if (!adapter || METHODS.some((m) => typeof adapter[m] !== 'function')) {
+        throw new Error('Cache adapter must have ' + METHODS.join(', ') + ' methods');
+    }
+    return adapter;
+}
+
+module.exports = {
+    METHODS,
+    checkAdapter
+};
@@ -0,0 +1,341 @@
+// udger command line tool, see bin/udger.js
+
+const fs = require('fs');
+const net = require('net');
+const readline = require('readline');
+const pkg = require('../package.json');
+const accessLog = require('./accessLog');
+
+const BOOLEANS = ['help', 'version', 'stdin', 'compact', 'watch'];
+const ALIASES = { d: 'db', h: 'help', v: 'version', f: 'format', n: 'count' };
+const FORMATS = ['udger', 'json', 'full'];
+const REPORT_FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Usage: udger <command> [options]
+
+Commands:
+  parse --ua <ua> --ip <ip>     parse an User-Agent and/or an IP address
+  parse --stdin                 parse stdin line by line, a line is an IP address,
+                                an User-Agent or a JSON object { "ua", "ip" }
+  info                          database information
+  classes [client|crawler|ip]   client, crawler and IP classifications
+  random <crawlers|clients|ips> random User-Agents or IPs from the database
+  analyze [files...]            report of Apache/Nginx combined logs (plain or gzipped),
+                                stdin if no file or "-"
+  serve                         start the HTTP parsing service
+  build-snapshot [file]         compile the database into a snapshot file
+                                (default: <db>.snapshot)
+
+Options:
+  -d, --db <file>               udgerdb_v3.dat path (default: $UDGER_DB)
+  --engine <engine>             database engine: sqlite (default) or snapshot,
+                                --db is then a snapshot file
+  -f, --format <format>         parse result format: udger (default), json or full
+  -n, --count <n>               number of random records (default: 10)
+  --report <format>             analyze report format: table (default), json or csv
+  --top <n>                     analyze values by dimension (default: 10 for table, all otherwise)
+  --port <port>                 serve port (default: 8080)
+  --host <host>                 serve host (default: all interfaces)
+  --watch                       serve reloads the database when the file changes
+  --compact                     one line JSON output
+  -h, --help                    show this help
+  -v, --version                 show the version
+`;
+
+/**
+ * Minimal command line arguments parser
+ * @param {Array} argv - arguments, without node and script path
+ * @return {Object} positional arguments in _, options by name
+ */
+function parseArgs(argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            args._ = args._.concat(argv.slice(i + 1));
+            break;
+        }
+
+        const m = /^(?:--([^=]+)(?:=(.*))?|-(\w))$/.exec(arg);
+        if (!m) {
+            args._.push(arg);
+            continue;
+        }
+
+        const name = m[3] ? (ALIASES[m[3]] || m[3]) : m[1];
+
+        if (BOOLEANS.indexOf(name) !== -1) {
+            args[name] = true;
+        } else if (m[2] !== undefined) {
+            args[name] = m[2];
+        } else if (i + 1 < argv.length) {
+            args[name] = argv[++i];
+        } else {
+            throw new Error('Option --' + name + ' needs a value');
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Options for parse() from the --format option
+ * @param {String} format - udger, json or full
+ * @return {Object} parse() options
+ */
+function formatOptions(format) {
+    format = format || 'udger';
+    if (FORMATS.indexOf(format) === -1) {
+        throw new Error('Unknown format ' + format + ', expected ' + FORMATS.join(', '));
+    }
+    return { json: format !== 'udger', full: format === 'full' };
+}
+
+/**
+ * Input of parse() from a stdin line
+ * @param {String} line - IP address, User-Agent or JSON object
+ * @return {Object} { ua, ip } object
+ */
+function lineInput(line) {
+    if (line[0] === '{') {
+        const data = JSON.parse(line);
+        const input = {};
+        if (data.ua) input.ua = data.ua;
+        if (data.ip) input.ip = data.ip;
+        return input;
+    }
+    return net.isIP(line) ? { ip: line } : { ua: line };
+}
+
+const commands = {
+
+    parse(ctx) {
+        const opts = formatOptions(ctx.args.format);
+
+        if (!ctx.args.stdin) {
+            const input = {};
+            if (ctx.args.ua) input.ua = ctx.args.ua;
+            if (ctx.args.ip) input.ip = ctx.args.ip;
+
+            if (!input.ua && !input.ip) {
+                throw new Error('parse needs --ua and/or --ip, or --stdin');
+            }
+
+            ctx.print(ctx.parser().parse(input, opts));
+            return Promise.resolve(0);
+        }
+
+        const parser = ctx.parser();
+        let status = 0;
+
+        return new Promise((resolve, reject) => {
+            const rl = readline.createInterface({ input: ctx.stdin, crlfDelay: Infinity });
+
+            rl.on('line', (line) => {
+                line = line.trim();
+                if (!line) return;
+
+                try {
+                    ctx.stdout.write(JSON.stringify(parser.parse(lineInput(line), opts)) + '\n');
+                } catch (err) {
+                    ctx.stderr.write('udger: ' + err.message + ': ' + line + '\n');
+                    status = 1;
+                }
+            });
+            rl.on('close', () => resolve(status));
+            ctx.stdin.on('error', reject);
+        });
+    },
+
+    info(ctx) {
+        return ctx.parser().getDatabaseInfo().then((info) => {
+            ctx.print(info);
+            return 0;
+        });
+    },
+
+    classes(ctx) {
+        const parser = ctx.parser();
+        const helpers = {
+            client: () => parser.getUAClientsClassification(),
+            crawler: () => parser.getUACrawlersClassification(),
+            ip: () => parser.getIPsClassification()
+        };
+        const names = ctx.args._.length ? ctx.args._ : Object.keys(helpers);
+
+        names.forEach((name) => {
+            if (!helpers[name]) {
+                throw new Error('Unknown classification ' + name + ', expected ' + Object.keys(helpers).join(', '));
+            }
+        });
+
+        return Promise.all(names.map((name) => helpers[name]())).then((lists) => {
+            const ret = {};
+            names.forEach((name, i) => {
+                ret[name] = lists[i];
+            });
+            ctx.print(ret);
+            return 0;
+        });
+    },
+
+    random(ctx) {
+        const parser = ctx.parser();
+        const helpers = {
+            crawlers: (n) => parser.randomUACrawlers(n),
+            clients: (n) => parser.randomUAClients(n),
+            ips: (n) => parser.randomIPv4(n)
+        };
+        const name = ctx.args._[0];
+        const count = ctx.args.count === undefined ? 10 : parseInt(ctx.args.count, 10);
+
+        if (!helpers[name]) {
+            throw new Error('random needs one of ' + Object.keys(helpers).join(', '));
+        }
+
+        return helpers[name](count).then((list) => {
+            ctx.print(list);
+            return 0;
+        });
+    },
+
+    analyze(ctx) {
+        const format = ctx.args.report || 'table';
+        if (REPORT_FORMATS.indexOf(format) === -1) {
+            throw new Error('Unknown report format ' + format + ', expected ' + REPORT_FORMATS.join(', '));
+        }
+
+        const top = ctx.args.top === undefined ? (format === 'table' ? 10 : 0) : parseInt(ctx.args.top, 10);
+        const parser = ctx.parser();
+        const analyzer = new accessLog.Analyzer(parser);
+        const files = ctx.args._.length ? ctx.args._ : ['-'];
+
+        return files.reduce((p, file) => p.then(() => {
+            const input = file === '-' ? ctx.stdin : fs.createReadStream(file);
+            return accessLog.analyzeStream(parser, input, analyzer);
+        }), Promise.resolve()).then(() => {
+            const report = analyzer.report({ top });
+
+            if (format === 'json') {
+                ctx.print(report);
+            } else if (format === 'csv') {
+                ctx.stdout.write(accessLog.formatCsv(report));
+            } else {
+                ctx.stdout.write(accessLog.formatTable(report));
+            }
+            return 0;
+        });
+    },
+
+    serve(ctx) {
+        const port = ctx.args.port === undefined ? 8080 : parseInt(ctx.args.port, 10);
+
+        const parser = ctx.parser();
+
+        if (ctx.args.watch) {
+            parser.on('reload', (info) => ctx.stderr.write('udger: reloaded ' + info.file + ' (version ' + info.version + ')\n'));
+            parser.on('reloadError', (err) => ctx.stderr.write('udger: reload failed: ' + err.message + '\n'));
+        }
+
+        return require('./server').startServer({ parser, port, host: ctx.args.host, watch: ctx.args.watch }).then((server) => {
+            const address = server.address();
+            ctx.stderr.write('udger: listening on ' + address.address + ':' + address.port + '\n');
+
+            // keep the database opened until the server is closed
+            return new Promise((resolve) => server.on('close', () => resolve(0)));
+        });
+    },
+
+    'build-snapshot'(ctx) {
+        const file = ctx.dbFile();
+        const out = ctx.args._[0] || file + '.snapshot';
+        const ret = require('../').buildSnapshot(file, out);
+
+        ctx.stderr.write('udger: ' + ret.file + ' written, version ' + ret.version + ', ' +
+            ret.rows + ' rows, ' + ret.bytes + ' bytes\n');
+        return 0;
+    }
+};
+
+/**
+ * Run the command line tool
+ * @param {Array} argv - arguments, without node and script path
+ * @param {Object} [io] - { stdin, stdout, stderr, env }, process ones by default
+ * @return {Promise} resolved with the exit code
+ */
+function run(argv, io) {
+    io = io || {};
+
+    const ctx = {
+        stdin: io.stdin || process.stdin,
+        stdout: io.stdout || process.stdout,
+        stderr: io.stderr || process.stderr,
+        env: io.env || process.env
+    };
+
+    let udgerParser = null;
+
+    const fail = (err) => {
+        ctx.stderr.write('udger: ' + err.message + '\n');
+        return 1;
+    };
+
+    const done = (code) => {
+        if (udgerParser) udgerParser.disconnect();
+        return code;
+    };
+
+    try {
+        ctx.args = parseArgs(argv);
+    } catch (err) {
+        return Promise.resolve(fail(err));
+    }
+
+    ctx.print = (data) => {
+        ctx.stdout.write(JSON.stringify(data, null, ctx.args.compact ? 0 : 4) + '\n');
+    };
+
+    ctx.dbFile = () => {
+        const file = ctx.args.db || ctx.env.UDGER_DB;
+        if (!file) {
+            throw new Error('No database, use --db <file> or the UDGER_DB environment variable');
+        }
+        return file;
+    };
+
+    ctx.parser = () => {
+        if (!udgerParser) {
+            udgerParser = require('../')(ctx.dbFile(), { engine: ctx.args.engine });
+        }
+        return udgerParser;
+    };
+
+    if (ctx.args.version) {
+        ctx.stdout.write(pkg.version + '\n');
+        return Promise.resolve(0);
+    }
+
+    const name = ctx.args._.shift();
+
+    if (ctx.args.help || !name) {
+        ctx.stdout.write(USAGE);
+        return Promise.resolve(ctx.args.help ? 0 : 2);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commands, name)) {
+        ctx.stderr.write('udger: unknown command ' + name + '\n' + USAGE);
+        return Promise.resolve(2);
+    }
+
+    return new Promise((resolve) => resolve(commands[name](ctx)))
+        .catch(fail)
+        .then(done);
+}
+
+module.exports = {
+    run,
+    parseArgs,
+    commands
+};
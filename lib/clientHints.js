@@ -0,0 +1,256 @@
+const dotProp = require('dot-prop');
+
+// client hints headers used by parseUa(), in Accept-CH order
+const HEADERS = [
+    'Sec-CH-UA',
+    'Sec-CH-UA-Full-Version-List',
+    'Sec-CH-UA-Platform',
+    'Sec-CH-UA-Platform-Version',
+    'Sec-CH-UA-Model',
+    'Sec-CH-UA-Mobile'
+];
+
+// device classes not changed by Sec-CH-UA-Mobile: ?1
+const MOBILE_CLASSES = ['smartphone', 'tablet', 'wearable_computer'];
+
+/**
+ * Value of a structured header string ("value"), unquoted
+ * @param {String} str - header value
+ * @return {String} unquoted string
+ */
+function sfString(str) {
+    str = String(str).trim();
+    const m = /^"((?:[^"\\]|\\.)*)"/.exec(str);
+    return m ? m[1].replace(/\\(.)/g, '$1') : str;
+}
+
+/**
+ * Parse a brand list header (Sec-CH-UA, Sec-CH-UA-Full-Version-List)
+ * @param {String} str - header value, ie "Chromium";v="118", "Not=A?Brand";v="99"
+ * @return {Array} { brand, version } objects, GREASE brands excluded
+ */
+function parseBrands(str) {
+    const brands = [];
+    const re = /"((?:[^"\\]|\\.)*)"\s*;\s*v\s*=\s*"((?:[^"\\]|\\.)*)"/g;
+    let m;
+
+    while ((m = re.exec(String(str)))) {
+        const brand = m[1].replace(/\\(.)/g, '$1');
+        // GREASE brands: "Not=A?Brand", "Not_A Brand", " Not A;Brand"...
+        if (/^[^a-z]*not[^a-z]*a[^a-z]*brand/i.test(brand)) continue;
+        brands.push({ brand, version: m[2].replace(/\\(.)/g, '$1') });
+    }
+
+    return brands;
+}
+
+/**
+ * Read the client hints from request headers
+ * @param {Object} headers - headers, any case
+ * @return {Object} brands, fullVersionList, platform, platformVersion, model, mobile (undefined when missing)
+ */
+function parseHints(headers) {
+    const h = {};
+    Object.keys(headers || {}).forEach((key) => {
+        h[key.toLowerCase()] = headers[key];
+    });
+
+    const get = (name) => (h[name] === undefined || h[name] === null ? undefined : String(h[name]));
+    const ret = {};
+
+    if (get('sec-ch-ua') !== undefined) ret.brands = parseBrands(get('sec-ch-ua'));
+    if (get('sec-ch-ua-full-version-list') !== undefined) ret.fullVersionList = parseBrands(get('sec-ch-ua-full-version-list'));
+    if (get('sec-ch-ua-platform') !== undefined) ret.platform = sfString(get('sec-ch-ua-platform'));
+    if (get('sec-ch-ua-platform-version') !== undefined) ret.platformVersion = sfString(get('sec-ch-ua-platform-version'));
+    if (get('sec-ch-ua-model') !== undefined) ret.model = sfString(get('sec-ch-ua-model'));
+    if (get('sec-ch-ua-mobile') !== undefined) ret.mobile = get('sec-ch-ua-mobile').trim() === '?1';
+
+    return ret;
+}
+
+/**
+ * Key of the client hints for caches, other headers are ignored
+ * @param {Object} headers - headers, any case
+ * @return {String} key
+ */
+function hintsKey(headers) {
+    return JSON.stringify(parseHints(headers));
+}
+
+/**
+ * Value of the Accept-CH response header requesting the hints used by parseUa()
+ * @return {String} header value
+ */
+function getAcceptCH() {
+    return HEADERS.join(', ');
+}
+
+/**
+ * Udger OS names matching a platform, most precise first
+ * @param {String} platform - Sec-CH-UA-Platform
+ * @param {String} version - Sec-CH-UA-Platform-Version
+ * @return {Array} OS names
+ */
+function osNames(platform, version) {
+    const v = (version || '').split('.').map((n) => parseInt(n, 10) || 0);
+    // major.minor, the major only when the minor is missing
+    const short = v.slice(0, 2).join('.');
+
+    switch ((platform || '').toLowerCase()) {
+    case 'windows':
+        if (!version) return [];
+        // https://learn.microsoft.com/en-us/microsoft-edge/web-platform/how-to-detect-win11
+        if (v[0] >= 13) return ['Windows 11'];
+        if (v[0] > 0) return ['Windows 10'];
+        return [['Windows 7', 'Windows 8', 'Windows 8.1'][v[1] - 1]].filter(Boolean);
+    case 'android':
+        if (!version) return ['Android'];
+        return (v.length > 1 ? ['Android ' + short] : []).concat('Android ' + v[0], 'Android');
+    case 'macos':
+        if (!version) return [];
+        return v[0] >= 11 ? ['macOS ' + v[0]] : ['macOS ' + short, 'OS X ' + short];
+    case 'chrome os':
+    case 'chromium os':
+        return ['Chrome OS'];
+    case 'linux':
+        return ['Linux'];
+    default:
+        return [];
+    }
+}
+
+/**
+ * Set udger format fields and their JSON format paths
+ * @param {Object} rua - udger format result
+ * @param {Object} ruaJson - JSON format result
+ * @param {Array} fields - [udger field, value, full JSON path, compact JSON path] lists
+ * @param {Boolean} full - full JSON format
+ */
+function setFields(rua, ruaJson, fields, full) {
+    fields.forEach((f) => {
+        rua[f[0]] = f[1] || '';
+        const p = full ? f[2] : f[3];
+        if (!p) return;
+        if (f[1]) {
+            dotProp.set(ruaJson, p, f[1]);
+        } else {
+            dotProp.delete(ruaJson, p);
+        }
+    });
+}
+
+/**
+ * Refine a parseUa() result with client hints
+ * @param {Object} stmt - prepared statements of the parser (hintsOs, hintsDeviceclass, hintsDevicename)
+ * @param {Object} rua - udger format result
+ * @param {Object} ruaJson - JSON format result
+ * @param {Object} headers - request headers having the client hints
+ * @param {Object} opts - parse() options
+ */
+function applyHints(stmt, rua, ruaJson, headers, opts) {
+    const hints = parseHints(headers);
+    const full = !!opts.full;
+    const refined = [];
+    const refinedJson = [];
+
+    const mark = (field, path) => {
+        refined.push(field);
+        refinedJson.push(path);
+    };
+
+    // ua version, the frozen User-Agent has only the major version, Sec-CH-UA only has the major version too
+    const family = rua['ua_family'].toLowerCase();
+    const findBrand = (brands) => family && (brands || []).find((b) => {
+        const name = b.brand.toLowerCase();
+        return b.version && (name === family || name.endsWith(' ' + family));
+    });
+    const brand = findBrand(hints.fullVersionList);
+    const major = !brand && findBrand(hints.brands);
+
+    if (
+        (brand && brand.version !== rua['ua_version']) ||
+        (major && major.version.split('.')[0] !== rua['ua_version_major'])
+    ) {
+        const version = (brand || major).version;
+        setFields(rua, ruaJson, [
+            ['ua', rua['ua_family'] + ' ' + version, 'ua.name', 'ua.name'],
+            ['ua_version', version, 'ua.version.current'],
+            ['ua_version_major', version.split('.')[0], 'ua.version.major']
+        ], full);
+        mark('ua_version', 'ua.version');
+    }
+
+    // os, the frozen User-Agent has a fixed platform version
+    for (const name of osNames(hints.platform, hints.platformVersion)) {
+        const r = stmt.hintsOs.get(name, name + ' %');
+        if (!r) continue;
+
+        if (r['name_code'] !== rua['os_code']) {
+            setFields(rua, ruaJson, [
+                ['os', r['name'], 'os.name'],
+                ['os_code', r['name_code'], 'os.code', 'os.code'],
+                ['os_homepage', r['homepage'], 'os.homepage'],
+                ['os_icon', r['icon'], 'os.icon'],
+                ['os_icon_big', r['icon_big'], 'os.iconBig'],
+                ['os_info_url', 'https://udger.com/resources/ua-list/os-detail?os=' + r['name'], 'os.infoUrl'],
+                ['os_family', r['family'], 'os.family.name'],
+                ['os_family_code', r['family_code'], 'os.family.code', 'os.family'],
+                ['os_family_vendor', r['vendor'], 'os.family.vendor.name'],
+                ['os_family_vendor_code', r['vendor_code'], 'os.family.vendor.code'],
+                ['os_family_vendor_homepage', r['vendor_homepage'], 'os.family.vendor.homepage']
+            ], full);
+            mark('os', 'os');
+        }
+        break;
+    }
+
+    // device class
+    if (hints.mobile && MOBILE_CLASSES.indexOf(rua['device_class_code']) === -1) {
+        const r = stmt.hintsDeviceclass.get('smartphone');
+        if (r) {
+            setFields(rua, ruaJson, [
+                ['device_class', r['name'], 'device.class.name'],
+                ['device_class_code', r['name_code'], 'device.class.code', 'device.class'],
+                ['device_class_icon', r['icon'], 'device.class.icon'],
+                ['device_class_icon_big', r['icon_big'], 'device.class.iconBig'],
+                ['device_class_info_url', 'https://udger.com/resources/ua-list/device-detail?device=' + r['name'], 'device.class.infoUrl']
+            ], full);
+            mark('device_class', 'device.class');
+        }
+    }
+
+    // device model, the frozen User-Agent has none
+    if (hints.model) {
+        const r = stmt.hintsDevicename.get(hints.model);
+        const fields = [['device_marketname', r ? r['marketname'] : hints.model, 'device.marketName', 'device.marketName']];
+
+        if (r) {
+            fields.push(
+                ['device_brand', r['brand'], 'device.brand.name', 'device.brand.name'],
+                ['device_brand_code', r['brand_code'], 'device.brand.code', 'device.brand.code'],
+                ['device_brand_homepage', r['brand_url'], 'device.brand.homepage', 'device.brand.homepage'],
+                ['device_brand_icon', r['icon'], 'device.brand.icon', 'device.brand.icon'],
+                ['device_brand_icon_big', r['icon_big'], 'device.brand.iconBig', 'device.brand.iconBig'],
+                ['device_brand_info_url', 'https://udger.com/resources/ua-list/devices-brand-detail?brand=' + r['brand_code'], 'device.brand.infoUrl', 'device.brand.infoUrl']
+            );
+        }
+
+        if (fields[0][1] !== rua['device_marketname']) {
+            setFields(rua, ruaJson, fields, full);
+            mark('device_marketname', 'device.marketName');
+        }
+    }
+
+    rua['client_hints'] = refined;
+    ruaJson.clientHints = refinedJson;
+}
+
+module.exports = {
+    HEADERS,
+    parseBrands,
+    parseHints,
+    hintsKey,
+    getAcceptCH,
+    osNames,
+    applyHints
+};
@@ -0,0 +1,180 @@
+const net = require('net');
+const Address4 = require('ip-address').Address4;
+const Address6 = require('ip-address').Address6;
+
+// named ranges usable in the trustedProxies list
+const RANGES = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    linklocal: ['169.254.0.0/16', 'fe80::/10'],
+    uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+// single value headers set by CDNs and reverse proxies, used when there's no forwarding chain
+const CLIENT_HEADERS = ['cf-connecting-ip', 'true-client-ip', 'fastly-client-ip', 'x-client-ip', 'x-real-ip'];
+
+/**
+ * Normalize an IP address: IPv4-mapped IPv6 as IPv4, no zone index, no brackets, no port
+ * @param {String} ip - IP address, possibly with a port
+ * @return {String|null} IP address, null if invalid
+ */
+function normalizeIp(ip) {
+    if (typeof ip !== 'string') return null;
+
+    ip = ip.trim();
+
+    let m = /^\[([^\]]+)\](?::\d+)?$/.exec(ip);
+    if (m) {
+        ip = m[1];
+    } else if ((m = /^(\d+\.\d+\.\d+\.\d+):\d+$/.exec(ip))) {
+        ip = m[1];
+    }
+
+    ip = ip.replace(/%.*$/, '').toLowerCase();
+
+    if ((m = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(ip))) ip = m[1];
+
+    return net.isIP(ip) ? ip : null;
+}
+
+/**
+ * Remote address of the request socket
+ * @param {Object} req - http.IncomingMessage
+ * @return {String|null} normalized IP address
+ */
+function remoteAddress(req) {
+    const socket = req.socket || req.connection;
+    return normalizeIp(socket && socket.remoteAddress);
+}
+
+/**
+ * Compile the trusted proxies list
+ * @param {Array|String|Function} list - CIDRs, IPs, 'loopback', 'linklocal', 'uniquelocal', or function(ip)
+ * @return {Function} (ip) => true if the address is a trusted proxy
+ */
+function compileTrust(list) {
+    if (typeof list === 'function') return list;
+    if (!list) return () => false;
+
+    const v4 = [];
+    const v6 = [];
+
+    const add = (entry) => {
+        if (RANGES[entry]) {
+            RANGES[entry].forEach(add);
+            return;
+        }
+
+        const parts = String(entry).split('/');
+        const ip = normalizeIp(parts[0]);
+        if (!ip || parts.length > 2 || (parts.length === 2 && !/^\d+$/.test(parts[1]))) {
+            throw new Error('Invalid trusted proxy ' + entry);
+        }
+
+        const cidr = ip + (parts.length === 2 ? '/' + parts[1] : '');
+        const address = net.isIPv4(ip) ? new Address4(cidr) : new Address6(cidr);
+        if (!address.isValid()) {
+            throw new Error('Invalid trusted proxy ' + entry);
+        }
+
+        (net.isIPv4(ip) ? v4 : v6).push(address);
+    };
+
+    [].concat(list).forEach(add);
+
+    return (ip) => {
+        if (net.isIPv4(ip)) {
+            const address = new Address4(ip);
+            return v4.some((range) => address.isInSubnet(range));
+        }
+        const address = new Address6(ip);
+        return v6.some((range) => address.isInSubnet(range));
+    };
+}
+
+/**
+ * Client addresses of the RFC 7239 Forwarded header, from the client to the last proxy
+ * @param {String} header - Forwarded header value
+ * @return {Array} addresses, null for unknown or obfuscated ones
+ */
+function parseForwarded(header) {
+    const hops = [];
+
+    header.split(',').forEach((element) => {
+        element.split(';').forEach((pair) => {
+            const i = pair.indexOf('=');
+            if (i === -1 || pair.slice(0, i).trim().toLowerCase() !== 'for') return;
+
+            let value = pair.slice(i + 1).trim();
+            if (value[0] === '"') value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+            hops.push(normalizeIp(value));
+        });
+    });
+
+    return hops;
+}
+
+/**
+ * Create a client IP resolver, see resolveClientIp()
+ * @param {Object} [opts] - options, see resolveClientIp()
+ * @return {Function} (req) => client IP address
+ */
+function createClientIpResolver(opts) {
+    opts = opts || {};
+
+    const isTrusted = compileTrust(opts.trustedProxies);
+
+    return (req) => {
+        const remote = remoteAddress(req);
+        if (!remote || !isTrusted(remote)) return remote;
+
+        const headers = req.headers || {};
+        let hops = null;
+
+        if (headers['forwarded']) {
+            hops = parseForwarded([].concat(headers['forwarded']).join(','));
+        } else if (headers['x-forwarded-for']) {
+            hops = [].concat(headers['x-forwarded-for']).join(',').split(',').map(normalizeIp);
+        }
+
+        if (hops && hops.length) {
+            // from the nearest proxy to the client, the first untrusted hop is the client
+            for (let i = hops.length - 1; i >= 0; i--) {
+                if (!hops[i]) return null;
+                if (!isTrusted(hops[i])) return hops[i];
+            }
+            return hops[0];
+        }
+
+        for (const name of CLIENT_HEADERS) {
+            const ip = headers[name] && normalizeIp(String(headers[name]).split(',')[0]);
+            if (ip) return ip;
+        }
+
+        return remote;
+    };
+}
+
+/**
+ * Client IP address of a request
+ *
+ * Forwarding headers are read only if the socket address is a trusted proxy,
+ * the X-Forwarded-For or Forwarded chain is read from the nearest proxy and the
+ * first untrusted hop is returned. Without a chain, CDN headers (CF-Connecting-IP,
+ * True-Client-IP, Fastly-Client-IP, X-Client-IP) and X-Real-IP are used.
+ * @param {Object} req - http.IncomingMessage
+ * @param {Object} [opts] - options
+ * @param {Array|String|Function} opts.trustedProxies - CIDRs, IPs, 'loopback', 'linklocal', 'uniquelocal', or function(ip)
+ * @return {String|null} IP address, null if the client hop is unknown or obfuscated
+ */
+function resolveClientIp(req, opts) {
+    return createClientIpResolver(opts)(req);
+}
+
+module.exports = {
+    normalizeIp,
+    remoteAddress,
+    compileTrust,
+    parseForwarded,
+    createClientIpResolver,
+    resolveClientIp
+};
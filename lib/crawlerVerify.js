@@ -0,0 +1,165 @@
+const dns = require('dns');
+const net = require('net');
+const util = require('util');
+const Address6 = require('ip-address').Address6;
+const LruCache = require('./lru').LruCache;
+
+// reverse DNS domains of the crawlers, by udger crawler family code
+const CRAWLER_DOMAINS = {
+    googlebot: ['googlebot.com', 'google.com', 'googleusercontent.com'],
+    bingbot: ['search.msn.com'],
+    yandexbot: ['yandex.ru', 'yandex.net', 'yandex.com'],
+    baiduspider: ['baidu.com', 'baidu.jp'],
+    applebot: ['applebot.apple.com'],
+    seznambot: ['seznam.cz']
+};
+
+// DNS answers meaning the record does not exist, other errors are not a verdict
+const NOT_FOUND = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN'];
+
+const defaultResolver = {
+    reverse: util.promisify(dns.reverse),
+    resolve4: util.promisify(dns.resolve4),
+    resolve6: util.promisify(dns.resolve6)
+};
+
+/**
+ * Canonical form of an IP address, to compare the forward lookup answers
+ * @param {String} ip - IPv4 or IPv6 address
+ * @return {String} address
+ */
+function canonicalIp(ip) {
+    return net.isIPv6(ip) ? new Address6(ip).correctForm() : ip;
+}
+
+/**
+ * Check if a hostname is a domain or a subdomain of the list
+ * @param {String} hostname - reverse DNS hostname
+ * @param {Array} domains - domains
+ * @return {Boolean} true if it matches
+ */
+function matchDomain(hostname, domains) {
+    hostname = hostname.toLowerCase().replace(/\.$/, '');
+    return domains.some((d) => hostname === d || hostname.endsWith('.' + d));
+}
+
+/** Forward-confirmed reverse DNS verification of crawler IPs, with a cache of the verdicts */
+class CrawlerVerifier {
+
+    /**
+     * @param {Object} [opts] - options
+     * @param {Object} opts.resolver - { reverse, resolve4, resolve6 } returning promises (default: dns module)
+     * @param {Object} opts.domains - reverse DNS domains by crawler family code, added to CRAWLER_DOMAINS
+     * @param {Number} opts.ttl - verdicts lifetime in milliseconds, 0 for no expiration (default: 1 hour)
+     * @param {Number} opts.cacheSize - maximum number of cached verdicts, 0 for no cache (default: 10000)
+     * @param {Number} opts.timeout - timeout of each DNS query in milliseconds (default: 5000)
+     */
+    constructor(opts) {
+        opts = opts || {};
+
+        this.resolver = opts.resolver || defaultResolver;
+        this.domains = Object.assign({}, CRAWLER_DOMAINS, opts.domains);
+        this.timeout = opts.timeout || 5000;
+        this.cache = new LruCache({
+            max: opts.cacheSize === undefined ? 10000 : opts.cacheSize,
+            ttl: opts.ttl === undefined ? 3600 * 1000 : opts.ttl
+        });
+    }
+
+    /**
+     * Run a DNS query with the timeout
+     * @param {String} method - resolver method
+     * @param {String} name - IP address or hostname
+     * @return {Promise} resolved with the answers
+     */
+    query(method, name) {
+        let timer;
+        return Promise.race([
+            Promise.resolve().then(() => this.resolver[method](name)),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    const err = new Error(method + ' ' + name + ' timed out');
+                    err.code = 'ETIMEOUT';
+                    reject(err);
+                }, this.timeout);
+            })
+        ]).then((ret) => {
+            clearTimeout(timer);
+            return ret || [];
+        }, (err) => {
+            clearTimeout(timer);
+            if (NOT_FOUND.indexOf(err.code) !== -1) return [];
+            throw err;
+        });
+    }
+
+    /**
+     * Verify a crawler IP without the cache
+     * @param {String} family - udger crawler family code
+     * @param {String} ip - IP address
+     * @return {Promise} resolved with { status, hostname }
+     */
+    lookup(family, ip) {
+        const domains = this.domains[family];
+        if (!domains || !domains.length) {
+            return Promise.resolve({ status: 'unknown', hostname: '' });
+        }
+
+        const address = canonicalIp(ip);
+
+        return this.query('reverse', ip).then((hostnames) => {
+            const matching = hostnames.filter((h) => matchDomain(h, domains));
+            if (!matching.length) {
+                return { status: 'failed', hostname: hostnames[0] || '' };
+            }
+
+            // the first hostname resolving back to the IP wins
+            return matching.reduce((p, hostname) => p.then((found) => {
+                if (found) return found;
+                return this.query(net.isIPv6(ip) ? 'resolve6' : 'resolve4', hostname).then((ips) => {
+                    return ips.map(canonicalIp).indexOf(address) !== -1 ? hostname : null;
+                });
+            }), Promise.resolve(null)).then((hostname) => {
+                return hostname ?
+                    { status: 'verified', hostname } :
+                    { status: 'failed', hostname: matching[0] };
+            });
+        });
+    }
+
+    /**
+     * Verify a crawler IP, verdicts are cached, DNS errors are not
+     * @param {String} family - udger crawler family code
+     * @param {String} ip - IP address
+     * @return {Promise} resolved with { status, hostname }, status is verified, failed or unknown (no domains
+     * for the family), rejected on DNS errors
+     */
+    verify(family, ip) {
+        const key = family + ' ' + ip;
+        const cached = this.cache.get(key);
+
+        if (cached) return cached;
+
+        // concurrent verifications of the same IP share the DNS queries
+        const promise = this.lookup(family, ip);
+        this.cache.set(key, promise);
+
+        promise.catch(() => {
+            if (this.cache.peek(key) === promise) this.cache.delete(key);
+        });
+
+        return promise;
+    }
+
+    /**
+     * Remove the cached verdicts
+     */
+    clear() {
+        this.cache.clear();
+    }
+}
+
+module.exports = {
+    CRAWLER_DOMAINS,
+    CrawlerVerifier
+};
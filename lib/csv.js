@@ -0,0 +1,109 @@
+// minimal RFC 4180 CSV reading and writing, used by the enrich stream and the CLI
+
+/**
+ * Follow the quoted fields of a CSV record read line by line, a quote opens a quoted field
+ * only at the start of a field (RFC 4180), a stray quote elsewhere is left to parseLine()
+ * @param {String} str - line of a CSV record
+ * @param {String} [delimiter] - field delimiter, default ","
+ * @param {Boolean} [quoted] - the line starts inside a quoted field (a line break of the previous line)
+ * @return {Boolean} true if the line ends inside a quoted field, the record goes on with the next line
+ */
+function inQuotes(str, delimiter, quoted) {
+    delimiter = delimiter || ',';
+
+    let fieldStart = !quoted;
+
+    for (let i = 0; i < str.length; i++) {
+        if (quoted) {
+            if (str[i] !== '"') continue;
+            if (str[i + 1] === '"') {
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (fieldStart && str[i] === '"') {
+            quoted = true;
+            fieldStart = false;
+        } else if (str.startsWith(delimiter, i)) {
+            fieldStart = true;
+            i += delimiter.length - 1;
+        } else {
+            fieldStart = false;
+        }
+    }
+
+    return !!quoted;
+}
+
+/**
+ * Split a CSV record into fields
+ * @param {String} str - CSV record
+ * @param {String} [delimiter] - field delimiter, default ","
+ * @return {Array} fields
+ */
+function parseLine(str, delimiter) {
+    delimiter = delimiter || ',';
+
+    const fields = [];
+    let i = 0;
+
+    for (;;) {
+        let field = '';
+
+        if (str[i] === '"') {
+            i++;
+            for (;;) {
+                const end = str.indexOf('"', i);
+                if (end === -1) {
+                    throw new Error('Unclosed quote');
+                }
+                field += str.slice(i, end);
+                i = end + 1;
+                if (str[i] !== '"') break;
+                field += '"';
+                i++;
+            }
+            if (i < str.length && !str.startsWith(delimiter, i)) {
+                throw new Error('Unexpected character after a quoted field at position ' + i);
+            }
+        } else {
+            let end = str.indexOf(delimiter, i);
+            if (end === -1) end = str.length;
+            field = str.slice(i, end);
+            if (field.indexOf('"') !== -1) {
+                throw new Error('Unexpected quote in an unquoted field at position ' + i);
+            }
+            i = end;
+        }
+
+        fields.push(field);
+
+        if (i >= str.length) return fields;
+        i += delimiter.length;
+    }
+}
+
+/**
+ * Build a CSV record
+ * @param {Array} fields - values, null and undefined are empty fields
+ * @param {String} [delimiter] - field delimiter, default ","
+ * @return {String} CSV record, without line break
+ */
+function formatLine(fields, delimiter) {
+    delimiter = delimiter || ',';
+
+    return fields.map((value) => {
+        if (value === null || value === undefined) return '';
+        const str = String(value);
+        if (str.indexOf('"') !== -1 || str.indexOf(delimiter) !== -1 || /[\r\n]/.test(str)) {
+            return '"' + str.replace(/"/g, '""') + '"';
+        }
+        return str;
+    }).join(delimiter);
+}
+
+module.exports = {
+    inQuotes,
+    parseLine,
+    formatLine
+};
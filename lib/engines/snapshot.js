@@ -0,0 +1,544 @@
+// Snapshot engine, the udger tables compiled into one file and searched in memory
+//
+// A snapshot is a text file of JSON lines: a header line { format, formatVersion, version, lastUpdate, created },
+// then for each table a line { table, columns, rows } followed by its rows, one JSON array per line.
+// The first column, _rowid, keeps the SQLite row order. The loader builds hash maps on the searched columns,
+// the statements return the same rows as the SQLite ones.
+
+const schema = require('../schema');
+
+const FORMAT = 'udger-snapshot';
+const FORMAT_VERSION = 1;
+
+// lines are decoded by chunks of this size
+const CHUNK = 4 * 1024 * 1024;
+
+const SQLITE_MAGIC = 'SQLite format 3';
+
+/**
+ * Columns of a row, null when the row or the column is missing (LEFT JOIN)
+ * @param {Object} row - table row or null
+ * @param {Array} columns - column names
+ * @param {Object} [to] - object to fill
+ * @return {Object} selected columns
+ */
+function pick(row, columns, to) {
+    to = to || {};
+    columns.forEach((c) => {
+        to[c] = row && row[c] !== undefined ? row[c] : null;
+    });
+    return to;
+}
+
+/**
+ * SQLite ordering of two values, NULL first, then numbers, then strings
+ * @param {*} a - value
+ * @param {*} b - value
+ * @return {Number} -1, 0 or 1
+ */
+function compare(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+    if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Stable sort, as ORDER BY on rows read in rowid order
+ * @param {Array} rows - rows
+ * @param {Function} key - row => value to sort on
+ * @return {Array} sorted copy
+ */
+function sortBy(rows, key) {
+    return rows
+        .map((row, i) => ({ row, i, k: key(row) }))
+        .sort((a, b) => compare(a.k, b.k) || a.i - b.i)
+        .map((e) => e.row);
+}
+
+/**
+ * Random rows, as ORDER BY RANDOM() LIMIT n
+ * @param {Array} rows - rows
+ * @param {Number} limit - maximum number of rows, negative for all
+ * @return {Array} rows
+ */
+function sample(rows, limit) {
+    const ret = rows.slice();
+    for (let i = ret.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        const tmp = ret[i];
+        ret[i] = ret[j];
+        ret[j] = tmp;
+    }
+    return limit < 0 ? ret : ret.slice(0, limit);
+}
+
+/**
+ * Lower case of the ASCII letters only, as SQLite LIKE
+ * @param {String} str - string
+ * @return {String} string
+ */
+function asciiLower(str) {
+    return str.replace(/[A-Z]+/g, (m) => m.toLowerCase());
+}
+
+/**
+ * SQLite LIKE matcher
+ * @param {String} pattern - LIKE pattern, % and _ wildcards, without escape character
+ * @return {Function} value => Boolean
+ */
+function like(pattern) {
+    const re = new RegExp('^' + asciiLower(String(pattern))
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/%/g, '[\\s\\S]*')
+        .replace(/_/g, '[\\s\\S]') + '$');
+    return (value) => value !== null && value !== undefined && re.test(asciiLower(String(value)));
+}
+
+/**
+ * First row by key, rows with a NULL key are never found (as with =)
+ * @param {Array} rows - rows in rowid order
+ * @param {Function} key - row => key
+ * @return {Map} row by key
+ */
+function uniqueIndex(rows, key) {
+    const map = new Map();
+    rows.forEach((row) => {
+        const k = key(row);
+        if (k !== null && k !== undefined && !map.has(k)) map.set(k, row);
+    });
+    return map;
+}
+
+/**
+ * Rows by key, in rowid order
+ * @param {Array} rows - rows in rowid order
+ * @param {Function} key - row => key
+ * @return {Map} rows by key
+ */
+function groupIndex(rows, key) {
+    const map = new Map();
+    rows.forEach((row) => {
+        const k = key(row);
+        if (k === null || k === undefined) return;
+        if (!map.has(k)) map.set(k, []);
+        map.get(k).push(row);
+    });
+    return map;
+}
+
+/**
+ * Call a function for each non empty line of an UTF-8 buffer
+ * @param {Uint8Array} bytes - file content
+ * @param {Function} fn - (line, number), number counts the non empty lines
+ */
+function forEachLine(bytes, fn) {
+    const Decoder = typeof TextDecoder === 'function' ? TextDecoder : require('util').TextDecoder;
+    const decoder = new Decoder('utf-8', { fatal: true });
+    let start = 0;
+    let n = 0;
+
+    while (start < bytes.length) {
+        let end = bytes.length;
+
+        if (start + CHUNK < bytes.length) {
+            end = bytes.lastIndexOf(10, start + CHUNK) + 1;
+            // a line longer than a chunk
+            if (end <= start) {
+                end = bytes.indexOf(10, start + CHUNK);
+                end = end === -1 ? bytes.length : end + 1;
+            }
+        }
+
+        decoder.decode(bytes.subarray(start, end)).split('\n').forEach((line) => {
+            if (line) fn(line, ++n);
+        });
+        start = end;
+    }
+}
+
+/** Udger tables loaded in memory, with the indexes used by the statements */
+class Snapshot {
+
+    /**
+     * @param {Object} tables - { columns, rows } by table name, rows are arrays in rowid order
+     * @param {Object} header - snapshot header
+     * @param {String} file - snapshot file, for the error messages
+     */
+    constructor(tables, header, file) {
+        this.file = file;
+        this.header = header;
+        this.open = true;
+        this.tables = {};
+
+        Object.keys(tables).forEach((name) => {
+            const columns = tables[name].columns;
+            this.tables[name] = tables[name].rows.map((values) => {
+                const row = {};
+                columns.forEach((c, i) => {
+                    row[c] = values[i];
+                });
+                return row;
+            });
+        });
+
+        this.info = schema.readInfo(this.tables['udger_db_info'][0], file);
+        this.index();
+    }
+
+    /**
+     * Build the hash maps
+     */
+    index() {
+        const t = this.tables;
+        const byId = (row) => row.id;
+
+        this.indexes = {
+            crawlerByUa: uniqueIndex(t['udger_crawler_list'], (r) => r['ua_string']),
+            crawlerById: uniqueIndex(t['udger_crawler_list'], byId),
+            crawlerClassById: uniqueIndex(t['udger_crawler_class'], byId),
+            clientById: uniqueIndex(t['udger_client_list'], byId),
+            clientClassById: uniqueIndex(t['udger_client_class'], byId),
+            osById: uniqueIndex(t['udger_os_list'], byId),
+            osRelationsByClient: groupIndex(t['udger_client_os_relation'], (r) => r['client_id']),
+            deviceclassById: uniqueIndex(t['udger_deviceclass_list'], byId),
+            deviceclassesByCode: groupIndex(t['udger_deviceclass_list'], (r) => r['name_code']),
+            devicenamesByRegex: groupIndex(t['udger_devicename_list'], (r) => {
+                return r['regex_id'] === null || r['code'] === null ? null : r['regex_id'] + '\n' + r['code'];
+            }),
+            devicenamesByCode: groupIndex(t['udger_devicename_list'], (r) => r['code']),
+            brandById: uniqueIndex(t['udger_devicename_brand'], byId),
+            ipsByIp: groupIndex(t['udger_ip_list'], (r) => r['ip']),
+            ipClassById: uniqueIndex(t['udger_ip_class'], byId),
+            datacenterById: uniqueIndex(t['udger_datacenter_list'], byId)
+        };
+    }
+
+    /**
+     * Drop the tables
+     */
+    close() {
+        this.open = false;
+        this.tables = null;
+        this.indexes = null;
+    }
+}
+
+/**
+ * Statement with the better-sqlite3 interface
+ * @param {Function} all - (...params) => rows
+ * @return {Object} { all, get }
+ */
+function statement(all) {
+    return {
+        all,
+        get: (...params) => all(...params)[0]
+    };
+}
+
+const CRAWLER_COLUMNS = [
+    'name', 'ver', 'ver_major', 'last_seen', 'respect_robotstxt',
+    'family', 'family_code', 'family_homepage', 'family_icon',
+    'vendor', 'vendor_code', 'vendor_homepage'
+];
+const CRAWLER_CLASS_COLUMNS = ['crawler_classification', 'crawler_classification_code'];
+const HINTS_OS_COLUMNS = ['name', 'name_code', 'homepage', 'icon', 'icon_big', 'family', 'family_code', 'vendor', 'vendor_code', 'vendor_homepage'];
+const OS_COLUMNS = ['family', 'family_code', 'name', 'name_code', 'homepage', 'icon', 'icon_big', 'vendor', 'vendor_code', 'vendor_homepage'];
+const DEVICECLASS_COLUMNS = ['name', 'name_code', 'icon', 'icon_big'];
+const BRAND_COLUMNS = ['brand_code', 'brand', 'brand_url', 'icon', 'icon_big'];
+const DATACENTER_COLUMNS = ['name', 'name_code', 'homepage'];
+const RANGE6_COLUMNS = [0, 1, 2, 3, 4, 5, 6, 7].map((i) => 'iplong_from' + i).concat(
+    [0, 1, 2, 3, 4, 5, 6, 7].map((i) => 'iplong_to' + i)
+);
+const REGEX_COLUMNS = ['regstring', 'word_id', 'word2_id'];
+
+/**
+ * Statements of the SQLite engine, see lib/engines/sqlite.js for their SQL
+ * @param {Snapshot} snapshot - loaded snapshot
+ * @return {Object} { all, get } statements by name
+ */
+function prepare(snapshot) {
+    const t = snapshot.tables;
+    const idx = snapshot.indexes;
+
+    const devicenames = (rows) => (rows || []).reduce((ret, r) => {
+        const brand = idx.brandById.get(r['brand_id']);
+        if (brand) ret.push(pick(brand, BRAND_COLUMNS, { marketname: r['marketname'] }));
+        return ret;
+    }, []);
+
+    const ranges = (table, bounds) => t[table].reduce((ret, r) => {
+        const dc = idx.datacenterById.get(r['datacenter_id']);
+        if (dc) ret.push(pick(dc, DATACENTER_COLUMNS, pick(r, bounds)));
+        return ret;
+    }, []);
+
+    const regexes = (table, join) => sortBy(t[table], (r) => r['sequence']).reduce((ret, r) => {
+        const row = join(r);
+        if (row) ret.push(row);
+        return ret;
+    }, []);
+
+    const columns = (table, names) => statement(() => t[table].map((r) => pick(r, names)));
+
+    return {
+        crawler: statement((ua) => {
+            const c = idx.crawlerByUa.get(ua);
+            if (!c) return [];
+            const row = pick(c, CRAWLER_COLUMNS, { botid: c.id });
+            return [pick(idx.crawlerClassById.get(c['class_id']), CRAWLER_CLASS_COLUMNS, row)];
+        }),
+        clientOsRelation: statement((clientId) => (idx.osRelationsByClient.get(clientId) || []).reduce((ret, r) => {
+            const os = idx.osById.get(r['os_id']);
+            if (os) ret.push(pick(os, OS_COLUMNS, { 'os_id': r['os_id'] }));
+            return ret;
+        }, [])),
+        clientClassDevice: statement((id) => {
+            const cc = idx.clientClassById.get(id);
+            const dc = cc && idx.deviceclassById.get(cc['deviceclass_id']);
+            return dc ? [pick(dc, DEVICECLASS_COLUMNS, { 'deviceclass_id': cc['deviceclass_id'] })] : [];
+        }),
+        devicename: statement((regexId, code) => devicenames(idx.devicenamesByRegex.get(regexId + '\n' + code))),
+        hintsOs: statement((name, pattern) => {
+            const match = like(pattern);
+            const rows = t['udger_os_list'].filter((r) => (r.name !== null && r.name === name) || match(r.name));
+            return sortBy(rows, (r) => String(r.name).length).slice(0, 1).map((r) => pick(r, HINTS_OS_COLUMNS));
+        }),
+        hintsDeviceclass: statement((code) => (idx.deviceclassesByCode.get(code) || []).map((r) => pick(r, DEVICECLASS_COLUMNS))),
+        hintsDevicename: statement((code) => devicenames(idx.devicenamesByCode.get(code)).slice(0, 1)),
+        ip: statement((ip) => {
+            const rows = (idx.ipsByIp.get(ip) || []).reduce((ret, r) => {
+                const cls = idx.ipClassById.get(r['class_id']);
+                if (!cls) return ret;
+
+                const c = idx.crawlerById.get(r['crawler_id']);
+                const row = pick(r, ['ip_last_seen', 'ip_hostname', 'ip_country', 'ip_city', 'ip_country_code'], { botid: c ? c.id : null });
+                pick(cls, ['ip_classification', 'ip_classification_code'], row);
+                pick(c, CRAWLER_COLUMNS, row);
+                pick(c && idx.crawlerClassById.get(c['class_id']), CRAWLER_CLASS_COLUMNS, row);
+                ret.push({ row, sequence: cls.sequence });
+                return ret;
+            }, []);
+            return sortBy(rows, (r) => r.sequence).map((r) => r.row);
+        }),
+        datacenterRanges: statement(() => ranges('udger_datacenter_range', ['iplong_from', 'iplong_to'])),
+        datacenter6Ranges: statement(() => ranges('udger_datacenter_range6', RANGE6_COLUMNS)),
+
+        clientRegex: statement(() => regexes('udger_client_regex', (r) => {
+            const client = idx.clientById.get(r['client_id']);
+            const cls = client && idx.clientClassById.get(client['class_id']);
+            if (!cls) return null;
+
+            const row = pick(r, ['client_id'].concat(REGEX_COLUMNS), { id: r['_rowid'], 'class_id': client['class_id'] });
+            pick(client, [
+                'name', 'name_code', 'homepage', 'icon', 'icon_big', 'engine',
+                'vendor', 'vendor_code', 'vendor_homepage', 'uptodate_current_version'
+            ], row);
+            return pick(cls, ['client_classification', 'client_classification_code'], row);
+        })),
+        osRegex: statement(() => regexes('udger_os_regex', (r) => {
+            const os = idx.osById.get(r['os_id']);
+            return os ? pick(os, OS_COLUMNS, pick(r, ['os_id'].concat(REGEX_COLUMNS), { id: r['_rowid'] })) : null;
+        })),
+        deviceclassRegex: statement(() => regexes('udger_deviceclass_regex', (r) => {
+            const dc = idx.deviceclassById.get(r['deviceclass_id']);
+            return dc ? pick(dc, DEVICECLASS_COLUMNS, pick(r, ['deviceclass_id'].concat(REGEX_COLUMNS), { id: r['_rowid'] })) : null;
+        })),
+        devicenameRegex: statement(() => regexes('udger_devicename_regex', (r) => pick(r, ['id', 'os_family_code', 'os_code', 'regstring']))),
+        clientRegexWords: columns('udger_client_regex_words', ['id', 'word']),
+        osRegexWords: columns('udger_os_regex_words', ['id', 'word']),
+        deviceclassRegexWords: columns('udger_deviceclass_regex_words', ['id', 'word']),
+
+        randomCrawlers: statement((max) => sample(t['udger_crawler_list'], max).map((r) => pick(r, ['ua_string']))),
+        randomClientRegexes: statement((max) => sample(t['udger_client_regex'], max).map((r) => pick(r, ['regstring']))),
+        randomIPv4: statement((max) => {
+            const match = like('%.%.%.%');
+            return sample(t['udger_ip_list'].filter((r) => match(r.ip)), max).map((r) => pick(r, ['ip']));
+        }),
+        clientClasses: columns('udger_client_class', ['client_classification', 'client_classification_code']),
+        crawlerClasses: columns('udger_crawler_class', CRAWLER_CLASS_COLUMNS),
+        crawlerFamilies: statement(() => {
+            const seen = new Set();
+            const rows = [];
+            t['udger_crawler_list'].forEach((c) => {
+                if (c['family_code'] === null || c['family_code'] === '') return;
+                const row = pick(idx.crawlerClassById.get(c['class_id']), ['crawler_classification_code'], { 'family_code': c['family_code'] });
+                const key = JSON.stringify([row['family_code'], row['crawler_classification_code']]);
+                if (seen.has(key)) return;
+                seen.add(key);
+                rows.push(row);
+            });
+            return rows.sort((a, b) => compare(a['family_code'], b['family_code']) ||
+                compare(a['crawler_classification_code'], b['crawler_classification_code']));
+        }),
+        ipClasses: columns('udger_ip_class', ['ip_classification', 'ip_classification_code']),
+        dbInfo: statement(() => t['udger_db_info'].map((r) => {
+            const row = Object.assign({}, r);
+            delete row['_rowid'];
+            return row;
+        }))
+    };
+}
+
+/**
+ * Load a snapshot
+ * @param {Uint8Array} bytes - snapshot file content
+ * @param {String} [file] - snapshot file, for the error messages (default: 'snapshot')
+ * @return {Snapshot} snapshot, snapshot.info is { version, lastUpdate }
+ * @throws {CorruptDatabaseError|IncompatibleDatabaseError} if it's not an udger snapshot
+ */
+function load(bytes, file) {
+    file = file || 'snapshot';
+
+    const magic = String.fromCharCode.apply(null, Array.from(bytes.subarray(0, SQLITE_MAGIC.length)));
+    if (magic === SQLITE_MAGIC) {
+        throw new schema.IncompatibleDatabaseError(file + ' is a SQLite database, build a snapshot with udger build-snapshot', file);
+    }
+
+    let header = null;
+    let table = null;
+    const tables = {};
+
+    try {
+        forEachLine(bytes, (line, n) => {
+            if (!header) {
+                header = JSON.parse(line);
+                if (!header || header.format !== FORMAT) {
+                    throw new schema.IncompatibleDatabaseError(file + ' is not an udger snapshot', file);
+                }
+                if (header.formatVersion !== FORMAT_VERSION) {
+                    throw new schema.IncompatibleDatabaseError(
+                        file + ' is a version ' + header.formatVersion + ' snapshot, expected ' + FORMAT_VERSION + ', build it again', file
+                    );
+                }
+                return;
+            }
+
+            if (table && table.rows.length < table.count) {
+                const row = JSON.parse(line);
+                if (!Array.isArray(row) || row.length !== table.columns.length) {
+                    throw new Error('line ' + n + ' is not a ' + table.name + ' row');
+                }
+                table.rows.push(row);
+                return;
+            }
+
+            const t = JSON.parse(line);
+            if (!t || typeof t.table !== 'string' || !Array.isArray(t.columns) || !(t.rows >= 0)) {
+                throw new Error('line ' + n + ' is not a table header');
+            }
+            table = { name: t.table, columns: t.columns, count: t.rows, rows: [] };
+            tables[t.table] = table;
+        });
+
+        if (!header) throw new Error('empty file');
+        if (table && table.rows.length < table.count) throw new Error('truncated table ' + table.name);
+    } catch (err) {
+        if (err instanceof schema.UdgerDatabaseError) throw err;
+        throw new schema.CorruptDatabaseError(file + ' is not a readable udger snapshot: ' + err.message, file, err);
+    }
+
+    const columns = {};
+    Object.keys(tables).forEach((name) => {
+        columns[name] = tables[name].columns;
+    });
+    schema.checkTables(columns, file);
+
+    return new Snapshot(tables, header, file);
+}
+
+/**
+ * Open a snapshot file, or load snapshot bytes without filesystem access
+ * @param {String|ArrayBuffer|Uint8Array} file - snapshot file or content
+ * @return {Object} { db, info }, db is the Snapshot
+ */
+function open(file) {
+    let db;
+    if (typeof file === 'string') {
+        db = load(require('fs').readFileSync(file), file);
+    } else if (file instanceof ArrayBuffer) {
+        db = load(new Uint8Array(file));
+    } else if (file instanceof Uint8Array) {
+        db = load(file);
+    } else {
+        throw new Error('A snapshot is a file name, an ArrayBuffer or an Uint8Array');
+    }
+    return { db, info: db.info };
+}
+
+/**
+ * Compile an udger SQLite database into a snapshot file, written aside then renamed
+ * @param {Object} db - better-sqlite3 database, validated
+ * @param {Object} info - validateDatabase() result
+ * @param {String} file - snapshot file
+ * @return {Object} { file, version, tables, rows, bytes }
+ */
+function write(db, info, file) {
+    const fs = require('fs');
+    const tmp = file + '.' + process.pid + '.tmp';
+    const fd = fs.openSync(tmp, 'w');
+    const ret = { file, version: info.version, tables: 0, rows: 0, bytes: 0 };
+
+    let chunks = [];
+    let size = 0;
+
+    const flush = () => {
+        const buffer = Buffer.from(chunks.join(''));
+        fs.writeSync(fd, buffer);
+        ret.bytes += buffer.length;
+        chunks = [];
+        size = 0;
+    };
+
+    const line = (data) => {
+        const str = JSON.stringify(data) + '\n';
+        chunks.push(str);
+        size += str.length;
+        if (size >= CHUNK) flush();
+    };
+
+    try {
+        line({
+            format: FORMAT,
+            formatVersion: FORMAT_VERSION,
+            version: info.version,
+            lastUpdate: info.lastUpdate ? info.lastUpdate.getTime() / 1000 : null,
+            created: new Date().toISOString()
+        });
+
+        Object.keys(schema.SCHEMA).forEach((table) => {
+            const count = db.prepare('SELECT count(*) AS count FROM ' + table).get().count;
+            const stmt = db.prepare('SELECT rowid AS _rowid, * FROM ' + table + ' ORDER BY rowid');
+
+            line({ table, columns: stmt.columns().map((c) => c.name), rows: count });
+            for (const row of stmt.raw().iterate()) {
+                line(row);
+            }
+
+            ret.tables++;
+            ret.rows += count;
+        });
+
+        flush();
+        fs.closeSync(fd);
+    } catch (err) {
+        fs.closeSync(fd);
+        fs.unlinkSync(tmp);
+        throw err;
+    }
+
+    fs.renameSync(tmp, file);
+    return ret;
+}
+
+module.exports = {
+    FORMAT,
+    FORMAT_VERSION,
+    Snapshot,
+    forEachLine,
+    load,
+    open,
+    prepare,
+    write
+};
@@ -0,0 +1,163 @@
+// SQLite engine, the udgerdb_v3.dat file read with better-sqlite3
+
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const schema = require('../schema');
+
+// statements used by the parser and the helpers, the snapshot engine implements the same ones
+const STATEMENTS = {
+    crawler:
+        'SELECT ' +
+        'udger_crawler_list.id as botid,' +
+        'name, ver, ver_major, last_seen, respect_robotstxt,' +
+        'family, family_code, family_homepage, family_icon,' +
+        'vendor, vendor_code, vendor_homepage,' +
+        'crawler_classification, crawler_classification_code ' +
+        'FROM udger_crawler_list ' +
+        'LEFT JOIN udger_crawler_class ON udger_crawler_class.id=udger_crawler_list.class_id ' +
+        'WHERE ua_string=?',
+    clientOsRelation:
+        'SELECT os_id,family,family_code,name,name_code,homepage,icon,icon_big,vendor,vendor_code,vendor_homepage ' +
+        'FROM udger_client_os_relation ' +
+        'JOIN udger_os_list ON udger_os_list.id=udger_client_os_relation.os_id ' +
+        'WHERE client_id=?',
+    clientClassDevice:
+        'SELECT deviceclass_id,name,name_code,icon,icon_big ' +
+        'FROM udger_deviceclass_list ' +
+        'JOIN udger_client_class ON udger_client_class.deviceclass_id=udger_deviceclass_list.id ' +
+        'WHERE udger_client_class.id=?',
+    devicename:
+        'SELECT marketname,brand_code,brand,brand_url,icon,icon_big ' +
+        'FROM udger_devicename_list ' +
+        'JOIN udger_devicename_brand ON udger_devicename_brand.id=udger_devicename_list.brand_id ' +
+        'WHERE regex_id=? AND code=?',
+    hintsOs:
+        'SELECT name,name_code,homepage,icon,icon_big,family,family_code,vendor,vendor_code,vendor_homepage ' +
+        'FROM udger_os_list ' +
+        'WHERE name=? OR name LIKE ? ORDER BY length(name) LIMIT 1',
+    hintsDeviceclass:
+        'SELECT name,name_code,icon,icon_big FROM udger_deviceclass_list WHERE name_code=?',
+    hintsDevicename:
+        'SELECT marketname,brand_code,brand,brand_url,icon,icon_big ' +
+        'FROM udger_devicename_list ' +
+        'JOIN udger_devicename_brand ON udger_devicename_brand.id=udger_devicename_list.brand_id ' +
+        'WHERE code=? LIMIT 1',
+    ip:
+        'SELECT udger_crawler_list.id as botid, ip_last_seen, ip_hostname, ip_country, ip_city, ' +
+        'ip_country_code, ip_classification, ip_classification_code, name, ver, ver_major, last_seen, '+
+        'respect_robotstxt, family, family_code, family_homepage, family_icon, vendor, vendor_code, '+
+        'vendor_homepage, crawler_classification, crawler_classification_code '+
+        'FROM udger_ip_list '+
+        'JOIN udger_ip_class ON udger_ip_class.id=udger_ip_list.class_id '+
+        'LEFT JOIN udger_crawler_list ON udger_crawler_list.id=udger_ip_list.crawler_id '+
+        'LEFT JOIN udger_crawler_class ON udger_crawler_class.id=udger_crawler_list.class_id '+
+        'WHERE ip=? ORDER BY sequence',
+    // regexes and ranges compiled when the database is opened
+    datacenterRanges:
+        'SELECT iplong_from, iplong_to, name, name_code, homepage '+
+        'FROM udger_datacenter_range '+
+        'JOIN udger_datacenter_list ON udger_datacenter_range.datacenter_id=udger_datacenter_list.id '+
+        'ORDER BY udger_datacenter_range.rowid',
+    datacenter6Ranges:
+        'SELECT '+
+        'iplong_from0, iplong_from1, iplong_from2, iplong_from3, iplong_from4, iplong_from5, iplong_from6, iplong_from7, '+
+        'iplong_to0, iplong_to1, iplong_to2, iplong_to3, iplong_to4, iplong_to5, iplong_to6, iplong_to7, '+
+        'name, name_code, homepage '+
+        'FROM udger_datacenter_range6 '+
+        'JOIN udger_datacenter_list ON udger_datacenter_range6.datacenter_id=udger_datacenter_list.id '+
+        'ORDER BY udger_datacenter_range6.rowid',
+    clientRegex:
+        'SELECT udger_client_regex.rowid AS id,class_id,client_id,regstring,word_id,word2_id,name,name_code,homepage,icon,icon_big,engine,vendor,vendor_code,vendor_homepage,uptodate_current_version,client_classification,client_classification_code ' +
+        'FROM udger_client_regex ' +
+        'JOIN udger_client_list ON udger_client_list.id=udger_client_regex.client_id ' +
+        'JOIN udger_client_class ON udger_client_class.id=udger_client_list.class_id ' +
+        'ORDER BY sequence ASC',
+    osRegex:
+        'SELECT udger_os_regex.rowid AS id,os_id,regstring,word_id,word2_id,family,family_code,name,name_code,homepage,icon,icon_big,vendor,vendor_code,vendor_homepage ' +
+        'FROM udger_os_regex ' +
+        'JOIN udger_os_list ON udger_os_list.id=udger_os_regex.os_id ' +
+        'ORDER BY sequence ASC',
+    deviceclassRegex:
+        'SELECT udger_deviceclass_regex.rowid AS id,deviceclass_id,regstring,word_id,word2_id,name,name_code,icon,icon_big ' +
+        'FROM udger_deviceclass_regex ' +
+        'JOIN udger_deviceclass_list ON udger_deviceclass_list.id=udger_deviceclass_regex.deviceclass_id ' +
+        'ORDER BY sequence ASC',
+    devicenameRegex:
+        'SELECT id,os_family_code,os_code,regstring FROM udger_devicename_regex ORDER BY sequence',
+    clientRegexWords: 'SELECT id, word FROM udger_client_regex_words',
+    osRegexWords: 'SELECT id, word FROM udger_os_regex_words',
+    deviceclassRegexWords: 'SELECT id, word FROM udger_deviceclass_regex_words',
+
+    // helpers
+    randomCrawlers: 'SELECT ua_string FROM udger_crawler_list ORDER BY RANDOM() LIMIT ?',
+    randomClientRegexes: 'SELECT regstring FROM udger_client_regex ORDER BY RANDOM() LIMIT ?',
+    randomIPv4: 'SELECT ip FROM udger_ip_list WHERE ip LIKE \'%.%.%.%\' ORDER BY RANDOM() LIMIT ?',
+    clientClasses: 'SELECT client_classification, client_classification_code FROM udger_client_class',
+    crawlerClasses: 'SELECT crawler_classification, crawler_classification_code FROM udger_crawler_class',
+    crawlerFamilies:
+        'SELECT DISTINCT '+
+        'udger_crawler_list.family_code,'+
+        'udger_crawler_class.crawler_classification_code '+
+        'FROM udger_crawler_list '+
+        'LEFT JOIN udger_crawler_class ON udger_crawler_class.id=udger_crawler_list.class_id '+
+        'WHERE family_code != "" '+
+        'ORDER BY family_code, crawler_classification_code',
+    ipClasses: 'SELECT ip_classification, ip_classification_code FROM udger_ip_class',
+    dbInfo: 'SELECT * FROM udger_db_info'
+};
+
+/**
+ * Check if a file is a snapshot, to explain why it's not a SQLite database
+ * @param {String} file - file
+ * @return {Boolean} true if it starts as a snapshot header
+ */
+function isSnapshot(file) {
+    const buffer = Buffer.alloc(32);
+    const fd = fs.openSync(file, 'r');
+
+    try {
+        fs.readSync(fd, buffer, 0, buffer.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    return buffer.toString().indexOf('{"format":"udger-snapshot"') === 0;
+}
+
+/**
+ * Open an udger SQLite database and check its schema
+ * @param {String} file - full path to udgerdb_v3.dat
+ * @return {Object} { db, info }, db is the better-sqlite3 database, info the validateDatabase() result
+ */
+function open(file) {
+    const db = new Database(file, { readonly: true, fileMustExist: true });
+
+    try {
+        return { db, info: schema.validateDatabase(db, file) };
+    } catch (err) {
+        db.close();
+        if (err instanceof schema.CorruptDatabaseError && isSnapshot(file)) {
+            throw new schema.IncompatibleDatabaseError(file + ' is an udger snapshot, use the snapshot engine', file);
+        }
+        throw err;
+    }
+}
+
+/**
+ * Prepare the statements
+ * @param {Object} db - better-sqlite3 database
+ * @return {Object} better-sqlite3 statements by name, see STATEMENTS
+ */
+function prepare(db) {
+    const stmt = {};
+    Object.keys(STATEMENTS).forEach((name) => {
+        stmt[name] = db.prepare(STATEMENTS[name]);
+    });
+    return stmt;
+}
+
+module.exports = {
+    STATEMENTS,
+    open,
+    prepare
+};
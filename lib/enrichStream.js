@@ -0,0 +1,280 @@
+const Transform = require('stream').Transform;
+const StringDecoder = require('string_decoder').StringDecoder;
+const dotProp = require('dot-prop');
+const csv = require('./csv');
+
+const FORMATS = ['ndjson', 'csv'];
+
+// a quoted CSV field left open this long is a stray quote, its first line is skipped
+const MAX_RECORD_LINES = 100;
+
+/** Transform stream adding udger results to NDJSON or CSV records */
+class EnrichStream extends Transform {
+
+    /**
+     * @param {Object} parser - UdgerParser instance
+     * @param {Object} [options] - options, see createEnrichStream()
+     */
+    constructor(parser, options) {
+        options = options || {};
+
+        if (options.format && FORMATS.indexOf(options.format) === -1) {
+            throw new Error('Unknown format ' + options.format + ', expected ' + FORMATS.join(' or '));
+        }
+
+        super({ readableObjectMode: !!options.objectMode });
+
+        this.parser = parser;
+        this.format = options.format || 'ndjson';
+        this.uaField = options.uaField || 'ua';
+        this.ipField = options.ipField || 'ip';
+        this.target = options.target || 'udger';
+        this.delimiter = options.delimiter || ',';
+        this.columns = options.columns || null;
+        this.objectMode = !!options.objectMode;
+        this.opts = { json: !!options.json, full: !!options.full };
+
+        this.decoder = new StringDecoder('utf8');
+        this.buffer = '';
+        this.record = [];
+        this.quoted = false;
+        this.lineNumber = 0;
+        this.headerSent = false;
+        this.stats = { rows: 0, enriched: 0, errors: 0 };
+    }
+
+    /**
+     * Parse the User-Agent and the IP of a record
+     * @param {String} ua - User-Agent
+     * @param {String} ip - IP Address
+     * @return {Object} result, sections are present only for the given ua/ip
+     * @throws {Error} if the ua or the ip is not a string
+     */
+    enrich(ua, ip) {
+        const ret = {};
+
+        [[this.uaField, ua], [this.ipField, ip]].forEach((field) => {
+            if (field[1] !== undefined && field[1] !== null && typeof field[1] !== 'string') {
+                throw new Error('Field ' + field[0] + ' is not a string');
+            }
+        });
+
+        if (this.opts.json) {
+            if (ua) ret.userAgent = this.parser.parseUa(ua, this.opts).json;
+            if (ip) ret.ipAddress = this.parser.parseIp(ip, this.opts).json;
+        } else {
+            if (ua) ret['user_agent'] = this.parser.parseUa(ua, this.opts).udger;
+            if (ip) ret['ip_address'] = this.parser.parseIp(ip, this.opts).udger;
+        }
+
+        return ret;
+    }
+
+    skip(line, error) {
+        this.stats.errors++;
+        this.emit('skip', { line, lineNumber: this.lineNumber, error });
+    }
+
+    processNdjson(line) {
+        if (!line.trim()) return;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            this.skip(line, err);
+            return;
+        }
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            this.skip(line, new Error('Record is not an object'));
+            return;
+        }
+
+        const ua = dotProp.get(record, this.uaField);
+        const ip = dotProp.get(record, this.ipField);
+
+        if (ua || ip) {
+            try {
+                dotProp.set(record, this.target, this.enrich(ua, ip));
+            } catch (err) {
+                this.skip(line, err);
+                return;
+            }
+            this.stats.enriched++;
+        }
+
+        this.stats.rows++;
+        this.push(this.objectMode ? record : JSON.stringify(record) + '\n');
+    }
+
+    processCsv(line) {
+        if (!line.trim()) return;
+
+        let fields;
+        try {
+            fields = csv.parseLine(line, this.delimiter);
+        } catch (err) {
+            this.skip(line, err);
+            return;
+        }
+
+        if (!this.columns) {
+            // first record is the header
+            this.columns = fields;
+            return;
+        }
+
+        if (fields.length !== this.columns.length) {
+            this.skip(line, new Error('Expected ' + this.columns.length + ' fields, got ' + fields.length));
+            return;
+        }
+
+        const record = {};
+        this.columns.forEach((name, i) => {
+            record[name] = fields[i];
+        });
+
+        const ua = record[this.uaField];
+        const ip = record[this.ipField];
+        let result = null;
+
+        if (ua || ip) {
+            try {
+                result = this.enrich(ua, ip);
+            } catch (err) {
+                this.skip(line, err);
+                return;
+            }
+            this.stats.enriched++;
+        }
+
+        this.stats.rows++;
+
+        if (!this.objectMode && !this.headerSent) {
+            this.push(csv.formatLine(this.columns.concat(this.target), this.delimiter) + '\n');
+            this.headerSent = true;
+        }
+
+        if (this.objectMode) {
+            record[this.target] = result;
+            this.push(record);
+        } else {
+            this.push(csv.formatLine(fields.concat(result ? JSON.stringify(result) : ''), this.delimiter) + '\n');
+        }
+    }
+
+    processLine(line) {
+        this.lineNumber++;
+
+        if (line.endsWith('\r')) line = line.slice(0, -1);
+
+        if (this.format === 'csv') {
+            this.processCsv(line);
+        } else {
+            this.processNdjson(line);
+        }
+    }
+
+    /**
+     * Read CSV lines, a quoted field can contain line breaks so a record can have several lines
+     * @param {Array} lines - lines, without their line break
+     */
+    readCsv(lines) {
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i++];
+
+            this.record.push(line);
+            this.quoted = csv.inQuotes(line, this.delimiter, this.quoted);
+
+            if (!this.quoted) {
+                const record = this.record.join('\n');
+                this.record = [];
+                this.processLine(record);
+            } else if (this.record.length >= MAX_RECORD_LINES) {
+                lines = this.resync().concat(lines.slice(i));
+                i = 0;
+            }
+        }
+    }
+
+    /**
+     * Skip the first line of an unclosed CSV record
+     * @return {Array} the next lines of the record, to be read again
+     */
+    resync() {
+        const lines = this.record;
+
+        this.record = [];
+        this.quoted = false;
+        this.processLine(lines[0]);
+
+        return lines.slice(1);
+    }
+
+    readLines(lines) {
+        if (this.format === 'csv') {
+            this.readCsv(lines);
+        } else {
+            lines.forEach((line) => this.processLine(line));
+        }
+    }
+
+    _transform(chunk, encoding, callback) {
+        // only the new text is searched for line breaks
+        const lines = this.decoder.write(chunk).split('\n');
+        lines[0] = this.buffer + lines[0];
+        this.buffer = lines.pop();
+
+        try {
+            this.readLines(lines);
+        } catch (err) {
+            callback(err);
+            return;
+        }
+
+        callback();
+    }
+
+    _flush(callback) {
+        this.buffer += this.decoder.end();
+
+        try {
+            if (this.buffer) this.readLines([this.buffer]);
+            while (this.record.length) this.readCsv(this.resync());
+        } catch (err) {
+            callback(err);
+            return;
+        }
+
+        this.buffer = '';
+        callback();
+    }
+}
+
+/**
+ * Create a Transform stream enriching NDJSON or CSV records
+ *
+ * NDJSON fields are dot paths (ie "request.headers.user-agent"), CSV fields are column names,
+ * the CSV result is a JSON encoded column appended to each record
+ * @param {Object} parser - UdgerParser instance
+ * @param {Object} [options] - options
+ * @param {String} options.format - 'ndjson' (default) or 'csv'
+ * @param {String} options.uaField - User-Agent field (default: 'ua')
+ * @param {String} options.ipField - IP Address field (default: 'ip')
+ * @param {String} options.target - field receiving the result (default: 'udger')
+ * @param {Boolean} options.json - compact JSON format
+ * @param {Boolean} options.full - full JSON format (with options.json)
+ * @param {String} options.delimiter - CSV delimiter (default: ',')
+ * @param {Array} options.columns - CSV column names, the first record is the header if not set
+ * @param {Boolean} options.objectMode - push enriched objects instead of text lines
+ * @return {EnrichStream} Transform stream, malformed records are counted in stream.stats.errors
+ */
+function createEnrichStream(parser, options) {
+    return new EnrichStream(parser, options);
+}
+
+module.exports = createEnrichStream;
+module.exports.EnrichStream = EnrichStream;
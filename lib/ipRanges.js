@@ -0,0 +1,245 @@
+const Address6 = require('ip-address').Address6;
+const utils = require('../utils');
+
+/**
+ * Compare two IP addresses as integers, both Numbers or both BigInts
+ * @param {Number|BigInt} a - address
+ * @param {Number|BigInt} b - address
+ * @return {Number} -1, 0 or 1
+ */
+function compare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * 1 in the type of an address
+ * @param {Number|BigInt} ip - address
+ * @return {Number|BigInt} 1 or BigInt(1)
+ */
+function one(ip) {
+    return typeof ip === 'number' ? 1 : BigInt(1);
+}
+
+/**
+ * Order of precedence of overlapping ranges: the narrowest first, then the first one of the database
+ * @param {Object} a - range
+ * @param {Object} b - range
+ * @return {Number} < 0 if a wins
+ */
+function precedence(a, b) {
+    return compare(a.to - a.from, b.to - b.from) || a.order - b.order;
+}
+
+/**
+ * Minimal binary heap, the top is the lowest item for compare
+ */
+class Heap {
+
+    /**
+     * @param {Function} compare - (a, b) => Number
+     */
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    top() {
+        return this.items[0];
+    }
+
+    push(item) {
+        const items = this.items;
+        let i = items.push(item) - 1;
+
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[parent], items[i]) <= 0) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const last = items.pop();
+        if (!items.length) return;
+
+        items[0] = last;
+        let i = 0;
+
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let min = i;
+            if (left < items.length && this.compare(items[left], items[min]) < 0) min = left;
+            if (right < items.length && this.compare(items[right], items[min]) < 0) min = right;
+            if (min === i) break;
+            [items[min], items[i]] = [items[i], items[min]];
+            i = min;
+        }
+    }
+}
+
+/**
+ * IP ranges split into sorted non overlapping intervals, looked up by binary search
+ *
+ * Where ranges overlap the narrowest one wins, then the first one given (ie the first one of the database),
+ * so a range inside another one takes precedence over it and splits it in two intervals.
+ */
+class RangeIndex {
+
+    /**
+     * @param {Array} ranges - { from, to, value } ranges of IP addresses as integers, bounds included, Numbers
+     *                         for IPv4 and BigInts for IPv6, the ones without bounds or with from > to are ignored
+     */
+    constructor(ranges) {
+        const valid = [];
+        ranges.forEach((r, order) => {
+            if (r.from === null || r.to === null || r.from > r.to) return;
+            valid.push({ from: r.from, to: r.to, value: r.value, order });
+        });
+
+        // an interval starts at each range start and after each range end
+        const points = Array.from(new Set([].concat(
+            valid.map((r) => r.from),
+            valid.map((r) => r.to + one(r.to))
+        ))).sort(compare);
+        const byFrom = valid.slice().sort((a, b) => compare(a.from, b.from) || a.order - b.order);
+        const active = new Heap(precedence);
+
+        this.from = [];
+        this.to = [];
+        this.ranges = [];
+
+        let next = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            const point = points[i];
+
+            while (next < byFrom.length && byFrom[next].from <= point) active.push(byFrom[next++]);
+            while (active.top() && active.top().to < point) active.pop();
+
+            const range = active.top();
+            if (!range) continue;
+
+            // no range ends inside [point, points[i + 1] - 1]
+            const end = points[i + 1] - one(point);
+            const last = this.ranges.length - 1;
+            if (last >= 0 && this.ranges[last] === range && this.to[last] + one(point) === point) {
+                this.to[last] = end;
+            } else {
+                this.from.push(point);
+                this.to.push(end);
+                this.ranges.push(range);
+            }
+        }
+
+        // drop the order
+        this.ranges = this.ranges.map((r) => ({ from: r.from, to: r.to, value: r.value }));
+    }
+
+    /**
+     * Number of intervals
+     * @return {Number} intervals
+     */
+    get size() {
+        return this.from.length;
+    }
+
+    /**
+     * Range containing an IP address
+     * @param {Number|BigInt} ip - IP address as integer, of the type of the ranges
+     * @return {Object} { from, to, value } range winning at this address, null if none
+     */
+    find(ip) {
+        let lo = 0;
+        let hi = this.from.length;
+
+        // first interval starting after ip
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (this.from[mid] <= ip) lo = mid + 1;
+            else hi = mid;
+        }
+
+        return lo > 0 && ip <= this.to[lo - 1] ? this.ranges[lo - 1] : null;
+    }
+}
+
+/**
+ * Smallest list of CIDR blocks covering a range
+ * @param {Number|BigInt} from - first address as integer
+ * @param {Number|BigInt} to - last address as integer
+ * @param {Number} bits - 32 for IPv4, 128 for IPv6
+ * @return {Array} [address, prefix length] blocks
+ */
+function cidrBlocks(from, to, bits) {
+    const ret = [];
+    const zero = one(from) - one(from);
+    const two = one(from) + one(from);
+
+    while (from <= to) {
+        // largest block aligned on from and ending before to
+        let size = one(from);
+        let prefix = bits;
+        while (prefix > 0 && from % (size * two) === zero && from + size * two - one(from) <= to) {
+            size *= two;
+            prefix--;
+        }
+        ret.push([from, prefix]);
+        from += size;
+    }
+
+    return ret;
+}
+
+/**
+ * Smallest list of CIDR blocks covering an IPv4 range
+ * @param {Number} from - first address as integer
+ * @param {Number} to - last address as integer
+ * @return {Array} CIDR blocks, ie ['66.249.64.0/19']
+ */
+function ipv4Cidrs(from, to) {
+    return cidrBlocks(from, to, 32).map((b) => utils.long2ip(b[0]) + '/' + b[1]);
+}
+
+/**
+ * IPv6 address as integer
+ * @param {Array} groups - the eight 16 bits groups as Numbers
+ * @return {BigInt} address, null if a group is missing
+ */
+function ipv6ToBigInt(groups) {
+    let ret = BigInt(0);
+    for (let i = 0; i < 8; i++) {
+        if (groups[i] === null || groups[i] === undefined) return null;
+        ret = (ret << BigInt(16)) + BigInt(groups[i]);
+    }
+    return ret;
+}
+
+/**
+ * IPv6 address from an integer
+ * @param {BigInt} ip - address
+ * @return {String} address in its shortest form, ie 2001:41d0::
+ */
+function bigIntToIpv6(ip) {
+    const hex = ip.toString(16).padStart(32, '0');
+    return new Address6(hex.match(/.{4}/g).join(':')).correctForm();
+}
+
+/**
+ * Smallest list of CIDR blocks covering an IPv6 range
+ * @param {BigInt} from - first address as integer
+ * @param {BigInt} to - last address as integer
+ * @return {Array} CIDR blocks, ie ['2001:41d0::/32']
+ */
+function ipv6Cidrs(from, to) {
+    return cidrBlocks(from, to, 128).map((b) => bigIntToIpv6(b[0]) + '/' + b[1]);
+}
+
+module.exports = {
+    RangeIndex,
+    ipv4Cidrs,
+    ipv6ToBigInt,
+    bigIntToIpv6,
+    ipv6Cidrs
+};
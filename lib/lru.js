@@ -0,0 +1,164 @@
+/** Least recently used cache with an optional time to live, O(1) reads and writes */
+class LruCache {
+
+    /**
+     * @param {Object} [opts] - options
+     * @param {Number} opts.max - maximum number of entries (default: 4000)
+     * @param {Number} opts.ttl - entries lifetime in milliseconds, 0 for no expiration (default: 0)
+     */
+    constructor(opts) {
+        opts = opts || {};
+
+        this.max = opts.max === undefined ? 4000 : opts.max;
+        this.ttl = opts.ttl || 0;
+
+        // a Map iterates in insertion order, the first key is the least recently used
+        this.map = new Map();
+        this.resetStats();
+    }
+
+    /**
+     * Number of entries, expired ones included until they are read or evicted
+     * @return {Number} entries
+     */
+    get size() {
+        return this.map.size;
+    }
+
+    /**
+     * Read an entry and mark it as the most recently used
+     * @param {String} key - key
+     * @return {*} value, undefined if missing or expired
+     */
+    get(key) {
+        const entry = this.map.get(key);
+
+        if (!entry) {
+            this.misses++;
+            return undefined;
+        }
+
+        this.map.delete(key);
+
+        if (entry.expires && entry.expires <= Date.now()) {
+            this.expirations++;
+            this.misses++;
+            return undefined;
+        }
+
+        this.map.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Check if a key is in the cache, without changing its position nor the stats
+     * @param {String} key - key
+     * @return {Boolean} true if the entry exists and is not expired
+     */
+    has(key) {
+        const entry = this.map.get(key);
+        return !!entry && !(entry.expires && entry.expires <= Date.now());
+    }
+
+    /**
+     * Read an entry without changing its position nor the stats
+     * @param {String} key - key
+     * @return {*} value, undefined if missing or expired
+     */
+    peek(key) {
+        return this.has(key) ? this.map.get(key).value : undefined;
+    }
+
+    /**
+     * Write an entry, the least recently used ones are evicted when the cache is full
+     * @param {String} key - key
+     * @param {*} value - value
+     */
+    set(key, value) {
+        if (this.max <= 0) return;
+
+        this.map.delete(key);
+        this.map.set(key, { value, expires: this.ttl ? Date.now() + this.ttl : 0 });
+        this.trim();
+    }
+
+    /**
+     * Remove an entry
+     * @param {String} key - key
+     * @return {Boolean} true if the entry existed
+     */
+    delete(key) {
+        return this.map.delete(key);
+    }
+
+    /**
+     * Remove all the entries, the stats are kept
+     */
+    clear() {
+        this.map.clear();
+    }
+
+    /**
+     * Change the maximum number of entries
+     * @param {Number} max - maximum number of entries
+     */
+    resize(max) {
+        this.max = max;
+        this.trim();
+    }
+
+    /**
+     * Evict the least recently used entries above the maximum
+     */
+    trim() {
+        while (this.map.size > Math.max(this.max, 0)) {
+            this.map.delete(this.map.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    /**
+     * Cache statistics
+     * @return {Object} hits, misses, evictions, expirations, size, max, ttl
+     */
+    stats() {
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            expirations: this.expirations,
+            size: this.map.size,
+            max: this.max,
+            ttl: this.ttl
+        };
+    }
+
+    /**
+     * Reset the hits, misses, evictions and expirations counters
+     */
+    resetStats() {
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+        this.expirations = 0;
+    }
+}
+
+/**
+ * Freeze an object and its children
+ * @param {Object} obj - object
+ * @return {Object} the frozen object
+ */
+function deepFreeze(obj) {
+    if (obj && typeof obj === 'object' && !Object.isFrozen(obj)) {
+        Object.freeze(obj);
+        Object.keys(obj).forEach((key) => deepFreeze(obj[key]));
+    }
+    return obj;
+}
+
+module.exports = {
+    LruCache,
+    deepFreeze
+};
@@ -0,0 +1,149 @@
+const clientIp = require('./clientIp');
+
+const FORMATS = ['udger', 'json', 'full'];
+
+/**
+ * Build the skip test from the skip option
+ * @param {RegExp|String|Function|Array} skip - path pattern(s), path prefix(es) or function(req)
+ * @return {Function} (req, path) => true if the request must not be parsed
+ */
+function skipTest(skip) {
+    if (!skip) return () => false;
+
+    if (Array.isArray(skip)) {
+        const tests = skip.map(skipTest);
+        return (req, path) => tests.some((test) => test(req, path));
+    }
+    if (skip instanceof RegExp) return (req, path) => skip.test(path);
+    if (typeof skip === 'string') return (req, path) => path === skip || path.startsWith(skip.replace(/\/?$/, '/'));
+    if (typeof skip === 'function') return (req) => !!skip(req);
+
+    throw new Error('skip option must be a RegExp, a string, a function or an array of them');
+}
+
+/**
+ * Create the function parsing a request, shared by all the middlewares
+ * @param {Object} parser - UdgerParser instance
+ * @param {Object} [opts] - options, see connect()
+ * @return {Function} (req) => parse() result, undefined if the request is skipped
+ */
+function createRequestParser(parser, opts) {
+    opts = opts || {};
+
+    const format = opts.format || 'udger';
+    if (FORMATS.indexOf(format) === -1) {
+        throw new Error('Unknown format ' + format + ', expected ' + FORMATS.join(', '));
+    }
+
+    const parseOpts = { json: format !== 'udger', full: format === 'full' };
+    const skip = skipTest(opts.skip);
+    const getUa = opts.getUa || ((req) => req.headers['user-agent']);
+    const getIp = opts.getIp || clientIp.createClientIpResolver({ trustedProxies: opts.trustedProxies });
+
+    return (req) => {
+        const path = (req.originalUrl || req.url || '/').split('?')[0];
+        if (skip(req, path)) return undefined;
+
+        const input = {};
+        const ua = getUa(req);
+        const ip = getIp(req);
+        if (ua) input.ua = ua;
+        if (ip) input.ip = ip;
+        if (ua && opts.clientHints) input.hints = req.headers;
+
+        // parse({ ua, ip }) keeps nothing on the shared parser instance
+        return parser.parse(input, parseOpts);
+    };
+}
+
+/**
+ * Connect/Express middleware, the result is attached to req.udger
+ * @param {Object} parser - UdgerParser instance
+ * @param {Object} [opts] - options
+ * @param {String} opts.format - 'udger' (default), 'json' or 'full'
+ * @param {RegExp|String|Function|Array} opts.skip - paths not to parse: pattern, prefix or function(req)
+ * @param {Function} opts.getUa - function(req) returning the User-Agent (default: user-agent header)
+ * @param {Boolean} opts.clientHints - refine the result with the Sec-CH-UA headers, see getAcceptCH()
+ * @param {Array|String|Function} opts.trustedProxies - trusted proxies, see resolveClientIp()
+ * @param {Function} opts.getIp - function(req) returning the IP (default: resolveClientIp() with opts.trustedProxies)
+ * @param {String} opts.property - request property receiving the result (default: 'udger')
+ * @return {Function} (req, res, next) middleware
+ */
+function connect(parser, opts) {
+    const parse = createRequestParser(parser, opts);
+    const property = (opts && opts.property) || 'udger';
+
+    return (req, res, next) => {
+        // parsed once, even if the middleware is mounted several times
+        if (req[property] === undefined) {
+            try {
+                req[property] = parse(req);
+            } catch (err) {
+                next(err);
+                return;
+            }
+        }
+        next();
+    };
+}
+
+/**
+ * Koa middleware, the result is attached to ctx.state.udger
+ * @param {Object} parser - UdgerParser instance
+ * @param {Object} [opts] - options, see connect()
+ * @return {Function} async (ctx, next) middleware
+ */
+function koa(parser, opts) {
+    const parse = createRequestParser(parser, opts);
+    const property = (opts && opts.property) || 'udger';
+
+    return (ctx, next) => {
+        if (ctx.state[property] === undefined) {
+            ctx.state[property] = parse(ctx.req);
+        }
+        return next();
+    };
+}
+
+/**
+ * Fastify plugin, the result is attached to request.udger
+ *
+ * fastify.register(udger.middleware.fastify(parser, opts))
+ * @param {Object} parser - UdgerParser instance
+ * @param {Object} [opts] - options, see connect()
+ * @return {Function} (fastify, options, done) plugin
+ */
+function fastify(parser, opts) {
+    const parse = createRequestParser(parser, opts);
+    const property = (opts && opts.property) || 'udger';
+
+    const plugin = (instance, options, done) => {
+        instance.decorateRequest(property, null);
+        instance.addHook('onRequest', (request, reply, next) => {
+            if (!request[property]) {
+                try {
+                    request[property] = parse(request.raw || request.req);
+                } catch (err) {
+                    next(err);
+                    return;
+                }
+            }
+            next();
+        });
+        done();
+    };
+
+    // same as fastify-plugin, the hook applies outside of the plugin context
+    plugin[Symbol.for('skip-override')] = true;
+    plugin[Symbol.for('fastify.display-name')] = 'udger';
+
+    return plugin;
+}
+
+module.exports = {
+    createRequestParser,
+    connect,
+    express: connect,
+    koa,
+    fastify
+};
@@ -0,0 +1,1883 @@
+// UdgerParser class, shared by index.js and the pure javascript lite.js: no native module and no
+// filesystem access until the sqlite engine, a snapshot file or watch() is used
+
+const EventEmitter = require('events');
+const debug = require('debug')('udger-nodejs');
+const Address6 = require('ip-address').Address6;
+const Address4 = require('ip-address').Address4;
+const utils = require('../utils');
+const pcre = require('./pcre');
+const clientHints = require('./clientHints');
+const requestHeaders = require('./requestHeaders');
+const lru = require('./lru');
+const ipRanges = require('./ipRanges');
+const cacheAdapter = require('./cacheAdapter');
+const schema = require('./schema');
+const dotProp = require('dot-prop');
+const RandExp = require('randexp');
+const defaultResult = require('../defaultResult.json');
+
+// required on first use, the sqlite engine loads better-sqlite3 which may not be installed
+const engines = {
+    sqlite: () => {
+        try {
+            return require('./engines/sqlite');
+        } catch (err) {
+            if (err.code === 'MODULE_NOT_FOUND' && err.message.indexOf('better-sqlite3') !== -1) {
+                throw new Error('The sqlite engine needs better-sqlite3, install it or use the snapshot engine');
+            }
+            throw err;
+        }
+    },
+    snapshot: () => require('./engines/snapshot')
+};
+
+/**
+ * Lower case text of a regex which is part of any string it matches, \0 replacing
+ * what may not be matched as is: classes, escapes, alternatives, optional or repeated parts
+ * @param {String} regstring - regex in PHP format
+ * @return {String} text
+ */
+function requiredText(regstring) {
+    const source = regstring.replace(/^\//, '').replace(/\/[a-z]*$/i, '');
+    let i = 0;
+
+    const sequence = () => {
+        let text = '';
+        let alternative = false;
+
+        while (i < source.length && source[i] !== ')') {
+            const c = source[i++];
+            let part = '\0';
+
+            if (c === '|') {
+                alternative = true;
+                continue;
+            } else if (c === '\\') {
+                const escaped = source[i++] || '';
+                if (!/[a-z0-9]/i.test(escaped)) part = escaped;
+            } else if (c === '[') {
+                if (source[i] === '^') i++;
+                if (source[i] === ']') i++;
+                while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+                i++;
+            } else if (c === '(') {
+                // (?:...) is a group, lookarounds and named groups are ignored
+                const group = source[i] !== '?' || source[i + 1] === ':';
+                if (source[i] === '?' && source[i + 1] === ':') i += 2;
+                const groupText = sequence();
+                i++;
+                if (group) part = groupText;
+            } else if ('.^$'.indexOf(c) === -1) {
+                part = c;
+            }
+
+            const quantifier = /^(?:[?*+]|\{\d*(?:,\d*)?\})[?+]?/.exec(source.slice(i));
+            if (quantifier) {
+                i += quantifier[0].length;
+                // the part may be missing, or repeated before the next one
+                part = /^(?:[?*]|\{0)/.test(quantifier[0]) ? '\0' : part + '\0';
+            }
+
+            text += part;
+        }
+
+        return alternative ? '\0' : text;
+    };
+
+    return sequence().toLowerCase();
+}
+
+/**
+ * Ids of the words of a regex row its regex can't match without, the udger_*_regex_words
+ * tables also give the words of an alternative or of an optional part
+ * @param {Object} r - row having regstring, word_id and word2_id columns
+ * @param {Array} words - { id, word } of the regex words table
+ * @return {Array} ids
+ */
+function requiredWords(r, words) {
+    const text = requiredText(r['regstring']);
+
+    return [r['word_id'], r['word2_id']].filter((id) => {
+        return id && words.some((w) => w.id === id && text.indexOf(w.word) !== -1);
+    });
+}
+
+/**
+ * Check if the words required by a regex row were found in the User-Agent
+ * @param {Set} words - ids returned by findWords()
+ * @param {Object} r - compiled row, words are the ids given by requiredWords()
+ * @return {Boolean} true if the regex has to be tested
+ */
+function hasRegexWords(words, r) {
+    return r['words'].every((id) => words.has(id));
+}
+
+/**
+ * Check the input given to set() or parse()
+ * @param {Object} data - An object having only ip and/or ua attribute (and client hints)
+ * @param {String} help - error message
+ * @param {Boolean} [allowHints] - accept the hints attribute
+ * @return {Object} normalized ua, ip and hints
+ */
+function checkInput(data, help, allowHints) {
+    if (!data) {
+        throw new Error(help);
+    }
+
+    if (typeof data === 'string') {
+        throw new Error(help);
+    }
+
+    const input = {};
+
+    for (const key in data) {
+        if (key === 'ua') {
+            input.ua = data.ua;
+        } else if (key === 'ip') {
+            input.ip = data.ip ? data.ip.toLowerCase() : data.ip;
+        } else if (key === 'hints' && allowHints) {
+            input.hints = data.hints;
+        } else {
+            throw new Error(help);
+        }
+    }
+
+    return input;
+}
+
+/**
+ * Check if the first argument of parse() is an input ({ ua, ip }) or options
+ * @param {Object} data - first argument of parse()
+ * @return {Boolean} true if data has an ua or ip attribute
+ */
+function isInput(data) {
+    return !!data && typeof data === 'object' && ('ua' in data || 'ip' in data);
+}
+
+/**
+ * Build parse() result from parseUa() and parseIp() results
+ * @param {String} ua - User-Agent
+ * @param {String} ip - IP Address
+ * @param {Object} uaRet - parseUa() result
+ * @param {Object} ipRet - parseIp() result
+ * @param {Object} opts - options, see parse()
+ * @return {Object} Parsing result
+ */
+function formatResult(ua, ip, uaRet, ipRet, opts) {
+    const ret = {};
+
+    if (opts.json) {
+        if (ua) ret.userAgent = uaRet.json;
+        if (ip) ret.ipAddress = ipRet.json;
+        if (opts.full) ret.fromCache = false;
+    } else {
+        ret['user_agent'] = uaRet.udger;
+        ret['ip_address'] = ipRet.udger;
+        ret['from_cache'] = false;
+    }
+
+    return ret;
+}
+
+/**
+ * Class exposing udger parser methods
+ *
+ * Events: 'reload' ({ file, previousFile, compileTime, version, lastUpdate }) when reload() swapped the database,
+ * 'reloadError' (err) when the new database could not be opened or compiled, the old one is kept,
+ * 'stale' ({ file, version, lastUpdate, ageDays, maxAgeDays }) when an opened database is older than maxAgeDays
+ */
+class UdgerParser extends EventEmitter {
+
+    /**
+     * Load udger SQLite3 database.
+     * @param {string|ArrayBuffer|Uint8Array} file - full path to udgerdb_v3.dat, or to a snapshot with the
+     *                                                snapshot engine which also takes the snapshot bytes
+     * @param {Object} [opts] - options
+     * @param {String} opts.engine - 'sqlite' (default) or 'snapshot', see buildSnapshot()
+     * @param {Boolean|Object} opts.watch - reload the database when the file changes, true or watch() options
+     * @param {Number} opts.maxAgeDays - emit 'stale' when the data is older than this number of days (default: 0, never)
+     * @throws {CorruptDatabaseError|IncompatibleDatabaseError} if the file is not an udger v3 database
+     */
+    constructor(file, opts) {
+        super();
+
+        opts = opts || {};
+
+        this.engine = opts.engine || 'sqlite';
+        if (!Object.prototype.hasOwnProperty.call(engines, this.engine)) {
+            throw new Error('Unknown engine ' + this.engine + ', expected ' + Object.keys(engines).join(' or '));
+        }
+
+        this.maxAgeDays = opts.maxAgeDays || 0;
+        this.dbInfo = null;
+        this.db = this.openDatabase(file);
+        this.file = file;
+        this.ip = null;
+        this.ua = null;
+
+        this.cacheEnable = false;
+        this.cacheMaxRecords = 4000;
+        this.cacheFreeze = false;
+        this.uaCache = new lru.LruCache({ max: this.cacheMaxRecords });
+        this.ipCache = new lru.LruCache({ max: this.cacheMaxRecords });
+
+        this.defaultRet = JSON.parse(JSON.stringify(defaultResult));
+
+        this.regexWords = {};
+        this.rules = null;
+        this.stmt = null;
+        this.compileTime = 0;
+        this.regexIssues = [];
+        this.crawlerVerifier = null;
+
+        this.reloading = null;
+        this.watcher = null;
+        // asynchronous requests running on each opened database, see acquire()
+        this.dbUsers = new Map();
+
+        this.compile();
+
+        if (opts.watch) {
+            this.watch(opts.watch === true ? {} : opts.watch);
+        }
+
+        // let the caller add a listener
+        process.nextTick(() => this.checkStale());
+    }
+
+    /**
+     * Open an udger database with the engine, check its schema and read its version into dbInfo
+     * @param {String|ArrayBuffer|Uint8Array} file - full path to udgerdb_v3.dat, or to a snapshot, or snapshot bytes
+     * @return {Object} better-sqlite3 database, or Snapshot
+     * @throws {CorruptDatabaseError|IncompatibleDatabaseError} if the file is not an udger v3 database
+     */
+    openDatabase(file) {
+        const ret = engines[this.engine]().open(file);
+        this.dbInfo = ret.info;
+        return ret.db;
+    }
+
+    /**
+     * Emit 'stale' if the opened database is older than maxAgeDays
+     * @return {Object} { file, version, lastUpdate, ageDays, maxAgeDays } if the database is stale, else null
+     */
+    checkStale() {
+        const age = schema.ageDays(this.db && this.dbInfo);
+        if (!this.maxAgeDays || age === null || age <= this.maxAgeDays) return null;
+
+        const stale = {
+            file: this.file,
+            version: this.dbInfo.version,
+            lastUpdate: this.dbInfo.lastUpdate,
+            ageDays: Math.floor(age),
+            maxAgeDays: this.maxAgeDays
+        };
+
+        debug('database %s is %d days old', this.file, stale.ageDays);
+        this.emit('stale', stale);
+        return stale;
+    }
+
+    /**
+     * Connect (reconnect) sqlite database
+     * @return {Boolean} true if db has been opened, false if already connected
+     */
+    connect() {
+        if (!this.db) {
+            this.db = this.openDatabase(this.file);
+            this.compile();
+            process.nextTick(() => this.checkStale());
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Disconnect sqlite database, avoid read/write conflict
+     * see https://github.com/udger/udger-updater-nodejs/issues/5
+     * @return {Boolean} true if db has been closed, false if no db opened
+     */
+    disconnect() {
+        this.unwatch();
+
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.regexWords = {};
+            this.rules = null;
+            this.stmt = null;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Open another database (or the same file again) in the background and swap it with the current one
+     *
+     * The new database is opened and compiled aside, then the compiled rules and statements are
+     * swapped at once and the caches are cleared. Asynchronous requests started before the swap
+     * end on the old database, which is closed after them. If anything fails the old database is kept.
+     * @param {String|ArrayBuffer|Uint8Array} [file] - full path to the new udgerdb_v3.dat (default: the current file),
+     *                                                  or the new snapshot bytes
+     * @return {Promise} resolved with { file, previousFile, compileTime, version, lastUpdate }, rejected if the new
+     * database can not be used, ie with a CorruptDatabaseError or an IncompatibleDatabaseError
+     */
+    reload(file) {
+        file = file || this.file;
+
+        // one reload at a time, the next one starts when the running one is over
+        if (this.reloading) {
+            const next = () => this.reload(file);
+            return this.reloading.then(next, next);
+        }
+
+        this.reloading = new Promise((resolve) => setImmediate(resolve)).then(() => {
+            const next = Object.create(this);
+            next.db = next.openDatabase(file);
+
+            try {
+                next.compile();
+            } catch (err) {
+                next.db.close();
+                throw err;
+            }
+
+            const info = next.dbInfo;
+
+            const previousFile = this.file;
+            const old = this.db;
+
+            this.db = next.db;
+            this.file = file;
+            this.stmt = next.stmt;
+            this.rules = next.rules;
+            this.regexWords = next.regexWords;
+            this.regexIssues = next.regexIssues;
+            this.compileTime = next.compileTime;
+            this.dbInfo = info;
+
+            if (old && !this.dbUsers.has(old)) old.close();
+
+            this.cacheClean();
+
+            if (this.watcher && this.watcher.file !== file) {
+                this.watch(this.watcher.opts);
+            }
+
+            debug('reload: %s (version %s) compiled in %d ms', file, info.version, this.compileTime);
+            return { file, previousFile, compileTime: this.compileTime, version: info.version, lastUpdate: info.lastUpdate };
+        });
+
+        return this.reloading.then((ret) => {
+            this.reloading = null;
+            this.emit('reload', ret);
+            this.checkStale();
+            return ret;
+        }, (err) => {
+            this.reloading = null;
+            debug('reload: %s failed: %s', file, err.message);
+            this.emit('reloadError', err);
+            throw err;
+        });
+    }
+
+    /**
+     * Reload the database when the file changes, ie when the updater replaced it
+     *
+     * The file is polled, so a new file renamed over the old one is seen. Reload failures are
+     * only reported by the 'reloadError' event
+     * @param {Object} [opts] - options
+     * @param {Number} opts.interval - polling interval in milliseconds (default: 5000)
+     * @param {Number} opts.debounce - wait for the file to stop changing, in milliseconds (default: 1000)
+     * @return {UdgerParser} this
+     */
+    watch(opts) {
+        opts = opts || {};
+
+        if (typeof this.file !== 'string') {
+            throw new Error('watch() needs a database file, the snapshot was given as bytes');
+        }
+
+        this.unwatch();
+
+        const fs = require('fs');
+        const file = this.file;
+        const debounce = opts.debounce === undefined ? 1000 : opts.debounce;
+        let timer = null;
+
+        // fs.watchFile takes its first stat later, a file replaced meanwhile would be its reference
+        const stat = (s) => ({ ino: s.ino, mtimeMs: s.mtimeMs, size: s.size });
+        let last = stat(fs.statSync(file));
+
+        const listener = (curr) => {
+            // removed, the new file is not there yet
+            if (!curr.ino && !curr.mtimeMs) return;
+            if (curr.ino === last.ino && curr.mtimeMs === last.mtimeMs && curr.size === last.size) return;
+
+            last = stat(curr);
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                this.reload(file).catch(() => {});
+            }, debounce);
+        };
+
+        fs.watchFile(file, { interval: opts.interval || 5000, persistent: false }, listener);
+
+        this.watcher = {
+            file,
+            opts,
+            stop: () => {
+                clearTimeout(timer);
+                fs.unwatchFile(file, listener);
+            }
+        };
+
+        return this;
+    }
+
+    /**
+     * Stop watching the database file
+     * @return {Boolean} true if the file was watched
+     */
+    unwatch() {
+        if (!this.watcher) return false;
+
+        this.watcher.stop();
+        this.watcher = null;
+        return true;
+    }
+
+    /**
+     * Keep the current database opened for an asynchronous request, even if it's reloaded meanwhile
+     * @return {Object} { parser, release, current }, parser uses the current database until release() is
+     * called, current() is false once the database has been reloaded
+     */
+    acquire() {
+        const db = this.db;
+        const parser = Object.create(this);
+
+        parser.db = db;
+        parser.stmt = this.stmt;
+        parser.rules = this.rules;
+        parser.regexWords = this.regexWords;
+
+        this.dbUsers.set(db, (this.dbUsers.get(db) || 0) + 1);
+
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+
+            const users = this.dbUsers.get(db) - 1;
+            if (users) {
+                this.dbUsers.set(db, users);
+                return;
+            }
+
+            this.dbUsers.delete(db);
+            if (db !== this.db && db.open) db.close();
+        };
+
+        return { parser, release, current: () => db === this.db };
+    }
+
+    /**
+     * Compile the database regexes and prepare the statements used by the parser,
+     * called each time the database is opened
+     * @return {Number} compilation time in milliseconds
+     */
+    compile() {
+        const start = process.hrtime();
+
+        this.regexIssues = [];
+
+        const compileRows = (rows, table) => {
+            const compiled = [];
+            for (const r of rows) {
+                let translation;
+                try {
+                    translation = pcre.translate(r['regstring']);
+                    r['re'] = pcre.toRegExp(translation);
+                } catch (err) {
+                    debug('compile: skipping invalid regex %s (%s)', r['regstring'], err.message);
+                    this.regexIssues.push({
+                        table,
+                        id: r['id'],
+                        regstring: r['regstring'],
+                        reason: err.message
+                    });
+                    continue;
+                }
+                if (translation.issues.length) {
+                    this.regexIssues.push({
+                        table,
+                        id: r['id'],
+                        regstring: r['regstring'],
+                        reason: translation.issues.join(', ')
+                    });
+                }
+                compiled.push(r);
+            }
+            return compiled;
+        };
+
+        this.stmt = engines[this.engine]().prepare(this.db);
+
+        const devicename = {};
+        compileRows(this.stmt.devicenameRegex.all(), 'udger_devicename_regex').forEach((r) => {
+            if (!devicename[r['os_family_code']]) devicename[r['os_family_code']] = [];
+            devicename[r['os_family_code']].push(r);
+        });
+
+        this.rules = {
+            client: compileRows(this.stmt.clientRegex.all(), 'udger_client_regex'),
+            os: compileRows(this.stmt.osRegex.all(), 'udger_os_regex'),
+            deviceclass: compileRows(this.stmt.deviceclassRegex.all(), 'udger_deviceclass_regex'),
+            devicename,
+            datacenter: new ipRanges.RangeIndex(this.stmt.datacenterRanges.all().map((r) => {
+                return { from: r['iplong_from'], to: r['iplong_to'], value: r };
+            })),
+            // 128 bits integers, the groups of a range can't be compared one by one
+            datacenter6: new ipRanges.RangeIndex(this.stmt.datacenter6Ranges.all().map((r) => {
+                const groups = (prefix) => [0, 1, 2, 3, 4, 5, 6, 7].map((i) => r[prefix + i]);
+                return {
+                    from: ipRanges.ipv6ToBigInt(groups('iplong_from')),
+                    to: ipRanges.ipv6ToBigInt(groups('iplong_to')),
+                    value: r
+                };
+            }))
+        };
+
+        this.regexWords = {};
+        [
+            ['udger_client_regex_words', 'clientRegexWords'],
+            ['udger_os_regex_words', 'osRegexWords'],
+            ['udger_deviceclass_regex_words', 'deviceclassRegexWords']
+        ].forEach((words) => {
+            this.regexWords[words[0]] = this.stmt[words[1]].all().map((w) => {
+                return { id: w['id'], word: w['word'].toLowerCase() };
+            });
+        });
+
+        [
+            ['client', 'udger_client_regex_words'],
+            ['os', 'udger_os_regex_words'],
+            ['deviceclass', 'udger_deviceclass_regex_words']
+        ].forEach((rules) => {
+            for (const r of this.rules[rules[0]]) r['words'] = requiredWords(r, this.regexWords[rules[1]]);
+        });
+
+        const diff = process.hrtime(start);
+        this.compileTime = diff[0] * 1e3 + diff[1] / 1e6;
+
+        debug('compile: %d client, %d os, %d device class regexes compiled in %d ms',
+            this.rules.client.length, this.rules.os.length, this.rules.deviceclass.length, this.compileTime);
+
+        return this.compileTime;
+    }
+
+    /**
+     * Initialize User-Agent or IP(v4/v6), or both, for the next parse() call
+     * (compatibility layer, prefer parse({ ua, ip }, opts) on shared instances)
+     * @param {Object} data - An object
+     * @param {String} data.ua - User-Agent
+     * @param {String} data.ip - IP Address
+     */
+    set(data) {
+        const input = checkInput(data, 'set() is waiting for an object having only ip and/or ua attribute');
+        if ('ua' in input) this.ua = input.ua;
+        if ('ip' in input) this.ip = input.ip;
+    }
+
+    /**
+     * Activate cache
+     * @param {Boolean} cache - true or false
+     */
+    setCacheEnable(cache) {
+        this.cacheEnable = cache;
+    }
+
+    /**
+     * Return if the cache is enable or not
+     * @return {Boolean} true if the cache is enable, false if not
+     */
+    isCacheEnable() {
+        return this.cacheEnable;
+    }
+
+    /**
+     * Set Cache Size
+     * @param {Number} records - the maximum number of items we want to keep in each cache (User-Agents and IPs)
+     */
+    setCacheSize(records) {
+        this.cacheMaxRecords = records;
+        this.cacheAdapters().forEach((cache) => cache.resize && cache.resize(records));
+    }
+
+    /**
+     * Set the lifetime of the cached results of the in-memory cache, the cache is cleaned
+     * @param {Number} ttl - lifetime in milliseconds, 0 for no expiration
+     */
+    setCacheTtl(ttl) {
+        this.cacheAdapters().forEach((cache) => {
+            if (cache instanceof lru.LruCache) cache.ttl = ttl || 0;
+        });
+        this.cacheClean();
+    }
+
+    /**
+     * Use a cache adapter, ie a cache shared by several processes, and enable the cache
+     *
+     * See lib/cacheAdapter.js for the adapter contract. An async adapter is only used by parseAsync().
+     * @param {Object} adapter - cache adapter, { ua, ip } adapters, or null for the in-memory LRU caches
+     */
+    setCacheAdapter(adapter) {
+        if (!adapter) {
+            this.uaCache = new lru.LruCache({ max: this.cacheMaxRecords });
+            this.ipCache = new lru.LruCache({ max: this.cacheMaxRecords });
+            return;
+        }
+
+        if (adapter.ua && adapter.ip && typeof adapter.get !== 'function') {
+            this.uaCache = cacheAdapter.checkAdapter(adapter.ua);
+            this.ipCache = cacheAdapter.checkAdapter(adapter.ip);
+        } else {
+            this.uaCache = this.ipCache = cacheAdapter.checkAdapter(adapter);
+        }
+
+        this.setCacheEnable(true);
+    }
+
+    /**
+     * Cache adapters in use, without duplicate
+     * @return {Array} adapters
+     */
+    cacheAdapters() {
+        return this.uaCache === this.ipCache ? [this.uaCache] : [this.uaCache, this.ipCache];
+    }
+
+    /**
+     * Check if the cache is used by the synchronous methods
+     * @return {Boolean} true if the cache is enabled and the adapters are synchronous
+     */
+    isCacheSync() {
+        return this.isCacheEnable() && !this.uaCache.async && !this.ipCache.async;
+    }
+
+    /**
+     * Return frozen cached results instead of copies, faster but the results can't be changed
+     * @param {Boolean} freeze - true or false
+     */
+    setCacheFreeze(freeze) {
+        this.cacheFreeze = !!freeze;
+        this.cacheClean();
+    }
+
+    /**
+     * Cache statistics
+     * @return {Object} enabled, ua and ip caches stats (hits, misses, evictions, expirations, size, max, ttl)
+     */
+    getCacheStats() {
+        return {
+            enabled: this.isCacheEnable(),
+            ua: this.uaCache.stats ? this.uaCache.stats() : null,
+            ip: this.ipCache.stats ? this.ipCache.stats() : null
+        };
+    }
+
+    /**
+     * Cache keys of a parse() input, the same for all the adapters and processes
+     * @param {String} ua - User-Agent
+     * @param {String} ip - IP Address
+     * @param {Object} hints - client hints headers
+     * @param {Object} opts - options, see parse()
+     * @return {Object} ua and ip keys, undefined if missing
+     */
+    cacheKeys(ua, ip, hints, opts) {
+        // the JSON formats differ, the udger format is in both
+        const prefix = opts.full ? 'full:' : '';
+        return {
+            ua: ua ? 'ua:' + prefix + ua + (hints ? '\n' + clientHints.hintsKey(hints) : '') : undefined,
+            ip: ip ? 'ip:' + prefix + ip : undefined
+        };
+    }
+
+    /**
+     * Copy or freeze a result read from or written to the cache
+     * @param {Object} value - parseUa() or parseIp() result
+     * @return {Object} copy, or the frozen value
+     */
+    cacheValue(value) {
+        return this.cacheFreeze ? lru.deepFreeze(value) : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Read a parseUa() or parseIp() result through a synchronous cache
+     * @param {Object} cache - cache adapter
+     * @param {String} key - cache key
+     * @param {Function} fn - returns the result when it's not in the cache
+     * @return {Object} { ret, hit }, ret is a copy or a frozen object
+     */
+    cacheGet(cache, key, fn) {
+        let ret;
+        try {
+            ret = cache.get(key);
+        } catch (err) {
+            debug('cache: get %s failed: %s', key, err.message);
+        }
+
+        if (ret !== undefined && ret !== null) {
+            return { ret: this.cacheValue(ret), hit: true };
+        }
+
+        ret = fn();
+
+        try {
+            cache.set(key, this.cacheFreeze ? this.cacheValue(ret) : JSON.parse(JSON.stringify(ret)));
+            debug('cache: store result of %s', key);
+        } catch (err) {
+            debug('cache: set %s failed: %s', key, err.message);
+        }
+
+        return { ret, hit: false };
+    }
+
+    /**
+     * Read a parseUa() or parseIp() result through an asynchronous cache
+     * @param {Object} cache - cache adapter, sync or async
+     * @param {String} key - cache key
+     * @param {Function} fn - returns the result when it's not in the cache
+     * @param {Function} [current] - returns false if the database has been reloaded, the result is not stored
+     * @return {Promise} resolved with { ret, hit }, ret is a copy or a frozen object
+     */
+    cacheGetAsync(cache, key, fn, current) {
+        return Promise.resolve()
+            .then(() => cache.get(key))
+            .catch((err) => debug('cache: get %s failed: %s', key, err.message))
+            .then((ret) => {
+                if (ret !== undefined && ret !== null) {
+                    return { ret: this.cacheValue(ret), hit: true };
+                }
+
+                ret = fn();
+
+                if (current && !current()) return { ret, hit: false };
+
+                return Promise.resolve()
+                    .then(() => cache.set(key, this.cacheFreeze ? this.cacheValue(ret) : JSON.parse(JSON.stringify(ret))))
+                    .catch((err) => debug('cache: set %s failed: %s', key, err.message))
+                    .then(() => ({ ret, hit: false }));
+            });
+    }
+
+    /**
+     * Build the parse() result from cache reads
+     * @param {String} ua - User-Agent
+     * @param {String} ip - IP Address
+     * @param {Object} uaPart - { ret, hit } of the User-Agent
+     * @param {Object} ipPart - { ret, hit } of the IP address
+     * @param {Object} opts - options, see parse()
+     * @return {Object} Parsing result
+     */
+    cachedResult(ua, ip, uaPart, ipPart, opts) {
+        const ret = formatResult(ua, ip, uaPart.ret, ipPart.ret, opts);
+
+        if ((ua || ip) && uaPart.hit && ipPart.hit) {
+            if (!opts.json) ret['from_cache'] = true;
+            else if (opts.full) ret['fromCache'] = true;
+        }
+
+        return ret;
+    }
+
+    /**
+     * Clean the cache
+     */
+    cacheClean() {
+        const failed = (err) => debug('cache: clear failed: %s', err.message);
+
+        this.cacheAdapters().forEach((cache) => {
+            try {
+                const ret = cache.clear();
+                if (ret && typeof ret.catch === 'function') ret.catch(failed);
+            } catch (err) {
+                failed(err);
+            }
+        });
+    }
+
+    /**
+     * Find the words of a regex words table contained in the User-Agent
+     * @param {String} table - udger_client_regex_words, udger_os_regex_words or udger_deviceclass_regex_words
+     * @param {String} ua - An User-Agent string
+     * @return {Set} ids of the words found, 0 (no word required) included
+     */
+    findWords(table, ua) {
+        const lua = ua.toLowerCase();
+        const found = new Set([0]);
+
+        for (const w of this.regexWords[table]) {
+            if (lua.indexOf(w.word) !== -1) found.add(w.id);
+        }
+
+        return found;
+    }
+
+    /**
+     * Parse the User-Agent string
+     * @param {String} ua - An User-Agent string
+     * @param {Object} [opts] - options, see parse()
+     * @return {Object} result in udger format (udger) and json format (json)
+     */
+    parseUa(ua, opts) {
+
+        if (!opts) opts = {};
+
+        const rua = JSON.parse(JSON.stringify(this.defaultRet['user_agent']));
+        const ruaJson = {};
+
+        if (!ua) return {
+            udger: rua,
+            json: ruaJson
+        };
+
+        let r;
+        let e;
+
+        let client_id = 0;
+        let client_class_id = -1;
+        let os_id = 0;
+        let deviceclass_id = 0;
+
+        debug('parse useragent string: START (useragent: ' + ua + ')');
+
+        rua['ua_string'] = ua;
+        rua['ua_class'] = 'Unrecognized';
+        rua['ua_class_code'] = 'unrecognized';
+
+        dotProp.set(ruaJson, 'ua.string', ua);
+        if (opts.full) {
+            dotProp.set(ruaJson, 'ua.class.name', 'Unrecognized');
+            dotProp.set(ruaJson, 'ua.class.code', 'unrecognized');
+        } else {
+            dotProp.set(ruaJson, 'ua.class', 'unrecognized');
+        }
+
+        ////////////////////////////////////////////////
+        // search for crawlers
+        ////////////////////////////////////////////////
+
+        r = this.stmt.crawler.get(ua);
+
+        if (r) {
+
+            debug('parse useragent string: crawler found');
+
+            client_class_id = 99;
+
+            // UDGER FORMAT
+            rua['ua_class'] = 'Crawler';
+            rua['ua_class_code'] = 'crawler';
+            rua['ua'] = r['name'] || '';
+            rua['ua_version'] = r['ver'] || '';
+            rua['ua_version_major'] = r['ver_major'] || '';
+            rua['ua_family'] = r['family'] || '';
+            rua['ua_family_code'] = r['family_code'] || '';
+            rua['ua_family_homepage'] = r['family_homepage'] || '';
+            rua['ua_family_vendor'] = r['vendor'] || '';
+            rua['ua_family_vendor_code'] = r['vendor_code'] || '';
+            rua['ua_family_vendor_homepage'] = r['vendor_homepage'] || '';
+            rua['ua_family_icon'] = r['family_icon'] || '';
+            rua['ua_family_info_url'] = 'https://udger.com/resources/ua-list/bot-detail?bot=' + (r['family'] || '') + '#id' + (r['botid'] || '');
+
+            rua['crawler_last_seen'] = r['last_seen'] || '';
+            rua['crawler_category'] = r['crawler_classification'] || '';
+            rua['crawler_category_code'] = r['crawler_classification_code'] || '';
+            rua['crawler_respect_robotstxt'] = r['respect_robotstxt'] || '';
+
+            // JSON FORMAT
+            rua['ua'] && dotProp.set(ruaJson, 'ua.name', rua['ua']);
+
+            if (opts.full) {
+                dotProp.set(ruaJson, 'ua.class.name', 'Crawler');
+                dotProp.set(ruaJson, 'ua.class.code', 'crawler');
+                rua['ua_version'] && dotProp.set(ruaJson, 'ua.version.current', rua['ua_version']);
+                rua['ua_version_major'] && dotProp.set(ruaJson, 'ua.version.major', rua['ua_version_major']);
+
+                rua['ua_family'] && dotProp.set(ruaJson, 'ua.family.name', rua['ua_family']);
+                rua['ua_family_code'] && dotProp.set(ruaJson, 'ua.family.code', rua['ua_family_code']);
+                rua['ua_family_homepage'] && dotProp.set(ruaJson, 'ua.family.homepage', rua['ua_family_homepage']);
+                rua['ua_family_vendor'] && dotProp.set(ruaJson, 'ua.family.vendor.name', rua['ua_family_vendor']);
+                rua['ua_family_vendor_code'] && dotProp.set(ruaJson, 'ua.family.vendor.code', rua['ua_family_vendor_code']);
+                rua['ua_family_homepage'] && dotProp.set(ruaJson, 'ua.family.vendor.homepage', rua['ua_family_homepage']);
+                rua['ua_family_icon'] && dotProp.set(ruaJson, 'ua.family.icon', rua['ua_family_icon']);
+                rua['ua_family'] && r['botid'] && dotProp.set(ruaJson, 'ua.family.infoUrl', rua['ua_family_info_url']);
+
+            } else {
+                dotProp.set(ruaJson, 'ua.class', 'crawler');
+                rua['ua_family_code'] && dotProp.set(ruaJson, 'ua.family.code', rua['ua_family_code']);
+                rua['ua_family_homepage'] && dotProp.set(ruaJson, 'ua.family.homepage', rua['ua_family_homepage']);
+                rua['ua_family_vendor_code'] && dotProp.set(ruaJson, 'ua.family.vendor', rua['ua_family_vendor_code']);
+            }
+
+            rua['crawler_last_seen'] && dotProp.set(ruaJson, 'crawler.lastSeen', rua['crawler_last_seen']);
+
+            if (opts.full) {
+                rua['crawler_category'] && dotProp.set(ruaJson, 'crawler.category.name', rua['crawler_category']);
+                rua['crawler_category_code'] && dotProp.set(ruaJson, 'crawler.category.code', rua['crawler_category_code']);
+                rua['crawler_respect_robotstxt'] && dotProp.set(ruaJson, 'crawler.respectRobotsTxt', rua['crawler_respect_robotstxt']);
+            } else {
+                rua['crawler_category_code'] && dotProp.set(ruaJson, 'crawler.category', rua['crawler_category_code']);
+            }
+        } else {
+
+            const clientWords = this.findWords('udger_client_regex_words', ua);
+
+            for (r of this.rules.client) {
+                if (!hasRegexWords(clientWords, r)) continue;
+                e = ua.match(r['re']);
+                if (e) {
+
+                    debug('parse useragent string: client found');
+
+                    client_id = r['client_id'];
+                    client_class_id = r['class_id'];
+
+                    rua['ua_class'] = r['client_classification'];
+                    rua['ua_class_code'] = r['client_classification_code'];
+
+                    if (opts.full) {
+                        dotProp.set(ruaJson, 'ua.class.name', rua['ua_class']);
+                        dotProp.set(ruaJson, 'ua.class.code', rua['ua_class_code']);
+                    } else {
+                        dotProp.set(ruaJson, 'ua.class', rua['ua_class_code']);
+                    }
+                    if (e[1]) {
+                        rua['ua'] = r['name'] + ' ' + e[1];
+                        rua['ua_version'] = e[1];
+                        rua['ua_version_major'] = e[1].split('.')[0];
+                    } else {
+                        rua['ua'] = r['name'];
+                        rua['ua_version'] = '';
+                        rua['ua_version_major'] = '';
+                    }
+
+                    if (rua['ua']) {
+                        dotProp.set(ruaJson, 'ua.name', rua['ua']);
+                    } else {
+                        dotProp.delete(ruaJson, 'ua.name');
+                    }
+
+                    if (opts.full) {
+                        if (rua['ua_version']) {
+                            dotProp.set(ruaJson, 'ua.version.current', rua['ua_version']);
+                        } else {
+                            dotProp.delete(ruaJson, 'ua.version.current');
+                        }
+
+                        if (rua['ua_version_major']) {
+                            dotProp.set(ruaJson, 'ua.version.current', rua['ua_version_major']);
+                        } else {
+                            dotProp.delete(ruaJson, 'ua.version.current');
+                        }
+                    }
+
+                    rua['ua_uptodate_current_version'] = r['uptodate_current_version'] || '';
+                    rua['ua_family'] = r['name'] || '';
+                    rua['ua_family_code'] = r['name_code'] || '';
+                    rua['ua_family_homepage'] = r['homepage'] || '';
+                    rua['ua_family_vendor'] = r['vendor'] || '';
+                    rua['ua_family_vendor_code'] = r['vendor_code'] || '';
+                    rua['ua_family_vendor_homepage'] = r['vendor_homepage'] || '';
+                    rua['ua_family_icon'] = r['icon'] || '';
+                    rua['ua_family_icon_big'] = r['icon_big'] || '';
+                    rua['ua_family_info_url'] = 'https://udger.com/resources/ua-list/browser-detail?browser=' + (r['name'] || '');
+                    rua['ua_engine'] = r['engine'] || '';
+
+                    if (opts.full) {
+                        rua['ua_uptodate_current_version'] && dotProp.set(ruaJson, 'ua.uptodateCurrentVersion', rua['ua_uptodate_current_version']);
+                        rua['ua_family'] && dotProp.set(ruaJson, 'ua.family.name', rua['ua_family']);
+                        rua['ua_family_code'] && dotProp.set(ruaJson, 'ua.family.code', rua['ua_family_code']);
+                        rua['ua_family_homepage'] && dotProp.set(ruaJson, 'ua.family.homepage', rua['ua_family_homepage']);
+                        rua['ua_family_vendor'] && dotProp.set(ruaJson, 'ua.family.vendor.name', rua['ua_family_vendor']);
+                        rua['ua_family_vendor_code'] && dotProp.set(ruaJson, 'ua.family.vendor.code', rua['ua_family_vendor_code']);
+                        rua['ua_family_vendor_homepage'] && dotProp.set(ruaJson, 'ua.family.vendor.homepage', rua['ua_family_vendor_homepage']);
+                        rua['ua_family_icon'] && dotProp.set(ruaJson, 'ua.family.icon', rua['ua_family_icon']);
+                        rua['ua_family_icon_big'] && dotProp.set(ruaJson, 'ua.family.iconBig', rua['ua_family_icon_big']);
+                        if (r['name']) {
+                            dotProp.set(ruaJson, 'ua.family.infoUrl', rua['ua_family_info_url']);
+                        }
+                    } else {
+                        rua['ua_family_code'] && dotProp.set(ruaJson, 'ua.family', rua['ua_family_code']);
+                    }
+                    rua['ua_engine'] && dotProp.set(ruaJson, 'ua.engine', rua['ua_engine']);
+
+                    break;
+                }
+            }
+        }
+
+        ////////////////////////////////////////////////
+        // os
+        ////////////////////////////////////////////////
+        const osWords = this.findWords('udger_os_regex_words', ua);
+
+        for (r of this.rules.os) {
+            if (!hasRegexWords(osWords, r)) continue;
+            e = ua.match(r['re']);
+            if (e) {
+
+                debug('parse useragent string: os found');
+
+                os_id = r['os_id'];
+                rua['os'] = r['name'] || '';
+                rua['os_code'] = r['name_code'] || '';
+                rua['os_homepage'] = r['homepage'] || '';
+                rua['os_icon'] = r['icon'] || '';
+                rua['os_icon_big'] = r['icon_big'] || '';
+                rua['os_info_url'] = 'https://udger.com/resources/ua-list/os-detail?os=' + (r['name'] || '');
+                rua['os_family'] = r['family'] || '';
+                rua['os_family_code'] = r['family_code'] || '';
+                rua['os_family_vendor'] = r['vendor'] || '';
+                rua['os_family_vendor_code'] = r['vendor_code'] || '';
+                rua['os_family_vendor_homepage'] = r['vendor_homepage'] || '';
+
+                if (opts.full) {
+                    rua['os'] && dotProp.set(ruaJson, 'os.name', rua['os']);
+                    rua['os_code'] && dotProp.set(ruaJson, 'os.code', rua['os_code']);
+                    rua['os_homepage'] && dotProp.set(ruaJson, 'os.homepage', rua['os_homepage']);
+                    rua['os_icon'] && dotProp.set(ruaJson, 'os.icon', rua['os_icon']);
+                    rua['os_icon_big'] && dotProp.set(ruaJson, 'os.iconBig', rua['os_icon_big']);
+                    rua['os_info_url'] && dotProp.set(ruaJson, 'os.infoUrl', rua['os_info_url']);
+                    rua['os_family'] && dotProp.set(ruaJson, 'os.family.name', rua['os_family']);
+                    rua['os_family_code'] && dotProp.set(ruaJson, 'os.family.code', rua['os_family_code']);
+                    rua['os_family_vendor'] && dotProp.set(ruaJson, 'os.family.vendor.name', rua['os_family_vendor']);
+                    rua['os_family_vendor_code'] && dotProp.set(ruaJson, 'os.family.vendor.code', rua['os_family_vendor_code']);
+                    rua['os_family_vendor_homepage'] && dotProp.set(ruaJson, 'os.family.vendor.homepage', rua['os_family_vendor_homepage']);
+                } else {
+                    rua['os_code'] && dotProp.set(ruaJson, 'os.code', rua['os_code']);
+                    rua['os_family_code'] && dotProp.set(ruaJson, 'os.family', rua['os_family_code']);
+                }
+                break;
+            }
+        }
+
+        ////////////////////////////////////////////////
+        // client/os relation
+        ////////////////////////////////////////////////
+
+        if (os_id == 0 && client_id != 0) {
+
+            r = this.stmt.clientOsRelation.get(client_id);
+
+            if (r) {
+
+                debug('parse useragent string: client os relation found');
+
+                os_id = r['os_id'];
+                rua['os'] = r['name'] || '';
+                rua['os_code'] = r['name_code'] || '';
+                rua['os_homepage'] = r['homepage'] || '';
+                rua['os_icon'] = r['icon'] || '';
+                rua['os_icon_big'] = r['icon_big'] || '';
+                rua['os_info_url'] = 'https://udger.com/resources/ua-list/os-detail?os=' + (r['name'] || '');
+                rua['os_family'] = r['family'] || '';
+                rua['os_family_code'] = r['family_code'] || '';
+                rua['os_family_vendor'] = r['vendor'] || '';
+                rua['os_family_vendor_code'] = r['vendor_code'] || '';
+                rua['os_family_vendor_homepage'] = r['vendor_homepage'] || '';
+
+                rua['os'] && dotProp.set(ruaJson, 'os.name', rua['os']);
+                rua['os_code'] && dotProp.set(ruaJson, 'os.code', rua['os_code']);
+                rua['os_homepage'] && dotProp.set(ruaJson, 'os.homepage', rua['os_homepage']);
+                rua['os_icon'] && dotProp.set(ruaJson, 'os.icon', rua['os_icon']);
+                rua['os_icon_big'] && dotProp.set(ruaJson, 'os.iconBig', rua['os_icon_big']);
+                rua['os_info_url'] && dotProp.set(ruaJson, 'os.infoUrl', rua['os_info_url']);
+                rua['os_family'] && dotProp.set(ruaJson, 'os.family.name', rua['os_family']);
+                rua['os_family_code'] && dotProp.set(ruaJson, 'os.family.code', rua['os_family_code']);
+                rua['os_family_vendor'] && dotProp.set(ruaJson, 'os.family.vendor.name', rua['os_family_vendor']);
+                rua['os_family_vendor_code'] && dotProp.set(ruaJson, 'os.family.vendor.code', rua['os_family_vendor_code']);
+                rua['os_family_vendor_homepage'] && dotProp.set(ruaJson, 'os.family.vendor.homepage', rua['os_family_vendor_homepage']);
+
+            }
+        }
+
+        ////////////////////////////////////////////////
+        // device
+        ////////////////////////////////////////////////
+
+        const deviceclassWords = this.findWords('udger_deviceclass_regex_words', ua);
+
+        for (r of this.rules.deviceclass) {
+            if (!hasRegexWords(deviceclassWords, r)) continue;
+            e = ua.match(r['re']);
+            if (e) {
+
+                debug('parse useragent string: device found by regex');
+
+                deviceclass_id = r['deviceclass_id'];
+                rua['device_class'] = r['name'] || '';
+                rua['device_class_code'] = r['name_code'] || '';
+                rua['device_class_icon'] = r['icon'] || '';
+                rua['device_class_icon_big'] = r['icon_big'] || '';
+                rua['device_class_info_url'] = 'https://udger.com/resources/ua-list/device-detail?device=' + r['name'];
+
+                if (opts.full) {
+                    rua['device_class'] && dotProp.set(ruaJson, 'device.class.name', rua['device_class']);
+                    rua['device_class_code'] && dotProp.set(ruaJson, 'device.class.code', rua['device_class_code']);
+                    rua['device_class_icon'] && dotProp.set(ruaJson, 'device.class.icon', rua['device_class_icon']);
+                    rua['device_class_icon_big'] && dotProp.set(ruaJson, 'device.class.iconBig', rua['device_class_icon_big']);
+                    rua['device_class_info_url'] && dotProp.set(ruaJson, 'device.class.infoUrl', rua['device_class_info_url']);
+                } else {
+                    rua['device_class_code'] && dotProp.set(ruaJson, 'device.class', rua['device_class_code']);
+                }
+
+                break;
+            }
+        }
+
+        if (deviceclass_id == 0 && client_class_id != -1) {
+            r = this.stmt.clientClassDevice.get(client_class_id);
+
+            if (r) {
+
+                debug('parse useragent string: device found by deviceclass');
+
+                deviceclass_id = r['deviceclass_id'];
+                rua['device_class'] = r['name'] || '';
+                rua['device_class_code'] = r['name_code'] || '';
+                rua['device_class_icon'] = r['icon'] || '';
+                rua['device_class_icon_big'] = r['icon_big'] || '';
+                rua['device_class_info_url'] = 'https://udger.com/resources/ua-list/device-detail?device=' + (r['name'] || '');
+
+                if (opts.full) {
+                    rua['device_class'] && dotProp.set(ruaJson, 'device.class.name', rua['device_class']);
+                    rua['device_class_code'] && dotProp.set(ruaJson, 'device.class.code', rua['device_class_code']);
+                    rua['device_class_icon'] && dotProp.set(ruaJson, 'device.class.icon', rua['device_class_icon']);
+                    rua['device_class_icon_big'] && dotProp.set(ruaJson, 'device.class.iconBig', rua['device_class_icon_big']);
+                    rua['device_class_info_url'] && dotProp.set(ruaJson, 'device.class.infoUrl', rua['device_class_info_url']);
+                } else {
+                    rua['device_class_code'] && dotProp.set(ruaJson, 'device.class', rua['device_class_code']);
+                }
+            }
+        }
+
+        ////////////////////////////////////////////////
+        // device marketname
+        ////////////////////////////////////////////////
+
+        if (rua['os_family_code']) {
+            const devicenameRules = this.rules.devicename[rua['os_family_code']] || [];
+
+            let match;
+            let rId;
+            for (const r of devicenameRules) {
+                if (r['os_code'] !== '-all-' && r['os_code'] !== rua['os_code']) continue;
+                e = ua.match(r['re']);
+                if (e && e[1]) {
+                    match = e[1].trim();
+                    rId = r['id'];
+                    break;
+                }
+            }
+
+            const rC = this.stmt.devicename.get(rId, match);
+
+            if (rC) {
+
+                debug('parse useragent string: device marketname found');
+
+                rua['device_marketname'] = rC['marketname'] || '';
+                rua['device_brand'] = rC['brand'] || '';
+                rua['device_brand_code'] = rC['brand_code'] || '';
+                rua['device_brand_homepage'] = rC['brand_url'] || '';
+                rua['device_brand_icon'] = rC['icon'] || '';
+                rua['device_brand_icon_big'] = rC['icon_big'] || '';
+                rua['device_brand_info_url'] = 'https://udger.com/resources/ua-list/devices-brand-detail?brand=' + (rC['brand_code'] || '');
+
+                rua['device_marketname'] && dotProp.set(ruaJson, 'device.marketName', rua['device_marketname']);
+                rua['device_brand'] && dotProp.set(ruaJson, 'device.brand.name', rua['device_brand']);
+                rua['device_brand_code'] && dotProp.set(ruaJson, 'device.brand.code', rua['device_brand_code']);
+                rua['device_brand_homepage'] && dotProp.set(ruaJson, 'device.brand.homepage', rua['device_brand_homepage']);
+                rua['device_brand_icon'] && dotProp.set(ruaJson, 'device.brand.icon', rua['device_brand_icon']);
+                rua['device_brand_icon_big'] && dotProp.set(ruaJson, 'device.brand.iconBig', rua['device_brand_icon_big']);
+                rua['device_brand_info_url'] && dotProp.set(ruaJson, 'device.brand.infoUrl', rua['device_brand_info_url']);
+
+            }
+        }
+
+        if (opts.hints && rua['ua_class_code'] !== 'crawler') {
+            clientHints.applyHints(this.stmt, rua, ruaJson, opts.hints, opts);
+        }
+
+        debug('parse useragent string: END, unset useragent string');
+
+        return {
+            udger:rua,
+            json:ruaJson
+        };
+    }
+
+    /**
+     * Parse the IP Address
+     * @param {String} ip - An IPv4 or IPv6 Address
+     * @param {Object} [opts] - options, see parse()
+     * @return {Object} result in udger format (udger) and json format (json)
+     */
+    parseIp(ip, opts) {
+
+        if (!opts) opts = {};
+
+        const rip = JSON.parse(JSON.stringify(this.defaultRet['ip_address']));
+        const ripJson = {};
+
+        if (!ip) return {
+            udger:rip,
+            json:ripJson
+        };
+
+        ip = ip.toLowerCase();
+
+
+        let r;
+        let ipInt;
+        let ipa;
+
+        debug('parse IP address: START (IP: ' + ip + ')');
+
+        rip['ip'] = ip;
+        dotProp.set(ripJson, 'ip', ip);
+
+        const ipver = utils.getIpVersion(ip);
+
+        if (ipver === 4 || ipver === 6) {
+            if (ipver === 6) {
+                ip = utils.inetNtop(utils.inetPton(ip));
+                debug('compress IP address is:' + ip);
+            }
+        }
+
+        rip['ip_ver'] = ipver;
+        if (opts.full) {
+            dotProp.set(ripJson, 'version', ipver);
+        }
+
+        r = this.stmt.ip.get(ip);
+
+        if (r) {
+
+            // UDGER FORMAT
+            rip['ip_classification'] = r['ip_classification'] || '';
+            rip['ip_classification_code'] = r['ip_classification_code'] || '';
+            rip['ip_last_seen'] = r['ip_last_seen'] || '';
+            rip['ip_hostname'] = r['ip_hostname'] || '';
+            rip['ip_country'] = r['ip_country'] || '';
+            rip['ip_country_code'] = r['ip_country_code'] || '';
+            rip['ip_city'] = r['ip_city'] || '';
+
+            rip['crawler_name'] = r['name'] || '';
+            rip['crawler_ver'] = r['ver'] || '';
+            rip['crawler_ver_major'] = r['ver_major'] || '';
+            rip['crawler_family'] = r['family'] || '';
+            rip['crawler_family_code'] = r['family_code'] || '';
+            rip['crawler_family_homepage'] = r['family_homepage'] || '';
+            rip['crawler_family_vendor'] = r['vendor'] || '';
+            rip['crawler_family_vendor_code'] = r['vendor_code'] || '';
+            rip['crawler_family_vendor_homepage'] = r['vendor_homepage'] || '';
+            rip['crawler_family_icon'] = r['family_icon'] || '';
+            if (r['ip_classification_code'] === 'crawler') {
+                rip['crawler_family_info_url'] = 'https://udger.com/resources/ua-list/bot-detail?bot=' + (r['family'] || '') + '#id' + (r['botid']|| '');
+            }
+            rip['crawler_last_seen'] = r['last_seen'] || '';
+            rip['crawler_category'] = r['crawler_classification'] || '';
+            rip['crawler_category_code'] = r['crawler_classification_code'] || '';
+            rip['crawler_respect_robotstxt'] = r['respect_robotstxt'] || '';
+
+            // JSON FORMAT
+            if (opts.full) {
+                rip['ip_classification'] && dotProp.set(ripJson, 'classification.name', rip['ip_classification']);
+                rip['ip_classification_code'] && dotProp.set(ripJson, 'classification.code', rip['ip_classification_code']);
+            } else {
+                rip['ip_classification_code'] && dotProp.set(ripJson, 'classification', rip['ip_classification_code']);
+            }
+
+            rip['ip_last_seen'] && dotProp.set(ripJson, 'lastSeen', rip['ip_last_seen']);
+            rip['ip_hostname'] && dotProp.set(ripJson, 'hostname', rip['ip_hostname']);
+            rip['ip_country'] && dotProp.set(ripJson, 'geo.country.name', rip['ip_country']);
+            rip['ip_country_code'] && dotProp.set(ripJson, 'geo.country.code', rip['ip_country_code']);
+            rip['ip_city'] && dotProp.set(ripJson, 'geo.city', rip['ip_city']);
+
+            rip['crawler_name'] && dotProp.set(ripJson, 'crawler.name', rip['crawler_name']);
+            if (opts.full) {
+                rip['crawler_ver'] && dotProp.set(ripJson, 'crawler.version.current', rip['crawler_ver']);
+                rip['crawler_ver_major'] && dotProp.set(ripJson, 'crawler.version.major', rip['crawler_ver_major']);
+                rip['crawler_family'] && dotProp.set(ripJson, 'crawler.family.name', rip['crawler_family']);
+                rip['crawler_family_code'] && dotProp.set(ripJson, 'crawler.family.code', rip['crawler_family_code']);
+                rip['crawler_family_homepage'] && dotProp.set(ripJson, 'crawler.family.homepage', rip['crawler_family_homepage']);
+                rip['crawler_family_vendor'] && dotProp.set(ripJson, 'crawler.family.vendor.name', rip['crawler_family_vendor']);
+                rip['crawler_family_vendor_code'] && dotProp.set(ripJson, 'crawler.family.vendor.code', rip['crawler_family_vendor_code']);
+                rip['crawler_family_vendor_homepage'] && dotProp.set(ripJson, 'crawler.family.vendor.homepage', rip['crawler_family_vendor_homepage']);
+                rip['crawler_family_icon'] && dotProp.set(ripJson, 'crawler.family.icon', rip['crawler_family_icon']);
+                if (r['ip_classification_code'] === 'crawler') {
+                    rip['crawler_family_info_url'] && dotProp.set(ripJson, 'crawler.family.infoUrl', rip['crawler_family_info_url']);
+                }
+                rip['crawler_last_seen'] && dotProp.set(ripJson, 'crawler.lastSeen', rip['crawler_last_seen']);
+                rip['crawler_category'] && dotProp.set(ripJson, 'crawler.category.name', rip['crawler_category']);
+                rip['crawler_category_code'] && dotProp.set(ripJson, 'crawler.category.code', rip['crawler_category_code']);
+                rip['crawler_respect_robotstxt'] && dotProp.set(ripJson, 'crawler.respectRobotsTxt', rip['crawler_category_code']);
+            } else {
+                rip['crawler_family_code'] && dotProp.set(ripJson, 'crawler.family', rip['crawler_family_code']);
+                rip['crawler_category_code'] && dotProp.set(ripJson, 'crawler.category', rip['crawler_category_code']);
+                rip['crawler_last_seen'] && dotProp.set(ripJson, 'crawler.lastSeen', rip['crawler_last_seen']);
+            }
+
+        } else {
+
+            rip['ip_classification'] = 'Unrecognized';
+            rip['ip_classification_code'] = 'unrecognized';
+
+            if (opts.full) {
+                dotProp.set(ripJson, 'classification.name', rip['ip_classification']);
+                dotProp.set(ripJson, 'classification.code', rip['ip_classification_code']);
+            } else {
+                dotProp.set(ripJson, 'classification', rip['ip_classification_code']);
+            }
+        }
+
+        if (ipver === 4) {
+
+            ipInt = utils.ip2long(ip);
+
+            const range = this.rules.datacenter.find(ipInt);
+
+            if (range) {
+
+                r = range.value;
+                rip['datacenter_name'] = r['name'] || '';
+                rip['datacenter_name_code'] = r['name_code'] || '';
+                rip['datacenter_homepage'] = r['homepage'] || '';
+                rip['datacenter_range_from'] = utils.long2ip(range.from);
+                rip['datacenter_range_to'] = utils.long2ip(range.to);
+                rip['datacenter_range_cidr'] = ipRanges.ipv4Cidrs(range.from, range.to).join(',');
+
+                if (opts.full) {
+                    rip['datacenter_name'] && dotProp.set(ripJson, 'datacenter.name', rip['datacenter_name']);
+                    rip['datacenter_name_code'] && dotProp.set(ripJson, 'datacenter.code', rip['datacenter_name_code']);
+                    rip['datacenter_homepage'] && dotProp.set(ripJson, 'datacenter.homepage', rip['datacenter_homepage']);
+                    dotProp.set(ripJson, 'datacenter.range', {
+                        from: rip['datacenter_range_from'],
+                        to: rip['datacenter_range_to'],
+                        cidr: rip['datacenter_range_cidr'].split(',')
+                    });
+                } else {
+                    rip['datacenter_name_code'] && dotProp.set(ripJson, 'datacenter', rip['datacenter_name_code']);
+                }
+
+            }
+
+        } else if (ipver === 6) {
+
+            ipa = new Address6(ip);
+            const groups = ipa.canonicalForm().split(':').map((h) => parseInt(h, 16));
+            const range = this.rules.datacenter6.find(ipRanges.ipv6ToBigInt(groups));
+
+            if (range) {
+
+                r = range.value;
+                rip['datacenter_name'] = r['name'] || '';
+                rip['datacenter_name_code'] = r['name_code'] || '';
+                rip['datacenter_homepage'] = r['homepage'] || '';
+                rip['datacenter_range_from'] = ipRanges.bigIntToIpv6(range.from);
+                rip['datacenter_range_to'] = ipRanges.bigIntToIpv6(range.to);
+                rip['datacenter_range_cidr'] = ipRanges.ipv6Cidrs(range.from, range.to).join(',');
+
+                if (opts.full) {
+                    rip['datacenter_name'] && dotProp.set(ripJson, 'datacenter.name', rip['datacenter_name']);
+                    rip['datacenter_name_code'] && dotProp.set(ripJson, 'datacenter.code', rip['datacenter_name_code']);
+                    rip['datacenter_homepage'] && dotProp.set(ripJson, 'datacenter.homepage', rip['datacenter_homepage']);
+                    dotProp.set(ripJson, 'datacenter.range', {
+                        from: rip['datacenter_range_from'],
+                        to: rip['datacenter_range_to'],
+                        cidr: rip['datacenter_range_cidr'].split(',')
+                    });
+                } else {
+                    rip['datacenter_name_code'] && dotProp.set(ripJson, 'datacenter', rip['datacenter_name_code']);
+                }
+            }
+
+        }
+
+        debug('parse IP address: END');
+
+        return {
+            udger:rip,
+            json:ripJson
+        };
+    }
+
+    /**
+     * Main parser
+     *
+     * parse({ ua, ip }, opts) does not keep anything on the instance and can be
+     * used concurrently, parse(opts) parses the data initialized by set()
+     * @param {Object} [data] - An object
+     * @param {String} data.ua - User-Agent
+     * @param {String} data.ip - IP Address
+     * @param {Object} data.hints - request headers having User-Agent client hints (Sec-CH-UA...)
+     * @param {Object} [opts] - options
+     * @param {Boolean} opts.json - compact JSON format
+     * @param {Boolean} opts.full - full JSON format (with opts.json)
+     * @return {Object} Parsing result
+     */
+    parse(data, opts) {
+
+        if (arguments.length < 2 && !isInput(data)) {
+            // compatibility layer, data initialized by set()
+            if (this.ua === null && this.ip === null && this.db) {
+                // nothing set yet, empty parts as before parse({ ua, ip })
+                const none = { udger: {}, json: {} };
+                return formatResult(null, null, none, none, data || {});
+            }
+            return this.parse({ ua: this.ua, ip: this.ip }, data);
+        }
+
+        if (!this.db) return {};
+
+        const input = checkInput(data || {}, 'parse() is waiting for an object having only ip and/or ua attribute', true);
+        const ua = input.ua;
+        const ip = input.ip;
+
+        if (!opts) opts = {};
+
+        const uaOpts = input.hints ? Object.assign({}, opts, { hints: input.hints }) : opts;
+
+        if (!this.isCacheSync()) {
+            return formatResult(
+                ua, ip,
+                opts.json && !ua ? null : this.parseUa(ua, uaOpts),
+                opts.json && !ip ? null : this.parseIp(ip, opts),
+                opts
+            );
+        }
+
+        const keys = this.cacheKeys(ua, ip, input.hints, opts);
+
+        // missing parts are not read from the cache, they don't change from_cache
+        const uaPart = ua ?
+            this.cacheGet(this.uaCache, keys.ua, () => this.parseUa(ua, uaOpts)) :
+            { ret: opts.json ? null : this.parseUa(ua, opts), hit: true };
+        const ipPart = ip ?
+            this.cacheGet(this.ipCache, keys.ip, () => this.parseIp(ip, opts)) :
+            { ret: opts.json ? null : this.parseIp(ip, opts), hit: true };
+
+        return this.cachedResult(ua, ip, uaPart, ipPart, opts);
+    }
+
+    /**
+     * Parse a batch of records, each distinct User-Agent and IP is parsed once
+     *
+     * Records having the same User-Agent (or IP) get copies of its result, frozen with setCacheFreeze(true)
+     * @param {Iterable} items - Array or iterable of { ua, ip } objects
+     * @param {Object} [opts] - options, see parse()
+     * @return {Object} results (aligned to items, same format as parse()) and stats
+     * @throws {Error} if the database is not connected
+     */
+    parseMany(items, opts) {
+        this.checkDatabase();
+
+        if (!items || typeof items[Symbol.iterator] !== 'function') {
+            throw new Error('parseMany() is waiting for an array or an iterable of { ua, ip } objects');
+        }
+
+        if (!opts) opts = {};
+
+        const start = process.hrtime();
+        const cache = this.isCacheSync();
+        const uas = new Map();
+        const ips = new Map();
+        const results = [];
+
+        // records don't share mutable objects, a result already given to a record is copied (or frozen)
+        const given = new Set();
+        const take = (ret) => {
+            if (!ret || !given.has(ret)) {
+                ret && given.add(ret);
+                return ret;
+            }
+            return this.cacheValue(ret);
+        };
+
+        for (const item of items) {
+            const input = checkInput(item || {}, 'parseMany() is waiting for objects having only ip and/or ua attribute', true);
+            const ua = input.ua;
+            const ip = input.ip;
+
+            // the same User-Agent with other client hints is another result
+            const uaKey = ua && input.hints ? ua + '\n' + clientHints.hintsKey(input.hints) : ua;
+
+            if (!uas.has(uaKey)) {
+                const uaOpts = input.hints ? Object.assign({}, opts, { hints: input.hints }) : opts;
+                const parseUa = () => this.parseUa(ua, uaOpts);
+                const key = cache && this.cacheKeys(ua, null, input.hints, opts).ua;
+                uas.set(uaKey, opts.json && !ua ? null : (key ? this.cacheGet(this.uaCache, key, parseUa).ret : parseUa()));
+            }
+            if (!ips.has(ip)) {
+                const parseIp = () => this.parseIp(ip, opts);
+                const key = cache && this.cacheKeys(null, ip, null, opts).ip;
+                ips.set(ip, opts.json && !ip ? null : (key ? this.cacheGet(this.ipCache, key, parseIp).ret : parseIp()));
+            }
+
+            results.push(formatResult(ua, ip, take(uas.get(uaKey)), take(ips.get(ip)), opts));
+        }
+
+        const elapsed = process.hrtime(start);
+
+        // missing or empty ua/ip are not counted
+        const count = (m) => Array.from(m.keys()).filter((k) => k).length;
+
+        return {
+            results,
+            stats: {
+                count: results.length,
+                uniqueUa: count(uas),
+                uniqueIp: count(ips),
+                elapsed: elapsed[0] * 1e3 + elapsed[1] / 1e6
+            }
+        };
+    }
+
+    /**
+     * Parse the User-Agent headers of a request
+     *
+     * The os and the device are taken from the User-Agent of the device announced by proxy
+     * browsers and WebViews (Device-Stock-UA, X-Operamini-Phone-UA, X-Original-User-Agent...),
+     * then the result is refined with the client hints headers
+     * @param {Object} headers - request headers, any case
+     * @param {Object} [opts] - options, see parse()
+     * @return {Object} Parsing result, same format as parse({ ua }) with the headers used,
+     * the X-Requested-With application package and the X-Wap-Profile URL
+     */
+    parseHeaders(headers, opts) {
+        if (!this.db) return {};
+
+        if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+            throw new Error('parseHeaders() is waiting for a request headers object');
+        }
+
+        if (!opts) opts = {};
+
+        const h = requestHeaders.normalizeHeaders(headers);
+        const devices = requestHeaders.deviceUas(h).map((d) => ({ header: d.header, result: this.parseUa(d.ua, opts) }));
+
+        // without User-Agent, the first device User-Agent is the main one
+        const main = h['user-agent'] ?
+            { header: 'user-agent', result: this.parseUa(h['user-agent'], opts) } :
+            devices.shift() || { header: null, result: this.parseUa('', opts) };
+
+        const used = requestHeaders.mergeResults(main, devices);
+        const rua = main.result.udger;
+        const ruaJson = main.result.json;
+
+        const hinted = Object.keys(h).some((key) => key.startsWith('sec-ch-ua'));
+        if (hinted && rua['ua_string'] && rua['ua_class_code'] !== 'crawler') {
+            clientHints.applyHints(this.stmt, rua, ruaJson, h, opts);
+        }
+
+        const app = requestHeaders.appPackage(h['x-requested-with']);
+        const profile = requestHeaders.wapProfile(h);
+
+        rua['ua_headers'] = used;
+        rua['app_package'] = app;
+        rua['wap_profile'] = profile;
+
+        ruaJson.uaHeaders = used;
+        app && dotProp.set(ruaJson, 'app.package', app);
+        profile && dotProp.set(ruaJson, 'device.wapProfile', profile);
+
+        return formatResult(rua['ua_string'], null, main.result, opts.json ? null : this.parseIp(null, opts), opts);
+    }
+
+    /**
+     * Asynchronous parse({ ua, ip }, opts), the only method using an async cache adapter
+     * @param {Object} data - An object having ip and/or ua attribute
+     * @param {Object} [opts] - options, see parse()
+     * @return {Promise} resolved with the parsing result, rejected if the database is not ready
+     */
+    parseAsync(data, opts) {
+        return new Promise((resolve) => {
+            if (!this.db) throw new Error('Database not ready');
+
+            if (!this.isCacheEnable() || this.isCacheSync()) {
+                resolve(this.parse(data || {}, opts || {}));
+                return;
+            }
+
+            const input = checkInput(data || {}, 'parse() is waiting for an object having only ip and/or ua attribute', true);
+            const ua = input.ua;
+            const ip = input.ip;
+
+            if (!opts) opts = {};
+
+            const uaOpts = input.hints ? Object.assign({}, opts, { hints: input.hints }) : opts;
+            const keys = this.cacheKeys(ua, ip, input.hints, opts);
+            // a reload while waiting for the cache must not change the database of this request
+            const acquired = this.acquire();
+            const parser = acquired.parser;
+
+            const ret = Promise.all([
+                ua ?
+                    this.cacheGetAsync(this.uaCache, keys.ua, () => parser.parseUa(ua, uaOpts), acquired.current) :
+                    { ret: opts.json ? null : parser.parseUa(ua, opts), hit: true },
+                ip ?
+                    this.cacheGetAsync(this.ipCache, keys.ip, () => parser.parseIp(ip, opts), acquired.current) :
+                    { ret: opts.json ? null : parser.parseIp(ip, opts), hit: true }
+            ]).then((parts) => this.cachedResult(ua, ip, parts[0], parts[1], opts));
+
+            ret.then(acquired.release, acquired.release);
+            resolve(ret);
+        });
+    }
+
+    /**
+     * Asynchronous parseUa(ua, opts)
+     * @param {String} ua - An User-Agent string
+     * @param {Object} [opts] - options, see parse()
+     * @return {Promise} resolved with the parsing result, rejected if the database is not ready
+     */
+    parseUaAsync(ua, opts) {
+        return new Promise((resolve) => {
+            if (!this.db) throw new Error('Database not ready');
+            resolve(this.parseUa(ua, opts));
+        });
+    }
+
+    /**
+     * Asynchronous parseIp(ip, opts)
+     * @param {String} ip - An IPv4 or IPv6 Address
+     * @param {Object} [opts] - options, see parse()
+     * @return {Promise} resolved with the parsing result, rejected if the database is not ready
+     */
+    parseIpAsync(ip, opts) {
+        return new Promise((resolve) => {
+            if (!this.db) throw new Error('Database not ready');
+            resolve(this.parseIp(ip, opts));
+        });
+    }
+
+    /**
+     * Configure verifyCrawler(), the cached verdicts are dropped
+     * @param {Object} [opts] - options
+     * @param {Object} opts.resolver - { reverse, resolve4, resolve6 } returning promises, ie a dns.promises.Resolver
+     * @param {Object} opts.domains - reverse DNS domains by crawler family code, ie { googlebot: ['googlebot.com'] }
+     * @param {Number} opts.ttl - verdicts lifetime in milliseconds, 0 for no expiration (default: 1 hour)
+     * @param {Number} opts.cacheSize - maximum number of cached verdicts (default: 10000)
+     * @param {Number} opts.timeout - timeout of each DNS query in milliseconds (default: 5000)
+     */
+    setCrawlerVerification(opts) {
+        // dns is only needed from here
+        const CrawlerVerifier = require('./crawlerVerify').CrawlerVerifier;
+        this.crawlerVerifier = new CrawlerVerifier(opts);
+    }
+
+    /**
+     * Parse an User-Agent and an IP address, and verify a crawler IP with a forward-confirmed reverse DNS
+     *
+     * If the User-Agent is a crawler, the hostname of the IP must be in the domains of the crawler family
+     * and resolve back to the IP. The verdict is in ip_address.crawler_verification: verified, failed,
+     * unknown (no domains for the family) or not_crawler, and the hostname in crawler_verification_hostname
+     * @param {String} ua - User-Agent
+     * @param {String} ip - IP Address
+     * @param {Object} [opts] - options, see parse()
+     * @return {Promise} resolved with the parsing result, rejected on DNS errors
+     */
+    verifyCrawler(ua, ip, opts) {
+        return new Promise((resolve) => {
+            this.checkDatabase();
+
+            if (!ua || !ip || !require('net').isIP(ip)) {
+                throw new Error('verifyCrawler() is waiting for an User-Agent and a valid IP address');
+            }
+
+            if (!opts) opts = {};
+            if (!this.crawlerVerifier) this.setCrawlerVerification();
+
+            // not parse(), the verdict must not be written into its cache
+            const uaRet = this.parseUa(ua, opts);
+            const ipRet = this.parseIp(ip, opts);
+
+            const verdict = uaRet.udger['ua_class_code'] === 'crawler' ?
+                this.crawlerVerifier.verify(uaRet.udger['ua_family_code'], ip.toLowerCase()) :
+                { status: 'not_crawler', hostname: '' };
+
+            resolve(Promise.resolve(verdict).then((v) => {
+                ipRet.udger['crawler_verification'] = v.status;
+                ipRet.udger['crawler_verification_hostname'] = v.hostname;
+
+                dotProp.set(ipRet.json, 'crawlerVerification.status', v.status);
+                v.hostname && dotProp.set(ipRet.json, 'crawlerVerification.hostname', v.hostname);
+
+                return formatResult(ua, ip, uaRet, ipRet, opts);
+            }));
+        });
+    }
+
+    /**
+     * Run a helper, the result is passed to the callback if any,
+     * otherwise a promise is returned
+     * @param {Function} [callback] - node style callback
+     * @param {Function} fn - helper body, returns the result or throws
+     * @return {Promise|Boolean|undefined} promise if no callback, false on error
+     */
+    helper(callback, fn) {
+        if (!callback) {
+            return new Promise((resolve) => resolve(fn()));
+        }
+
+        let result;
+        try {
+            result = fn();
+        } catch (err) {
+            callback(err);
+            return false;
+        }
+
+        callback(null, result);
+        return;
+    }
+
+    checkDatabase() {
+        if (!this.db) {
+            throw new Error('Database not ready');
+        }
+    }
+
+    checkRandomMax(max) {
+        this.checkDatabase();
+
+        if (!max) {
+            throw new Error('Please specify maximum number of records');
+        }
+
+        if (typeof max!= 'number') {
+            throw new Error('Maximum number of records is not a number');
+        }
+    }
+
+    randomUACrawlers(max, callback) {
+        return this.helper(callback, () => {
+            this.checkRandomMax(max);
+
+            return this.stmt.randomCrawlers.all(max);
+        });
+    }
+
+    randomUAClientsRegex(max, callback) {
+        return this.helper(callback, () => {
+            this.checkRandomMax(max);
+
+            return this.stmt.randomClientRegexes.all(max);
+        });
+    }
+
+    randomUAClients(max, callback) {
+        return this.helper(callback, () => {
+            this.checkRandomMax(max);
+
+            const results = this.stmt.randomClientRegexes.all(max);
+
+            let regexClean;
+            let randomUA;
+            let re;
+            let reClean;
+            for (let i = 0, len=results.length; i<len; i++) {
+                regexClean = results[i].regstring.replace(/^\//, '');
+                regexClean = regexClean.replace(/\/si$/, '');
+                reClean = new RegExp(regexClean);
+                re = new RandExp(reClean);
+
+                re.max = 5;                         // limit random for * and +
+                re.defaultRange.subtract(32, 126);  // remove defaults random chars
+                re.defaultRange.add(43, 43);        // add +
+                re.defaultRange.add(45, 46);        // add . and -
+                re.defaultRange.add(48, 57);        // add 0-9
+                re.defaultRange.add(97, 122);       // add a-z
+                re.defaultRange.add(65, 90);        // add A-Z
+
+                randomUA = re.gen();
+
+                results[i].randomUA = randomUA;
+            }
+
+            return results;
+        });
+    }
+
+    randomIPv4(max, callback) {
+        return this.helper(callback, () => {
+            this.checkRandomMax(max);
+
+            return this.stmt.randomIPv4.all(max);
+        });
+    }
+
+    getUAClientsClassification(callback) {
+        return this.helper(callback, () => {
+            this.checkDatabase();
+
+            return this.stmt.clientClasses.all();
+        });
+    }
+
+    getUACrawlersClassification(callback) {
+        return this.helper(callback, () => {
+            this.checkDatabase();
+
+            return this.stmt.crawlerClasses.all();
+        });
+    }
+
+    getUACrawlersFamilies(callback) {
+        return this.helper(callback, () => {
+            this.checkDatabase();
+
+            return this.stmt.crawlerFamilies.all();
+        });
+    }
+
+    getDatabaseInfo(callback) {
+        return this.helper(callback, () => {
+            this.checkDatabase();
+
+            const result = this.stmt.dbInfo.get();
+            delete result.key;
+
+            return result;
+        });
+    }
+
+    /**
+     * Promise returning getDatabaseInfo()
+     * @return {Promise} resolved with the udger_db_info record
+     */
+    info() {
+        return this.getDatabaseInfo();
+    }
+
+    getIPsClassification(callback) {
+        return this.helper(callback, () => {
+            this.checkDatabase();
+
+            return this.stmt.ipClasses.all();
+        });
+    }
+
+    getIncompatibleRegexes(callback) {
+        return this.helper(callback, () => {
+            this.checkDatabase();
+            return this.regexIssues.map((r) => Object.assign({}, r));
+        });
+    }
+}
+
+module.exports = UdgerParser;
@@ -0,0 +1,1133 @@
+// PCRE (PHP preg_*) to JavaScript regular expression translator
+//
+// The pattern is parsed into a small tree, then emitted again as a JavaScript
+// regular expression. Constructs without a JavaScript equivalent are rewritten:
+//  - possessive quantifiers and atomic groups use the (?=(X))\n idiom,
+//    extra capture groups are hidden by remapping the match result
+//  - inline modifiers (?i) (?s) (?m) (?x) (?U) are applied while parsing
+//  - \A \z \Z \G, ^ and $ are rewritten to their PCRE meaning
+//  - \x{...}, \o{...}, \h \v \R \N, POSIX classes, \Q...\E, named groups
+// Constructs which can not be translated exactly are reported as issues,
+// constructs which can not be translated at all throw an Error.
+
+const SPACE = [[0x09, 0x0D], [0x20, 0x20]];
+const HSPACE = [
+    [0x09, 0x09], [0x20, 0x20], [0xA0, 0xA0], [0x1680, 0x1680], [0x180E, 0x180E],
+    [0x2000, 0x200A], [0x202F, 0x202F], [0x205F, 0x205F], [0x3000, 0x3000]
+];
+const VSPACE = [[0x0A, 0x0D], [0x85, 0x85], [0x2028, 0x2029]];
+const NEWLINE = [[0x0A, 0x0A]];
+
+const POSIX = {
+    alpha: [[0x41, 0x5A], [0x61, 0x7A]],
+    digit: [[0x30, 0x39]],
+    alnum: [[0x30, 0x39], [0x41, 0x5A], [0x61, 0x7A]],
+    upper: [[0x41, 0x5A]],
+    lower: [[0x61, 0x7A]],
+    space: SPACE,
+    blank: [[0x09, 0x09], [0x20, 0x20]],
+    punct: [[0x21, 0x2F], [0x3A, 0x40], [0x5B, 0x60], [0x7B, 0x7E]],
+    xdigit: [[0x30, 0x39], [0x41, 0x46], [0x61, 0x66]],
+    word: [[0x30, 0x39], [0x41, 0x5A], [0x5F, 0x5F], [0x61, 0x7A]],
+    cntrl: [[0x00, 0x1F], [0x7F, 0x7F]],
+    print: [[0x20, 0x7E]],
+    graph: [[0x21, 0x7E]],
+    ascii: [[0x00, 0x7F]]
+};
+
+const BACKTRACKING_VERBS = ['ACCEPT', 'COMMIT', 'PRUNE', 'SKIP', 'THEN', 'MARK'];
+
+let unicodePropertySupport;
+try {
+    new RegExp('\\p{L}', 'u');
+    unicodePropertySupport = true;
+} catch (err) {
+    unicodePropertySupport = false;
+}
+
+function hex(cp, len) {
+    let h = cp.toString(16).toUpperCase();
+    while (h.length < len) h = '0' + h;
+    return h;
+}
+
+function isLetter(cp) {
+    return (cp >= 0x41 && cp <= 0x5A) || (cp >= 0x61 && cp <= 0x7A);
+}
+
+function otherCase(cp) {
+    if (cp >= 0x41 && cp <= 0x5A) return cp + 0x20;
+    if (cp >= 0x61 && cp <= 0x7A) return cp - 0x20;
+    return cp;
+}
+
+function mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const r of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && r[0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], r[1]);
+        } else {
+            merged.push([r[0], r[1]]);
+        }
+    }
+    return merged;
+}
+
+function complementRanges(ranges, max) {
+    const ret = [];
+    let next = 0;
+    for (const r of mergeRanges(ranges)) {
+        if (r[0] > next) ret.push([next, r[0] - 1]);
+        next = r[1] + 1;
+    }
+    if (next <= max) ret.push([next, max]);
+    return ret;
+}
+
+function caseFoldRanges(ranges) {
+    const ret = ranges.slice();
+    for (const r of ranges) {
+        [[0x41, 0x5A], [0x61, 0x7A]].forEach((letters) => {
+            const lo = Math.max(r[0], letters[0]);
+            const hi = Math.min(r[1], letters[1]);
+            if (lo <= hi) ret.push([otherCase(lo), otherCase(hi)]);
+        });
+    }
+    return ret;
+}
+
+/**
+ * Split a PHP regex string into pattern and modifiers
+ * @param {String} str - regex with delimiters, ie "/^Mozilla/si"
+ * @return {Object} pattern and modifiers
+ */
+function parseDelimited(str) {
+    const s = str.replace(/^\s+/, '');
+    if (!s.length) throw new Error('Empty regular expression');
+
+    const delimiter = s[0];
+    if (/[a-zA-Z0-9\\\s]/.test(delimiter)) {
+        throw new Error('Delimiter must not be alphanumeric or backslash');
+    }
+
+    const pairs = { '(': ')', '[': ']', '{': '}', '<': '>' };
+    const end = pairs[delimiter] || delimiter;
+    let nesting = 1;
+    let i;
+
+    for (i = 1; i < s.length; i++) {
+        const c = s[i];
+        if (c === '\\') {
+            i++;
+        } else if (end !== delimiter && c === delimiter) {
+            nesting++;
+        } else if (c === end && --nesting === 0) {
+            break;
+        }
+    }
+
+    if (i >= s.length) throw new Error('No ending delimiter \'' + end + '\' found');
+
+    const modifiers = s.slice(i + 1).replace(/\s/g, '');
+    const unknown = modifiers.replace(/[imsxADSUXJu]/g, '');
+    if (unknown) throw new Error('Unknown modifier \'' + unknown[0] + '\'');
+
+    return {
+        pattern: s.slice(1, i),
+        modifiers
+    };
+}
+
+/**
+ * Count capturing groups, needed to tell a backreference from an octal escape
+ * @param {String} pattern - PCRE pattern without delimiters
+ * @return {Number} number of capturing groups
+ */
+function countGroups(pattern) {
+    let count = 0;
+    let inClass = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '\\') {
+            if (pattern[i + 1] === 'Q') {
+                const e = pattern.indexOf('\\E', i + 2);
+                i = e === -1 ? pattern.length : e + 1;
+            } else {
+                i++;
+            }
+        } else if (inClass) {
+            if (c === ']') inClass = false;
+        } else if (c === '[') {
+            inClass = true;
+            if (pattern[i + 1] === '^') i++;
+            if (pattern[i + 1] === ']') i++;
+        } else if (c === '(') {
+            if (pattern[i + 1] !== '?' && pattern[i + 1] !== '*') {
+                count++;
+            } else if (/^\(\?(?:<[a-zA-Z_]|'|P<)/.test(pattern.slice(i, i + 4))) {
+                count++;
+            }
+        }
+    }
+    return count;
+}
+
+/** PCRE pattern parser, builds the tree emitted by translate() */
+class PcreParser {
+
+    constructor(pattern, modifiers) {
+        this.src = pattern;
+        this.pos = 0;
+        this.issues = [];
+        this.groupCount = 0;
+        this.totalGroups = countGroups(pattern);
+        this.names = {};
+        this.needsUnicode = false;
+        this.caseMixed = false;
+
+        this.global = {
+            i: modifiers.indexOf('i') !== -1,
+            A: modifiers.indexOf('A') !== -1,
+            D: modifiers.indexOf('D') !== -1,
+            u: modifiers.indexOf('u') !== -1
+        };
+
+        this.flags = {
+            i: this.global.i,
+            m: modifiers.indexOf('m') !== -1,
+            s: modifiers.indexOf('s') !== -1,
+            x: modifiers.indexOf('x') !== -1,
+            U: modifiers.indexOf('U') !== -1
+        };
+    }
+
+    error(message) {
+        return new Error(message + ' at offset ' + this.pos);
+    }
+
+    issue(message) {
+        if (this.issues.indexOf(message) === -1) this.issues.push(message);
+    }
+
+    parse() {
+        this.parseStartOptions();
+        const ast = this.parseAlternation();
+        if (this.pos < this.src.length) {
+            throw this.error('Unmatched closing parenthesis');
+        }
+        this.resolveReferences(ast);
+        return ast;
+    }
+
+    parseStartOptions() {
+        let m;
+        while ((m = this.src.slice(this.pos).match(/^\(\*([A-Z_]+[0-9]*)(?:=[0-9]+)?\)/))) {
+            const option = m[1];
+            if (option === 'UTF8' || option === 'UTF') {
+                this.global.u = true;
+            } else if (option === 'UCP') {
+                this.issue('(*UCP) Unicode properties for \\d, \\w and \\s are not supported');
+            } else if (['CR', 'LF', 'CRLF', 'ANYCRLF', 'ANY', 'NUL', 'BSR_ANYCRLF', 'BSR_UNICODE'].indexOf(option) !== -1) {
+                this.issue('newline convention (*' + option + ') is ignored');
+            } else if (!/^(NO_|LIMIT_|NOTEMPTY)/.test(option)) {
+                break;
+            }
+            this.pos += m[0].length;
+        }
+
+        // leading inline modifiers apply to the whole pattern
+        while ((m = this.src.slice(this.pos).match(/^\(\?([a-zA-Z]*)(?:-([a-zA-Z]*))?\)/))) {
+            this.applyModifiers(m[1], m[2] || '', this.flags);
+            this.global.i = this.flags.i;
+            this.pos += m[0].length;
+        }
+        this.caseMixed = false;
+    }
+
+    applyModifiers(on, off, flags) {
+        const apply = (letters, value) => {
+            for (const l of letters) {
+                if (l === 'i' || l === 'm' || l === 's' || l === 'x' || l === 'U') {
+                    flags[l] = value;
+                } else if (l !== 'J' && l !== 'X') {
+                    throw this.error('Unrecognized character after (? or (?-');
+                }
+            }
+        };
+        apply(on, true);
+        apply(off, false);
+        if (flags.i !== this.global.i) this.caseMixed = true;
+    }
+
+    peek() {
+        return this.src[this.pos];
+    }
+
+    readCodePoint() {
+        const cp = this.src.codePointAt(this.pos);
+        this.pos += cp > 0xFFFF ? 2 : 1;
+        return cp;
+    }
+
+    skipExtended() {
+        if (!this.flags.x) return;
+        while (this.pos < this.src.length) {
+            const c = this.peek();
+            if ('\t\n\x0B\f\r '.indexOf(c) !== -1) {
+                this.pos++;
+            } else if (c === '#') {
+                const nl = this.src.indexOf('\n', this.pos);
+                this.pos = nl === -1 ? this.src.length : nl + 1;
+            } else {
+                break;
+            }
+        }
+    }
+
+    parseAlternation() {
+        const branches = [this.parseSequence()];
+        while (this.peek() === '|') {
+            this.pos++;
+            branches.push(this.parseSequence());
+        }
+        return { type: 'alt', branches };
+    }
+
+    parseSequence() {
+        const nodes = [];
+        for (;;) {
+            this.skipExtended();
+            if (this.pos >= this.src.length) break;
+            const c = this.peek();
+            if (c === '|' || c === ')') break;
+
+            if (this.src.startsWith('\\Q', this.pos)) {
+                this.pos += 2;
+                const chars = this.readQuoted();
+                if (!chars.length) continue;
+                chars.slice(0, -1).forEach((cp) => nodes.push(this.charNode(cp)));
+                nodes.push(this.quantify(this.charNode(chars[chars.length - 1])));
+                continue;
+            }
+
+            const atom = this.parseAtom();
+            if (atom) nodes.push(this.quantify(atom));
+        }
+        return nodes;
+    }
+
+    readQuoted() {
+        const chars = [];
+        while (this.pos < this.src.length && !this.src.startsWith('\\E', this.pos)) {
+            chars.push(this.readCodePoint());
+        }
+        if (this.pos < this.src.length) this.pos += 2;
+        return chars;
+    }
+
+    quantify(atom) {
+        this.skipExtended();
+        const c = this.peek();
+        let min;
+        let max;
+        let len = 1;
+
+        if (c === '*') {
+            min = 0; max = Infinity;
+        } else if (c === '+') {
+            min = 1; max = Infinity;
+        } else if (c === '?') {
+            min = 0; max = 1;
+        } else if (c === '{') {
+            const m = this.src.slice(this.pos).match(/^\{(\d+)(?:(,)(\d*))?\}/);
+            if (!m) return atom;
+            min = parseInt(m[1], 10);
+            max = m[2] ? (m[3] ? parseInt(m[3], 10) : Infinity) : min;
+            if (max < min) throw this.error('Numbers out of order in {} quantifier');
+            len = m[0].length;
+        } else {
+            return atom;
+        }
+
+        if (atom.quantifiable === false) {
+            throw this.error('Quantifier does not follow a repeatable item');
+        }
+
+        this.pos += len;
+
+        let lazy = false;
+        let possessive = false;
+        if (this.peek() === '?') {
+            lazy = true;
+            this.pos++;
+        } else if (this.peek() === '+') {
+            possessive = true;
+            this.pos++;
+        }
+
+        return {
+            type: 'quant',
+            node: atom,
+            min,
+            max,
+            lazy: possessive ? false : lazy !== this.flags.U,
+            possessive
+        };
+    }
+
+    charNode(cp) {
+        return { type: 'char', cp, ci: this.flags.i };
+    }
+
+    setNode(ranges, negated) {
+        return { type: 'class', negated, ranges, raws: [], ci: false };
+    }
+
+    parseAtom() {
+        const c = this.peek();
+
+        switch (c) {
+        case '(':
+            return this.parseGroup();
+        case '[':
+            return this.parseClass();
+        case '.':
+            this.pos++;
+            return this.flags.s ? this.setNode([], true) : this.setNode(NEWLINE, true);
+        case '^':
+            this.pos++;
+            if (this.flags.m) {
+                return { type: 'raw', src: '(?:^|(?<=\\n)(?=[\\s\\S]))', atom: false };
+            }
+            return { type: 'raw', src: '^', atom: true };
+        case '$':
+            this.pos++;
+            if (this.flags.m) return { type: 'raw', src: '(?=\\n|$)', atom: false };
+            if (this.global.D) return { type: 'raw', src: '$', atom: true };
+            return { type: 'raw', src: '(?=\\n?$)', atom: false };
+        case '\\':
+            this.pos++;
+            return this.parseEscape(false);
+        case '*':
+        case '+':
+        case '?':
+            throw this.error('Quantifier does not follow a repeatable item');
+        case '{':
+            if (/^\{\d+(,\d*)?\}/.test(this.src.slice(this.pos))) {
+                throw this.error('Quantifier does not follow a repeatable item');
+            }
+            this.pos++;
+            return this.charNode(0x7B);
+        default:
+            return this.charNode(this.readCodePoint());
+        }
+    }
+
+    readName(terminator) {
+        const m = this.src.slice(this.pos).match(/^([a-zA-Z_][a-zA-Z0-9_]*)/);
+        if (!m || this.src[this.pos + m[1].length] !== terminator) {
+            throw this.error('Syntax error in subpattern name (missing terminator?)');
+        }
+        this.pos += m[1].length + 1;
+        return m[1];
+    }
+
+    parseGroup() {
+        const start = this.pos;
+        const rest = this.src.slice(this.pos);
+        let kind = 'capture';
+        let name;
+        let m;
+
+        if (rest.startsWith('(*')) {
+            m = rest.match(/^\(\*([A-Z]*)(?::[^)]*)?\)/);
+            if (m && (m[1] === 'FAIL' || m[1] === 'F')) {
+                this.pos += m[0].length;
+                return { type: 'raw', src: '(?!)', atom: true };
+            }
+            if (m && (m[1] === '' || BACKTRACKING_VERBS.indexOf(m[1]) !== -1)) {
+                throw this.error('Backtracking control verb (*' + (m[1] || 'MARK') + ') is not supported');
+            }
+            throw this.error('(*VERB) not recognized or malformed');
+        }
+
+        if (rest.startsWith('(?#')) {
+            const end = this.src.indexOf(')', this.pos);
+            if (end === -1) throw this.error('Missing ) after comment');
+            this.pos = end + 1;
+            return null;
+        }
+
+        if (rest.startsWith('(?')) {
+            this.pos += 2;
+            const c = this.peek();
+            if (c === ':') {
+                kind = 'noncapture';
+                this.pos++;
+            } else if (c === '>') {
+                kind = 'atomic';
+                this.pos++;
+            } else if (c === '=') {
+                kind = 'lookahead';
+                this.pos++;
+            } else if (c === '!') {
+                kind = 'neglookahead';
+                this.pos++;
+            } else if (rest.startsWith('(?<=')) {
+                kind = 'lookbehind';
+                this.pos += 2;
+            } else if (rest.startsWith('(?<!')) {
+                kind = 'neglookbehind';
+                this.pos += 2;
+            } else if (c === '<') {
+                this.pos++;
+                name = this.readName('>');
+            } else if (c === '\'') {
+                this.pos++;
+                name = this.readName('\'');
+            } else if (rest.startsWith('(?P<')) {
+                this.pos += 2;
+                name = this.readName('>');
+            } else if (rest.startsWith('(?P=')) {
+                this.pos += 2;
+                return { type: 'backref', name: this.readName(')'), ci: this.flags.i };
+            } else if (c === '|') {
+                throw this.error('Branch reset groups (?| are not supported');
+            } else if (c === '(') {
+                throw this.error('Conditional groups are not supported');
+            } else if (c === 'C') {
+                throw this.error('Callouts are not supported');
+            } else if (/^(R|[+-]?\d|&|P>)/.test(this.src.slice(this.pos))) {
+                throw this.error('Recursion and subroutine calls are not supported');
+            } else {
+                m = this.src.slice(this.pos).match(/^([a-zA-Z]*)(?:-([a-zA-Z]*))?([):])/);
+                if (!m) throw this.error('Unrecognized character after (? or (?-');
+                this.pos += m[0].length;
+                if (m[3] === ')') {
+                    this.flags = Object.assign({}, this.flags);
+                    this.applyModifiers(m[1], m[2] || '', this.flags);
+                    return null;
+                }
+                const saved = this.flags;
+                this.flags = Object.assign({}, this.flags);
+                this.applyModifiers(m[1], m[2] || '', this.flags);
+                const body = this.parseGroupBody(start);
+                this.flags = saved;
+                return { type: 'group', kind: 'noncapture', body };
+            }
+        } else {
+            this.pos++;
+        }
+
+        const node = { type: 'group', kind };
+        if (kind === 'capture') {
+            node.index = ++this.groupCount;
+            if (name !== undefined) {
+                if (this.names[name]) throw this.error('Two named subpatterns have the same name');
+                this.names[name] = node.index;
+            }
+        }
+
+        const saved = this.flags;
+        this.flags = Object.assign({}, this.flags);
+        node.body = this.parseGroupBody(start);
+        this.flags = saved;
+
+        if (kind === 'lookbehind' || kind === 'neglookbehind') {
+            node.quantifiable = false;
+        }
+        return node;
+    }
+
+    parseGroupBody(start) {
+        const body = this.parseAlternation();
+        if (this.peek() !== ')') {
+            this.pos = start;
+            throw this.error('Missing closing parenthesis');
+        }
+        this.pos++;
+        return body;
+    }
+
+    /**
+     * Parse an escape sequence, the backslash is already consumed
+     * @param {Boolean} inClass - true inside a character class
+     * @return {Object} node, or null if the escape matches nothing
+     */
+    parseEscape(inClass) {
+        if (this.pos >= this.src.length) throw this.error('\\ at end of pattern');
+
+        const c = this.peek();
+        this.pos++;
+        let m;
+
+        switch (c) {
+        case 'd':
+        case 'D':
+        case 'w':
+        case 'W':
+            return { type: 'raw', src: '\\' + c, atom: true, classItem: true };
+        case 's':
+            return this.setNode(SPACE, false);
+        case 'S':
+            return this.setNode(SPACE, true);
+        case 'h':
+            return this.setNode(HSPACE, false);
+        case 'H':
+            return this.setNode(HSPACE, true);
+        case 'v':
+            return this.setNode(VSPACE, false);
+        case 'V':
+            return this.setNode(VSPACE, true);
+        case 'N':
+            if (inClass) throw this.error('\\N is not supported in a class');
+            return this.setNode(NEWLINE, true);
+        case 'R':
+            if (inClass) throw this.error('Escape sequence is invalid in character class');
+            return { type: 'raw', src: '(?:\\r\\n|[\\n\\x0B\\f\\r\\x85\\u2028\\u2029])', atom: true };
+        case 'X':
+            if (inClass) throw this.error('Escape sequence is invalid in character class');
+            this.issue('\\X (extended grapheme cluster) is approximated by a single character');
+            return this.setNode([], true);
+        case 'C':
+            if (inClass) throw this.error('Escape sequence is invalid in character class');
+            this.issue('\\C (single code unit) is approximated by a single character');
+            return this.setNode([], true);
+        case 'b':
+            if (inClass) return this.charNode(0x08);
+            return { type: 'raw', src: '\\b', atom: true };
+        case 'B':
+        case 'A':
+        case 'z':
+        case 'Z':
+        case 'G':
+            if (inClass) throw this.error('Escape sequence is invalid in character class');
+            if (c === 'B') return { type: 'raw', src: '\\B', atom: true };
+            if (c === 'Z') return { type: 'raw', src: '(?=\\n?$)', atom: false };
+            return { type: 'raw', src: c === 'z' ? '$' : '^', atom: true };
+        case 'K':
+            if (inClass) throw this.error('Escape sequence is invalid in character class');
+            this.issue('\\K (reset match start) is ignored');
+            return null;
+        case 'E':
+            return null;
+        case 'a':
+            return this.charNode(0x07);
+        case 'e':
+            return this.charNode(0x1B);
+        case 'f':
+            return this.charNode(0x0C);
+        case 'n':
+            return this.charNode(0x0A);
+        case 'r':
+            return this.charNode(0x0D);
+        case 't':
+            return this.charNode(0x09);
+        case 'c':
+            if (this.pos >= this.src.length) throw this.error('\\c at end of pattern');
+            m = this.src.charCodeAt(this.pos++);
+            return this.charNode((m >= 0x61 && m <= 0x7A ? m - 0x20 : m) ^ 0x40);
+        case 'x':
+            if (this.peek() === '{') {
+                m = this.src.slice(this.pos).match(/^\{([0-9a-fA-F]+)\}/);
+                if (!m) throw this.error('Malformed \\x{} escape');
+                this.pos += m[0].length;
+                return this.codePointNode(parseInt(m[1], 16));
+            }
+            m = this.src.slice(this.pos).match(/^[0-9a-fA-F]{0,2}/);
+            this.pos += m[0].length;
+            return this.charNode(m[0] ? parseInt(m[0], 16) : 0);
+        case 'o':
+            m = this.src.slice(this.pos).match(/^\{([0-7]+)\}/);
+            if (!m) throw this.error('Missing opening brace after \\o');
+            this.pos += m[0].length;
+            return this.codePointNode(parseInt(m[1], 8));
+        case 'p':
+        case 'P':
+            return this.parseProperty(c === 'P');
+        case 'g':
+            if (inClass) return this.charNode(0x67);
+            return this.parseGReference();
+        case 'k':
+            if (inClass) return this.charNode(0x6B);
+            m = this.src.slice(this.pos).match(/^(?:<([a-zA-Z_]\w*)>|'([a-zA-Z_]\w*)'|\{([a-zA-Z_]\w*)\})/);
+            if (!m) throw this.error('\\k is not followed by a braced, angle-bracketed, or quoted name');
+            this.pos += m[0].length;
+            return { type: 'backref', name: m[1] || m[2] || m[3], ci: this.flags.i };
+        }
+
+        if (c >= '0' && c <= '9') {
+            this.pos--;
+            return this.parseNumericEscape(inClass);
+        }
+
+        this.pos--;
+        return this.charNode(this.readCodePoint());
+    }
+
+    codePointNode(cp) {
+        if (cp > 0x10FFFF) throw this.error('Character code point value is too large');
+        return this.charNode(cp);
+    }
+
+    parseNumericEscape(inClass) {
+        const digits = this.src.slice(this.pos).match(/^\d+/)[0];
+
+        if (digits[0] === '0') {
+            const octal = digits.slice(0, 3).match(/^[0-7]+/)[0];
+            this.pos += octal.length;
+            return this.charNode(parseInt(octal, 8));
+        }
+
+        const n = parseInt(digits, 10);
+        if (!inClass && (n < 10 || n <= this.totalGroups)) {
+            this.pos += digits.length;
+            return { type: 'backref', index: n, ci: this.flags.i };
+        }
+
+        const octal = digits.slice(0, 3).match(/^[0-7]*/)[0];
+        if (!octal) {
+            // \8 and \9 are the literal characters "8" and "9"
+            return this.charNode(this.src.codePointAt(this.pos++));
+        }
+        this.pos += octal.length;
+        return this.charNode(parseInt(octal, 8) & 0xFF);
+    }
+
+    parseGReference() {
+        const m = this.src.slice(this.pos).match(/^(?:\{(-?\d+)\}|(-?\d+)|\{([a-zA-Z_]\w*)\}|(<|'))/);
+        if (!m) throw this.error('a numbered reference must not be zero');
+        if (m[4]) throw this.error('Subroutine calls \\g<...> are not supported');
+        this.pos += m[0].length;
+
+        if (m[3]) return { type: 'backref', name: m[3], ci: this.flags.i };
+
+        let n = parseInt(m[1] || m[2], 10);
+        if (n === 0) throw this.error('a numbered reference must not be zero');
+        if (n < 0) {
+            n = this.groupCount + n + 1;
+            if (n <= 0) throw this.error('Reference to non-existent subpattern');
+        }
+        return { type: 'backref', index: n, ci: this.flags.i };
+    }
+
+    parseProperty(negated) {
+        let name;
+        if (this.peek() === '{') {
+            const end = this.src.indexOf('}', this.pos);
+            if (end === -1) throw this.error('Malformed \\P or \\p sequence');
+            name = this.src.slice(this.pos + 1, end);
+            this.pos = end + 1;
+        } else {
+            name = this.src[this.pos++];
+            if (!name) throw this.error('Malformed \\P or \\p sequence');
+        }
+
+        if (name[0] === '^') {
+            negated = !negated;
+            name = name.slice(1);
+        }
+
+        if (name === 'Any') return this.setNode(negated ? [[0, 0x10FFFF]] : [], !negated);
+        if (/^X/.test(name)) throw this.error('Unicode property \\p{' + name + '} is not supported');
+
+        if (!unicodePropertySupport) {
+            throw this.error('Unicode property escapes are not supported by this Node.js version');
+        }
+
+        if (name === 'L&') {
+            const node = this.setNode([], negated);
+            node.raws.push('\\p{Lu}', '\\p{Ll}', '\\p{Lt}');
+            this.needsUnicode = true;
+            return node;
+        }
+
+        const js = /^(?:[A-Z][a-z&]?)$/.test(name) ? name : 'Script=' + name;
+        try {
+            new RegExp('\\p{' + js + '}', 'u');
+        } catch (err) {
+            throw this.error('Unknown property name after \\P or \\p');
+        }
+
+        this.needsUnicode = true;
+        if (this.flags.i) this.caseProperty = true;
+        return { type: 'raw', src: (negated ? '\\P{' : '\\p{') + js + '}', atom: true, classItem: true };
+    }
+
+    parseClass() {
+        const start = this.pos;
+        this.pos++;
+
+        const node = { type: 'class', negated: false, ranges: [], raws: [], ci: this.flags.i };
+        if (this.peek() === '^') {
+            node.negated = true;
+            this.pos++;
+        }
+
+        let first = true;
+        for (;;) {
+            if (this.pos >= this.src.length) {
+                this.pos = start;
+                throw this.error('Missing terminating ] for character class');
+            }
+
+            const c = this.peek();
+            if (c === ']' && !first) {
+                this.pos++;
+                break;
+            }
+            first = false;
+
+            const posix = this.src.slice(this.pos).match(/^\[:(\^?)([a-z]+):\]/);
+            if (posix) {
+                if (!POSIX[posix[2]]) throw this.error('Unknown POSIX class name');
+                this.pos += posix[0].length;
+                this.addClassItem(node, this.setNode(POSIX[posix[2]], posix[1] === '^'));
+                continue;
+            }
+
+            if (this.src.startsWith('\\Q', this.pos)) {
+                this.pos += 2;
+                this.readQuoted().forEach((cp) => node.ranges.push([cp, cp]));
+                continue;
+            }
+
+            const item = this.parseClassAtom();
+            if (!item) continue;
+
+            if (
+                item.type === 'char' &&
+                this.peek() === '-' &&
+                this.pos + 1 < this.src.length &&
+                this.src[this.pos + 1] !== ']' &&
+                !/^\[:/.test(this.src.slice(this.pos + 1))
+            ) {
+                const dash = this.pos;
+                this.pos++;
+                const end = this.parseClassAtom();
+                if (end && end.type === 'char') {
+                    if (end.cp < item.cp) throw this.error('Range out of order in character class');
+                    node.ranges.push([item.cp, end.cp]);
+                    continue;
+                }
+                this.pos = dash + 1;
+                node.ranges.push([item.cp, item.cp], [0x2D, 0x2D]);
+                if (end) this.addClassItem(node, end);
+                continue;
+            }
+
+            this.addClassItem(node, item);
+        }
+
+        return node;
+    }
+
+    parseClassAtom() {
+        if (this.peek() === '\\') {
+            this.pos++;
+            return this.parseEscape(true);
+        }
+        return this.charNode(this.readCodePoint());
+    }
+
+    addClassItem(node, item) {
+        if (item.type === 'char') {
+            node.ranges.push([item.cp, item.cp]);
+        } else if (item.type === 'class') {
+            if (item.negated && item.raws.length) {
+                throw this.error('Negated Unicode property sets are not supported in a class');
+            }
+            if (item.negated) {
+                node.ranges.push(...complementRanges(item.ranges, 0x10FFFF));
+            } else {
+                node.ranges.push(...item.ranges);
+            }
+        } else {
+            node.raws.push(item.src);
+        }
+    }
+
+    resolveReferences(node) {
+        if (!node) return;
+        switch (node.type) {
+        case 'alt':
+            node.branches.forEach((b) => b.forEach((n) => this.resolveReferences(n)));
+            break;
+        case 'group':
+            this.resolveReferences(node.body);
+            break;
+        case 'quant':
+            this.resolveReferences(node.node);
+            break;
+        case 'backref':
+            if (node.name !== undefined) {
+                if (!this.names[node.name]) throw new Error('Reference to non-existent subpattern \'' + node.name + '\'');
+                node.index = this.names[node.name];
+            } else if (node.index > this.groupCount) {
+                throw new Error('Reference to non-existent subpattern ' + node.index);
+            }
+            break;
+        case 'class':
+            if (node.ranges.some((r) => r[0] > 0xFFFF)) this.needsUnicode = true;
+            break;
+        case 'char':
+            if (node.cp > 0xFFFF) this.needsUnicode = true;
+            break;
+        }
+    }
+}
+
+/** Emit the tree built by PcreParser as a JavaScript regex source */
+class JsEmitter {
+
+    constructor(parser, unicode) {
+        this.parser = parser;
+        this.unicode = unicode;
+        this.expandCase = parser.caseMixed;
+        this.groupMap = [0];
+        this.count = 0;
+        this.lookbehind = 0;
+    }
+
+    issue(message) {
+        this.parser.issue(message);
+    }
+
+    escapeChar(cp, inClass) {
+        const c = String.fromCodePoint(cp);
+        if (cp === 0x0A) return '\\n';
+        if (cp === 0x0D) return '\\r';
+        if (cp === 0x09) return '\\t';
+        if (cp < 0x20 || cp === 0x7F) return '\\x' + hex(cp, 2);
+        if (cp > 0x7E && cp <= 0xFF) return '\\x' + hex(cp, 2);
+        if (cp > 0xFF && cp <= 0xFFFF) return '\\u' + hex(cp, 4);
+        if (cp > 0xFFFF) {
+            if (this.unicode) return '\\u{' + hex(cp, 1) + '}';
+            throw new Error('Code point ' + hex(cp, 1) + ' requires Unicode regular expressions');
+        }
+        if (inClass) {
+            return '\\]^-['.indexOf(c) !== -1 || c === '/' ? '\\' + c : c;
+        }
+        return '\\^$.*+?()[]{}|/'.indexOf(c) !== -1 ? '\\' + c : c;
+    }
+
+    emit(node) {
+        switch (node.type) {
+        case 'alt':
+            return node.branches.map((b) => this.emitSequence(b)).join('|');
+        case 'char':
+            if (this.expandCase && node.ci && isLetter(node.cp)) {
+                return '[' + this.escapeChar(node.cp, true) + this.escapeChar(otherCase(node.cp), true) + ']';
+            }
+            return this.escapeChar(node.cp, false);
+        case 'raw':
+            return node.src;
+        case 'class':
+            return this.emitClass(node);
+        case 'group':
+            return this.emitGroup(node);
+        case 'quant':
+            return this.emitQuantifier(node);
+        case 'backref':
+            if (this.expandCase && node.ci) {
+                this.issue('case-insensitive backreference in a case-sensitive pattern');
+            }
+            return '\\' + this.groupMap[node.index];
+        }
+        throw new Error('Unknown node ' + node.type);
+    }
+
+    emitSequence(nodes) {
+        let out = '';
+        let pendingBackref = false;
+        for (const node of nodes) {
+            const s = this.emit(node);
+            if (pendingBackref && /^\d/.test(s)) {
+                out = out.replace(/(\\\d+)$/, '(?:$1)');
+            }
+            pendingBackref = node.type === 'backref';
+            out += s;
+        }
+        return out;
+    }
+
+    emitAtom(node) {
+        const s = this.emit(node);
+        if (node.type === 'raw' && !node.atom) return '(?:' + s + ')';
+        if (node.type === 'quant') return '(?:' + s + ')';
+        return s;
+    }
+
+    atomic() {
+        const n = ++this.count;
+        if (this.lookbehind) this.issue('atomic group or possessive quantifier inside a lookbehind');
+        return { n, wrap: (s) => '(?:(?=(' + s + '))\\' + n + ')' };
+    }
+
+    emitClass(node) {
+        let ranges = node.ranges;
+        if (this.expandCase && node.ci) {
+            ranges = caseFoldRanges(ranges);
+            if (node.raws.some((r) => /^\\[pP]/.test(r))) {
+                this.issue('case-insensitive Unicode property in a case-sensitive pattern');
+            }
+        }
+        ranges = mergeRanges(ranges);
+
+        const max = this.unicode ? 0x10FFFF : 0xFFFF;
+        ranges = ranges.filter((r) => r[0] <= max).map((r) => [r[0], Math.min(r[1], max)]);
+
+        if (!node.raws.length) {
+            const all = ranges.length === 1 && ranges[0][0] === 0 && ranges[0][1] === max;
+            if (all) return node.negated ? '(?!)' : '[\\s\\S]';
+            if (!ranges.length) return node.negated ? '[\\s\\S]' : '(?!)';
+        }
+
+        let out = '';
+        for (const r of ranges) {
+            if (r[0] === r[1]) {
+                out += this.escapeChar(r[0], true);
+            } else if (r[0] + 1 === r[1]) {
+                out += this.escapeChar(r[0], true) + this.escapeChar(r[1], true);
+            } else {
+                out += this.escapeChar(r[0], true) + '-' + this.escapeChar(r[1], true);
+            }
+        }
+        out += node.raws.join('');
+
+        return '[' + (node.negated ? '^' : '') + out + ']';
+    }
+
+    emitGroup(node) {
+        let body;
+        switch (node.kind) {
+        case 'capture':
+            this.groupMap[node.index] = ++this.count;
+            return '(' + this.emit(node.body) + ')';
+        case 'noncapture':
+            return '(?:' + this.emit(node.body) + ')';
+        case 'lookahead':
+            return '(?=' + this.emit(node.body) + ')';
+        case 'neglookahead':
+            return '(?!' + this.emit(node.body) + ')';
+        case 'lookbehind':
+        case 'neglookbehind':
+            this.lookbehind++;
+            body = this.emit(node.body);
+            this.lookbehind--;
+            return (node.kind === 'lookbehind' ? '(?<=' : '(?<!') + body + ')';
+        case 'atomic': {
+            const a = this.atomic();
+            return a.wrap(this.emit(node.body));
+        }
+        }
+        throw new Error('Unknown group ' + node.kind);
+    }
+
+    emitQuantifier(node) {
+        let q;
+        if (node.min === 0 && node.max === Infinity) {
+            q = '*';
+        } else if (node.min === 1 && node.max === Infinity) {
+            q = '+';
+        } else if (node.min === 0 && node.max === 1) {
+            q = '?';
+        } else if (node.max === Infinity) {
+            q = '{' + node.min + ',}';
+        } else if (node.min === node.max) {
+            q = '{' + node.min + '}';
+        } else {
+            q = '{' + node.min + ',' + node.max + '}';
+        }
+        if (node.lazy) q += '?';
+
+        if (node.possessive) {
+            const a = this.atomic();
+            return a.wrap(this.emitAtom(node.node) + q);
+        }
+        return this.emitAtom(node.node) + q;
+    }
+}
+
+/** RegExp hiding the capture groups added by the translation */
+class PcreRegExp extends RegExp {
+
+    exec(str) {
+        const m = super.exec(str);
+        if (!m || !this.groupMap) return m;
+
+        const ret = [m[0]];
+        for (let i = 1; i < this.groupMap.length; i++) {
+            ret.push(m[this.groupMap[i]]);
+        }
+        ret.index = m.index;
+        ret.input = m.input;
+        return ret;
+    }
+}
+
+/**
+ * Translate a PHP (PCRE) regex string to a JavaScript regex
+ * @param {String} str - regex with delimiters and modifiers, ie "/^Mozilla/si"
+ * @return {Object} source and flags of the JavaScript regex, groupMap (PCRE group
+ * number to JavaScript group number, null if identical) and the list of issues
+ * preventing an exact translation (empty if exact)
+ */
+function translate(str) {
+    const delimited = parseDelimited(str);
+    const parser = new PcreParser(delimited.pattern, delimited.modifiers);
+    const ast = parser.parse();
+
+    const unicode = parser.needsUnicode;
+    if (unicode && !unicodePropertySupport) {
+        throw new Error('Unicode regular expressions are not supported by this Node.js version');
+    }
+
+    const emitter = new JsEmitter(parser, unicode);
+
+    // first pass numbers the groups, needed by forward references
+    emitter.emit(ast);
+    const groupMap = emitter.groupMap;
+    emitter.count = 0;
+    emitter.groupMap = groupMap.slice();
+    let source = emitter.emit(ast);
+
+    if (parser.global.A) source = '^(?:' + source + ')';
+
+    let flags = '';
+    if (parser.global.i && !parser.caseMixed) flags += 'i';
+    if (unicode) flags += 'u';
+    if (unicode && parser.caseProperty && parser.caseMixed) {
+        parser.issue('case-insensitive Unicode property in a case-sensitive pattern');
+    }
+
+    return {
+        source,
+        flags,
+        // capture groups keep their number unless emulation groups were added
+        groupMap: emitter.count === parser.groupCount ? null : groupMap,
+        issues: parser.issues
+    };
+}
+
+/**
+ * Build a RegExp from a PHP regex string or from a translate() result
+ * @param {String|Object} str - regex with delimiters and modifiers, or translation
+ * @return {RegExp} JavaScript regex
+ */
+function toRegExp(str) {
+    const t = typeof str === 'string' ? translate(str) : str;
+    if (!t.groupMap) return new RegExp(t.source, t.flags);
+
+    const re = new PcreRegExp(t.source, t.flags);
+    re.groupMap = t.groupMap;
+    return re;
+}
+
+module.exports = {
+    parseDelimited,
+    translate,
+    toRegExp
+};
@@ -0,0 +1,301 @@
+const dotProp = require('dot-prop');
+
+const ACTIONS = ['allow', 'deny', 'challenge'];
+
+// policy fields: [udger format path, JSON format path], JSON { code } objects are read as the code
+const FIELDS = {
+    'ua': ['user_agent.ua_string', 'userAgent.ua.string'],
+    'ua.name': ['user_agent.ua', 'userAgent.ua.name'],
+    'ua.class': ['user_agent.ua_class_code', 'userAgent.ua.class'],
+    'ua.family': ['user_agent.ua_family_code', 'userAgent.ua.family'],
+    'ua.version.major': ['user_agent.ua_version_major', 'userAgent.ua.version.major'],
+    'os.code': ['user_agent.os_code', 'userAgent.os.code'],
+    'os.family': ['user_agent.os_family_code', 'userAgent.os.family'],
+    'device.class': ['user_agent.device_class_code', 'userAgent.device.class'],
+    'device.brand': ['user_agent.device_brand_code', 'userAgent.device.brand'],
+    'crawler.category': ['user_agent.crawler_category_code', 'userAgent.crawler.category'],
+    'ip': ['ip_address.ip', 'ipAddress.ip'],
+    'ip.version': ['ip_address.ip_ver', 'ipAddress.version'],
+    'ip.classification': ['ip_address.ip_classification_code', 'ipAddress.classification'],
+    'ip.hostname': ['ip_address.ip_hostname', 'ipAddress.hostname'],
+    'ip.country': ['ip_address.ip_country_code', 'ipAddress.geo.country'],
+    'ip.crawler.family': ['ip_address.crawler_family_code', 'ipAddress.crawler.family'],
+    'ip.crawler.category': ['ip_address.crawler_category_code', 'ipAddress.crawler.category'],
+    'ip.crawler.verification': ['ip_address.crawler_verification', 'ipAddress.crawlerVerification.status'],
+    'datacenter': ['ip_address.datacenter_name_code', 'ipAddress.datacenter']
+};
+
+/**
+ * Value of a policy field in a parse() result of any format
+ * @param {Object} result - parse() result
+ * @param {String} field - policy field
+ * @return {String} value, empty string if missing
+ */
+function getField(result, field) {
+    const udger = !!(result && (result['user_agent'] || result['ip_address']));
+    let value = dotProp.get(result || {}, FIELDS[field][udger ? 0 : 1]);
+
+    if (value && typeof value === 'object') value = value.code;
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Split a rule condition into tokens
+ * @param {String} str - condition
+ * @return {Array} { type, value, pos } tokens, type is word, string, regex or the punctuation
+ */
+function tokenize(str) {
+    const re = /\s*(?:(==|!=|[()[\],])|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\/((?:[^/\\]|\\.)+)\/([a-z]*)|([^\s()[\],"'=!]+))/y;
+    const tokens = [];
+    let m;
+
+    re.lastIndex = 0;
+    while (re.lastIndex < str.length) {
+        const pos = re.lastIndex;
+        if (!/\S/.test(str.slice(pos))) break;
+
+        m = re.exec(str);
+        if (!m) throw new Error('unexpected character ' + JSON.stringify(str[pos + str.slice(pos).search(/\S/)]));
+
+        if (m[1]) tokens.push({ type: m[1], pos });
+        else if (m[2] !== undefined) tokens.push({ type: 'string', value: m[2].replace(/\\(.)/g, '$1'), pos });
+        else if (m[3] !== undefined) tokens.push({ type: 'string', value: m[3].replace(/\\(.)/g, '$1'), pos });
+        else if (m[4] !== undefined) tokens.push({ type: 'regex', value: new RegExp(m[4], m[5]), pos });
+        else tokens.push({ type: 'word', value: m[6], pos });
+    }
+
+    return tokens;
+}
+
+/**
+ * Compile a rule condition
+ *
+ * condition := or, or := and ('or' and)*, and := not ('and' not)*, not := 'not' not | '(' or ')' | test,
+ * test := field [('==' | '!=') value | ['not'] 'in' '[' value, ... ']' | 'matches' /regex/]
+ * @param {String} str - condition, ie ip.classification in [fake_crawler, cgi_proxy] and not datacenter
+ * @return {Function} (result) => Boolean
+ */
+function compileCondition(str) {
+    const tokens = tokenize(str);
+    let i = 0;
+
+    const peek = (value) => tokens[i] && (tokens[i].type === value || (tokens[i].type === 'word' && tokens[i].value === value));
+    const fail = (what) => {
+        const t = tokens[i];
+        throw new Error(t ? 'unexpected ' + (t.value === undefined ? t.type : JSON.stringify(String(t.value))) + ' at ' + t.pos + ', expected ' + what : 'unexpected end, expected ' + what);
+    };
+    const expect = (type, what) => {
+        if (!peek(type)) fail(what);
+        return tokens[i++];
+    };
+
+    const value = () => {
+        if (!tokens[i] || (tokens[i].type !== 'word' && tokens[i].type !== 'string')) fail('a value');
+        return String(tokens[i++].value);
+    };
+
+    const list = () => {
+        expect('[', '[');
+        const values = [];
+        if (!peek(']')) {
+            values.push(value());
+            while (peek(',')) {
+                i++;
+                values.push(value());
+            }
+        }
+        expect(']', '] or ,');
+        return values;
+    };
+
+    const test = () => {
+        const t = tokens[i];
+        if (!t || t.type !== 'word') fail('a field');
+        if (!FIELDS[t.value]) {
+            throw new Error('unknown field ' + t.value + ' at ' + t.pos + ', expected ' + Object.keys(FIELDS).join(', '));
+        }
+        i++;
+
+        const get = (r) => getField(r, t.value);
+
+        if (peek('==') || peek('!=')) {
+            const negate = tokens[i++].type === '!=';
+            const v = value();
+            return (r) => (get(r) === v) !== negate;
+        }
+        if (peek('in') || (peek('not') && tokens[i + 1] && tokens[i + 1].value === 'in')) {
+            const negate = tokens[i].value === 'not';
+            i += negate ? 2 : 1;
+            const values = list();
+            return (r) => (values.indexOf(get(r)) !== -1) !== negate;
+        }
+        if (peek('matches')) {
+            i++;
+            const re = expect('regex', 'a /regex/').value;
+            return (r) => re.test(get(r));
+        }
+
+        // a field alone is true when it's not empty
+        return (r) => get(r) !== '';
+    };
+
+    // or > and > not, the functions call each other once they are all declared
+    const or = () => {
+        const fns = [and()];
+        while (peek('or')) {
+            i++;
+            fns.push(and());
+        }
+        return fns.length === 1 ? fns[0] : (r) => fns.some((fn) => fn(r));
+    };
+
+    const and = () => {
+        const fns = [not()];
+        while (peek('and')) {
+            i++;
+            fns.push(not());
+        }
+        return fns.length === 1 ? fns[0] : (r) => fns.every((fn) => fn(r));
+    };
+
+    const not = () => {
+        if (peek('not')) {
+            i++;
+            const fn = not();
+            return (r) => !fn(r);
+        }
+        if (peek('(')) {
+            i++;
+            const fn = or();
+            expect(')', ')');
+            return fn;
+        }
+        return test();
+    };
+
+    const fn = or();
+    if (i < tokens.length) fail('and, or or the end');
+    return fn;
+}
+
+/**
+ * Compile a rule
+ * @param {String|Object} rule - 'action [if condition]' or { name, action, if: condition or function(result) }
+ * @param {Number} index - rule position
+ * @return {Object} { index, name, action, source, test }
+ */
+function compileRule(rule, index) {
+    let action;
+    let condition;
+    let name;
+
+    if (typeof rule === 'string') {
+        const m = /^\s*(\S+)(?:\s+if\s+([\s\S]*))?$/.exec(rule);
+        if (!m) throw new Error('empty rule');
+        action = m[1];
+        condition = m[2] === undefined ? null : m[2];
+    } else if (rule && typeof rule === 'object') {
+        action = rule.action;
+        condition = rule.if === undefined ? null : rule.if;
+        name = rule.name;
+    } else {
+        throw new Error('a rule must be a string or an object');
+    }
+
+    if (ACTIONS.indexOf(action) === -1) {
+        throw new Error('unknown action ' + action + ', expected ' + ACTIONS.join(', '));
+    }
+
+    let test = () => true;
+    if (typeof condition === 'function') {
+        test = (r) => !!condition(r);
+    } else if (typeof condition === 'string') {
+        test = compileCondition(condition);
+    } else if (condition !== null) {
+        throw new Error('condition must be a string or a function');
+    }
+
+    const source = typeof rule === 'string' ? rule.trim() :
+        action + (condition === null ? '' : ' if ' + (typeof condition === 'function' ? '<function>' : condition));
+
+    return { index, name: name || source, action, source, test };
+}
+
+/** Ordered access rules evaluated against parse() results, the first matching rule wins */
+class Policy {
+
+    /**
+     * @param {Array|Object} config - rules, or { rules, default }
+     * @param {Array} config.rules - 'action if condition' strings or { name, action, if } objects
+     * @param {String} config.default - action when no rule matches (default: 'allow')
+     */
+    constructor(config) {
+        if (Array.isArray(config)) config = { rules: config };
+        if (!config || !Array.isArray(config.rules)) {
+            throw new Error('createPolicy() is waiting for an array of rules or a { rules, default } object');
+        }
+
+        this.defaultAction = config.default || 'allow';
+        if (ACTIONS.indexOf(this.defaultAction) === -1) {
+            throw new Error('Unknown default action ' + this.defaultAction + ', expected ' + ACTIONS.join(', '));
+        }
+
+        this.rules = config.rules.map((rule, i) => {
+            try {
+                return compileRule(rule, i);
+            } catch (err) {
+                err.message = 'Policy rule ' + i + ': ' + err.message;
+                throw err;
+            }
+        });
+    }
+
+    /**
+     * Evaluate the rules
+     * @param {Object} result - parse() result, any format
+     * @return {Object} { action, rule }, rule is { index, name, action, source } or null for the default action
+     */
+    evaluate(result) {
+        for (const rule of this.rules) {
+            if (rule.test(result)) {
+                return { action: rule.action, rule: this.describeRule(rule) };
+            }
+        }
+        return { action: this.defaultAction, rule: null };
+    }
+
+    /**
+     * Public description of a rule
+     * @param {Object} rule - compiled rule
+     * @return {Object} { index, name, action, source }
+     */
+    describeRule(rule) {
+        return { index: rule.index, name: rule.name, action: rule.action, source: rule.source };
+    }
+
+    /**
+     * Rules in evaluation order, for audits
+     * @return {Array} { index, name, action, source } objects
+     */
+    describe() {
+        return this.rules.map((rule) => this.describeRule(rule));
+    }
+}
+
+/**
+ * Create an access policy
+ * @param {Array|Object} config - see Policy
+ * @return {Policy} policy
+ */
+function createPolicy(config) {
+    return new Policy(config);
+}
+
+module.exports = {
+    ACTIONS,
+    FIELDS,
+    getField,
+    compileCondition,
+    Policy,
+    createPolicy
+};
@@ -0,0 +1,261 @@
+const EventEmitter = require('events');
+const childProcess = require('child_process');
+const os = require('os');
+const path = require('path');
+const debug = require('debug')('udger-nodejs:pool');
+
+const STRATEGIES = ['round-robin', 'least-busy'];
+
+/**
+ * worker_threads is available (NodeJS >= 11.7, or 10.5 with --experimental-worker)
+ * @return {Boolean} true if available
+ */
+function hasThreads() {
+    try {
+        require('worker_threads');
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/** Pool of worker threads (or processes), each one having its own UdgerParser */
+class UdgerPool extends EventEmitter {
+
+    /**
+     * Start the workers
+     * @param {String} file - full path to udgerdb_v3.dat, or to a snapshot with the snapshot engine
+     * @param {Object} [opts] - options
+     * @param {String} opts.engine - 'sqlite' (default) or 'snapshot', see UdgerParser
+     * @param {Number} opts.size - number of workers (default: number of CPUs)
+     * @param {String} opts.strategy - 'round-robin' (default) or 'least-busy'
+     * @param {Boolean} opts.restart - restart crashed workers (default: true)
+     * @param {Number} opts.cacheSize - enable the cache of each worker with this size
+     * @param {Boolean|Object} opts.watch - each worker reloads its database when the file changes,
+     *                                      true or UdgerParser watch() options
+     * @param {Boolean} opts.threads - use worker_threads instead of child processes, default: true with the
+     *                                 snapshot engine when worker_threads is available, false with the sqlite
+     *                                 engine which needs a better-sqlite3 build loadable by several threads
+     */
+    constructor(file, opts) {
+        super();
+
+        opts = opts || {};
+
+        if (opts.strategy && STRATEGIES.indexOf(opts.strategy) === -1) {
+            throw new Error('Unknown strategy ' + opts.strategy + ', expected ' + STRATEGIES.join(' or '));
+        }
+
+        this.file = path.resolve(file);
+        this.size = opts.size || os.cpus().length;
+        this.strategy = opts.strategy || 'round-robin';
+        this.restart = opts.restart !== false;
+        this.engine = opts.engine || 'sqlite';
+        this.cacheSize = opts.cacheSize || 0;
+        this.watch = opts.watch === true ? {} : opts.watch || null;
+        this.threads = opts.threads === undefined ? this.engine === 'snapshot' && hasThreads() : !!opts.threads;
+
+        this.workers = [];
+        this.tasks = {};
+        this.taskId = 0;
+        this.next = 0;
+        this.closed = false;
+        this.closing = null;
+
+        for (let i = 0; i < this.size; i++) {
+            this.workers.push(this.spawn());
+        }
+    }
+
+    spawn() {
+        const file = path.resolve(__dirname, 'poolWorker.js');
+        const workerData = { file: this.file, engine: this.engine, cacheSize: this.cacheSize, watch: this.watch };
+        const w = { pending: new Set(), ready: false };
+
+        if (this.threads) {
+            const Worker = require('worker_threads').Worker;
+
+            w.worker = new Worker(file, { workerData });
+            w.send = (msg) => w.worker.postMessage(msg);
+            w.terminate = () => w.worker.terminate();
+        } else {
+            w.worker = childProcess.fork(file, [JSON.stringify(workerData)]);
+            w.send = (msg) => w.worker.send(msg);
+            w.terminate = () => new Promise((resolve) => {
+                if (w.worker.exitCode !== null || w.worker.signalCode !== null) return resolve();
+                w.worker.once('exit', () => resolve());
+                w.worker.kill();
+            });
+        }
+
+        w.worker.on('message', (msg) => {
+            if (msg.ready) {
+                w.ready = true;
+                return;
+            }
+
+            if (msg.startError) {
+                w.error = new Error(msg.startError.message);
+                return;
+            }
+
+            const task = this.tasks[msg.id];
+            if (!task) return;
+
+            delete this.tasks[msg.id];
+            w.pending.delete(msg.id);
+
+            if (msg.error) {
+                task.reject(new Error(msg.error.message));
+            } else {
+                task.resolve(msg.result);
+            }
+
+            this.checkClosed();
+        });
+
+        w.worker.on('error', (err) => {
+            debug('worker error: %s', err.message);
+            w.error = err;
+        });
+
+        w.worker.on('exit', (code) => {
+            this.onExit(w, code);
+        });
+
+        return w;
+    }
+
+    onExit(w, code) {
+        const index = this.workers.indexOf(w);
+        if (index === -1) return;
+
+        const err = w.error || new Error('Worker stopped with exit code ' + code);
+
+        for (const id of w.pending) {
+            this.tasks[id].reject(err);
+            delete this.tasks[id];
+        }
+        w.pending.clear();
+
+        if (this.closed) {
+            this.workers.splice(index, 1);
+            this.checkClosed();
+            return;
+        }
+
+        debug('worker %d exited with code %s', index, code);
+
+        // a worker failing before being ready (ie bad database file) would fail again
+        if (this.restart && w.ready) {
+            this.workers[index] = this.spawn();
+            this.emit('restart', index, err);
+        } else {
+            this.workers.splice(index, 1);
+            this.emit('error', err);
+        }
+    }
+
+    pick() {
+        if (!this.workers.length) {
+            throw new Error('No worker available');
+        }
+
+        if (this.strategy === 'least-busy') {
+            return this.workers.reduce((a, b) => (b.pending.size < a.pending.size ? b : a));
+        }
+
+        this.next = (this.next + 1) % this.workers.length;
+        return this.workers[this.next];
+    }
+
+    run(method, args) {
+        return new Promise((resolve, reject) => {
+            if (this.closed) {
+                throw new Error('Pool is closed');
+            }
+
+            const w = this.pick();
+            const id = ++this.taskId;
+
+            this.tasks[id] = { resolve, reject };
+            w.pending.add(id);
+            w.send({ id, method, args });
+        });
+    }
+
+    /**
+     * Parse User-Agent and/or IP in a worker, see UdgerParser.parse({ ua, ip }, opts)
+     * @param {Object} data - An object having ip and/or ua attribute
+     * @param {Object} [opts] - options, { json, full }
+     * @return {Promise} resolved with the parsing result
+     */
+    parse(data, opts) {
+        return this.run('parse', [data || {}, opts || {}]);
+    }
+
+    /**
+     * Parse an User-Agent in a worker, see UdgerParser.parseUa(ua, opts)
+     * @param {String} ua - An User-Agent string
+     * @param {Object} [opts] - options, { json, full }
+     * @return {Promise} resolved with { udger, json }
+     */
+    parseUa(ua, opts) {
+        return this.run('parseUa', [ua, opts || {}]);
+    }
+
+    /**
+     * Parse an IP address in a worker, see UdgerParser.parseIp(ip, opts)
+     * @param {String} ip - An IPv4 or IPv6 Address
+     * @param {Object} [opts] - options, { json, full }
+     * @return {Promise} resolved with { udger, json }
+     */
+    parseIp(ip, opts) {
+        return this.run('parseIp', [ip, opts || {}]);
+    }
+
+    /**
+     * Parse request headers in a worker, see UdgerParser.parseHeaders(headers, opts)
+     * @param {Object} headers - request headers
+     * @param {Object} [opts] - options, { json, full }
+     * @return {Promise} resolved with the parsing result
+     */
+    parseHeaders(headers, opts) {
+        return this.run('parseHeaders', [headers, opts || {}]);
+    }
+
+    /**
+     * Number of tasks sent to the workers and not answered yet
+     * @return {Number} pending tasks
+     */
+    pendingCount() {
+        return Object.keys(this.tasks).length;
+    }
+
+    checkClosed() {
+        if (!this.closed || !this.closing || this.pendingCount()) return;
+
+        const workers = this.workers;
+        this.workers = [];
+        Promise.all(workers.map((w) => w.terminate())).then(this.closing.resolve, this.closing.resolve);
+    }
+
+    /**
+     * Stop accepting tasks, wait for the pending ones, then stop the workers
+     * @return {Promise} resolved when all the workers are stopped
+     */
+    close() {
+        if (this.closing) return this.closing.promise;
+
+        this.closed = true;
+        this.closing = {};
+        this.closing.promise = new Promise((resolve) => {
+            this.closing.resolve = () => resolve();
+        });
+
+        this.checkClosed();
+        return this.closing.promise;
+    }
+}
+
+module.exports = UdgerPool;
@@ -0,0 +1,81 @@
+// worker thread (or child process) running an UdgerParser for UdgerPool
+
+let threads = null;
+
+try {
+    threads = require('worker_threads');
+} catch (e) {
+    // node < 11.7, only child processes are available
+}
+
+let port;
+let workerData;
+
+if (threads && !threads.isMainThread) {
+    port = threads.parentPort;
+    workerData = threads.workerData;
+} else {
+    port = {
+        on: (event, fn) => process.on(event, fn),
+        postMessage: (msg) => process.send(msg),
+        close: () => process.disconnect()
+    };
+    workerData = JSON.parse(process.argv[2]);
+    // the parent is gone, nobody will read our answers
+    process.on('disconnect', () => process.exit());
+}
+
+/**
+ * Open the database, the error is sent to the pool if it can't be opened
+ * @return {Object} UdgerParser, null on error
+ */
+function open() {
+    try {
+        return require('../')(workerData.file, { engine: workerData.engine });
+    } catch (err) {
+        // let the message be delivered, the worker ends once the port is closed
+        process.exitCode = 1;
+        port.postMessage({ startError: { message: err.message } });
+        port.close();
+        return null;
+    }
+}
+
+/**
+ * Answer the requests of the pool
+ * @param {Object} udgerParser - UdgerParser
+ */
+function serve(udgerParser) {
+    if (workerData.cacheSize) {
+        udgerParser.setCacheSize(workerData.cacheSize);
+        udgerParser.setCacheEnable(true);
+    }
+
+    if (workerData.watch) {
+        udgerParser.watch(workerData.watch);
+    }
+
+    const methods = ['parse', 'parseUa', 'parseIp', 'parseHeaders'];
+
+    port.on('message', (msg) => {
+        let result;
+
+        try {
+            if (methods.indexOf(msg.method) === -1) {
+                throw new Error('Unknown method ' + msg.method);
+            }
+            result = udgerParser[msg.method].apply(udgerParser, msg.args);
+        } catch (err) {
+            port.postMessage({ id: msg.id, error: { message: err.message } });
+            return;
+        }
+
+        port.postMessage({ id: msg.id, result });
+    });
+
+    port.postMessage({ ready: true });
+}
+
+const udgerParser = open();
+
+if (udgerParser) serve(udgerParser);
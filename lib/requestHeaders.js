@@ -0,0 +1,151 @@
+// headers announcing the User-Agent of the device, most informative first
+const UA_HEADERS = [
+    'device-stock-ua',
+    'x-operamini-phone-ua',
+    'x-original-user-agent',
+    'x-device-user-agent',
+    'x-skyfire-phone',
+    'x-bolt-phone-ua',
+    'x-ucbrowser-device-ua'
+];
+
+const OS_FIELDS = [
+    'os', 'os_code', 'os_homepage', 'os_icon', 'os_icon_big', 'os_info_url',
+    'os_family', 'os_family_code', 'os_family_vendor', 'os_family_vendor_code', 'os_family_vendor_homepage'
+];
+
+const DEVICE_FIELDS = [
+    'device_class', 'device_class_code', 'device_class_icon', 'device_class_icon_big', 'device_class_info_url',
+    'device_marketname', 'device_brand', 'device_brand_code', 'device_brand_homepage',
+    'device_brand_icon', 'device_brand_icon_big', 'device_brand_info_url'
+];
+
+/**
+ * Headers with lower case names, multiple values joined
+ * @param {Object} headers - headers, any case
+ * @return {Object} headers
+ */
+function normalizeHeaders(headers) {
+    const h = {};
+    Object.keys(headers || {}).forEach((key) => {
+        const value = headers[key];
+        if (value === undefined || value === null) return;
+        h[key.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+    });
+    return h;
+}
+
+/**
+ * User-Agents of the device announced by proxies, browsers and WebViews
+ * @param {Object} h - normalized headers
+ * @return {Array} { header, ua } objects, most informative first, without duplicates
+ */
+function deviceUas(h) {
+    const seen = new Set([h['user-agent']]);
+    const ret = [];
+
+    UA_HEADERS.forEach((header) => {
+        const ua = (h[header] || '').trim();
+        if (!ua || seen.has(ua)) return;
+        seen.add(ua);
+        ret.push({ header, ua });
+    });
+
+    return ret;
+}
+
+/**
+ * Android application package from X-Requested-With
+ * @param {String} value - header value, ie com.example.app or XMLHttpRequest
+ * @return {String} package name, empty string if the header is not a package
+ */
+function appPackage(value) {
+    value = (value || '').trim();
+    return /^[a-z][\w]*(\.[a-z][\w]*)+$/i.test(value) ? value : '';
+}
+
+/**
+ * UAProf URL from X-Wap-Profile (or Profile, Wap-Profile)
+ * @param {Object} h - normalized headers
+ * @return {String} URL, empty string if missing
+ */
+function wapProfile(h) {
+    const value = h['x-wap-profile'] || h['wap-profile'] || h['profile'] || '';
+    const m = /^\s*"?(https?:\/\/[^"\s]+)"?/i.exec(value);
+    return m ? m[1] : '';
+}
+
+/**
+ * How much a parseUa() result knows about the device
+ * @param {Object} rua - udger format result
+ * @return {Number} 2 with a device name, 1 with a device class, else 0
+ */
+function deviceScore(rua) {
+    if (rua['device_marketname']) return 2;
+    if (rua['device_class_code'] && rua['device_class_code'] !== 'unrecognized') return 1;
+    return 0;
+}
+
+/**
+ * Copy fields and a JSON subtree from a parseUa() result to another one
+ * @param {Object} to - parseUa() result
+ * @param {Object} from - parseUa() result
+ * @param {Array} fields - udger format fields
+ * @param {String} key - JSON format key
+ */
+function copyFields(to, from, fields, key) {
+    fields.forEach((f) => {
+        to.udger[f] = from.udger[f];
+    });
+    if (from.json[key]) {
+        to.json[key] = from.json[key];
+    } else {
+        delete to.json[key];
+    }
+}
+
+/**
+ * Merge the os and the device of the device User-Agents into the User-Agent result
+ *
+ * The os comes from the first device User-Agent having one, the device from the one
+ * knowing the most about it, if it knows at least as much as the User-Agent
+ * @param {Object} main - { header, result } parseUa() result of the User-Agent, changed
+ * @param {Array} devices - { header, result } parseUa() results of the device User-Agents
+ * @return {Array} headers used, the User-Agent one first
+ */
+function mergeResults(main, devices) {
+    const used = [];
+    const use = (header) => used.indexOf(header) === -1 && used.push(header);
+
+    if (main.header) use(main.header);
+    if (main.result.udger['ua_class_code'] === 'crawler') return used;
+
+    devices = devices.filter((d) => d.result.udger['ua_class_code'] !== 'crawler');
+
+    const os = devices.find((d) => d.result.udger['os_code']);
+    if (os) {
+        copyFields(main.result, os.result, OS_FIELDS, 'os');
+        use(os.header);
+    }
+
+    let device = null;
+    devices.forEach((d) => {
+        if (deviceScore(d.result.udger) > (device ? deviceScore(device.result.udger) : 0)) device = d;
+    });
+    // the device User-Agent wins a tie, it's the one of the real device
+    if (device && deviceScore(device.result.udger) >= deviceScore(main.result.udger)) {
+        copyFields(main.result, device.result, DEVICE_FIELDS, 'device');
+        use(device.header);
+    }
+
+    return used;
+}
+
+module.exports = {
+    UA_HEADERS,
+    normalizeHeaders,
+    deviceUas,
+    appPackage,
+    wapProfile,
+    mergeResults
+};
@@ -0,0 +1,157 @@
+// tables and columns read by the parser and the helpers
+const SCHEMA = {
+    'udger_db_info': ['version', 'lastupdate'],
+    'udger_client_class': ['id', 'client_classification', 'client_classification_code', 'deviceclass_id'],
+    'udger_client_list': [
+        'id', 'class_id', 'name', 'name_code', 'homepage', 'icon', 'icon_big', 'engine',
+        'vendor', 'vendor_code', 'vendor_homepage', 'uptodate_current_version'
+    ],
+    'udger_client_os_relation': ['client_id', 'os_id'],
+    'udger_client_regex': ['client_id', 'regstring', 'sequence', 'word_id', 'word2_id'],
+    'udger_client_regex_words': ['id', 'word'],
+    'udger_os_list': [
+        'id', 'name', 'name_code', 'homepage', 'family', 'family_code', 'icon', 'icon_big',
+        'vendor', 'vendor_code', 'vendor_homepage'
+    ],
+    'udger_os_regex': ['os_id', 'regstring', 'sequence', 'word_id', 'word2_id'],
+    'udger_os_regex_words': ['id', 'word'],
+    'udger_deviceclass_list': ['id', 'name', 'name_code', 'icon', 'icon_big'],
+    'udger_deviceclass_regex': ['deviceclass_id', 'regstring', 'sequence', 'word_id', 'word2_id'],
+    'udger_deviceclass_regex_words': ['id', 'word'],
+    'udger_devicename_regex': ['id', 'os_family_code', 'os_code', 'regstring', 'sequence'],
+    'udger_devicename_list': ['regex_id', 'brand_id', 'code', 'marketname'],
+    'udger_devicename_brand': ['id', 'brand_code', 'brand', 'brand_url', 'icon', 'icon_big'],
+    'udger_crawler_list': [
+        'id', 'ua_string', 'name', 'ver', 'ver_major', 'class_id', 'last_seen', 'respect_robotstxt',
+        'family', 'family_code', 'family_homepage', 'family_icon', 'vendor', 'vendor_code', 'vendor_homepage'
+    ],
+    'udger_crawler_class': ['id', 'crawler_classification', 'crawler_classification_code'],
+    'udger_ip_list': [
+        'ip', 'class_id', 'crawler_id', 'ip_last_seen', 'ip_hostname', 'ip_country', 'ip_city', 'ip_country_code'
+    ],
+    'udger_ip_class': ['id', 'ip_classification', 'ip_classification_code', 'sequence'],
+    'udger_datacenter_list': ['id', 'name', 'name_code', 'homepage'],
+    'udger_datacenter_range': ['datacenter_id', 'iplong_from', 'iplong_to'],
+    'udger_datacenter_range6': ['datacenter_id'].concat(
+        [0, 1, 2, 3, 4, 5, 6, 7].map((i) => 'iplong_from' + i),
+        [0, 1, 2, 3, 4, 5, 6, 7].map((i) => 'iplong_to' + i)
+    )
+};
+
+/** The file can't be used as an udger database, err.code tells why */
+class UdgerDatabaseError extends Error {
+    constructor(code, message, file) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.file = file;
+    }
+}
+
+/** The file is not a SQLite database (or a snapshot), or is damaged */
+class CorruptDatabaseError extends UdgerDatabaseError {
+    constructor(message, file, cause) {
+        super('CORRUPT_DATABASE', message, file);
+        this.cause = cause;
+    }
+}
+
+/** The file is not an udger v3 database (or snapshot), err.missing lists the missing tables and columns */
+class IncompatibleDatabaseError extends UdgerDatabaseError {
+    constructor(message, file, missing) {
+        super('INCOMPATIBLE_DATABASE', message, file);
+        this.missing = missing || [];
+    }
+}
+
+/**
+ * Check that the tables and columns read by the parser exist
+ * @param {Object} tables - columns by table name
+ * @param {String} file - database file, for the error messages
+ */
+function checkTables(tables, file) {
+    const missing = [];
+
+    Object.keys(SCHEMA).forEach((table) => {
+        if (!tables[table]) {
+            missing.push(table);
+            return;
+        }
+
+        const columns = new Set(tables[table]);
+        SCHEMA[table].forEach((column) => {
+            if (!columns.has(column)) missing.push(table + '.' + column);
+        });
+    });
+
+    if (missing.length) {
+        throw new IncompatibleDatabaseError(
+            file + ' is not an udger v3 database, missing ' + missing.join(', '), file, missing
+        );
+    }
+}
+
+/**
+ * Version and last update of the data
+ * @param {Object} row - udger_db_info record
+ * @param {String} file - database file, for the error messages
+ * @return {Object} { version, lastUpdate }, lastUpdate is a Date or null if unknown
+ */
+function readInfo(row, file) {
+    if (!row || !row.version) {
+        throw new IncompatibleDatabaseError(file + ' has no version in udger_db_info', file);
+    }
+
+    const lastUpdate = Number(row.lastupdate);
+
+    return {
+        version: String(row.version),
+        lastUpdate: lastUpdate > 0 ? new Date(lastUpdate * 1000) : null
+    };
+}
+
+/**
+ * Check the tables and columns of an opened udger SQLite database and read its version
+ * @param {Object} db - better-sqlite3 database
+ * @param {String} file - database file, for the error messages
+ * @return {Object} { version, lastUpdate }, lastUpdate is a Date or null if unknown
+ */
+function validateDatabase(db, file) {
+    try {
+        const tables = {};
+
+        db.prepare('SELECT name FROM sqlite_master WHERE type=\'table\'').all().forEach((r) => {
+            if (!SCHEMA[r.name]) return;
+            tables[r.name] = db.prepare('PRAGMA table_info(' + r.name + ')').all().map((c) => c.name);
+        });
+
+        checkTables(tables, file);
+
+        return readInfo(db.prepare('SELECT version, lastupdate FROM udger_db_info').get(), file);
+    } catch (err) {
+        if (err instanceof UdgerDatabaseError) throw err;
+        throw new CorruptDatabaseError(file + ' is not a readable SQLite database: ' + err.message, file, err);
+    }
+}
+
+/**
+ * Age of the data
+ * @param {Object} info - validateDatabase() result
+ * @param {Number} [now] - current time in milliseconds (default: Date.now())
+ * @return {Number} age in days, null if the last update is unknown
+ */
+function ageDays(info, now) {
+    if (!info || !info.lastUpdate) return null;
+    return ((now === undefined ? Date.now() : now) - info.lastUpdate.getTime()) / (24 * 3600 * 1000);
+}
+
+module.exports = {
+    SCHEMA,
+    UdgerDatabaseError,
+    CorruptDatabaseError,
+    IncompatibleDatabaseError,
+    checkTables,
+    readInfo,
+    validateDatabase,
+    ageDays
+};
@@ -0,0 +1,280 @@
+const http = require('http');
+const url = require('url');
+const path = require('path');
+
+const FORMATS = ['udger', 'json', 'full'];
+const BODY_LIMIT = 1024 * 1024;
+
+/** Error returned to the client as { error: { code, message } } */
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Options for parse() from the format parameter
+ * @param {String} format - udger, json or full
+ * @return {Object} parse() options
+ */
+function formatOptions(format) {
+    format = format || 'udger';
+    if (FORMATS.indexOf(format) === -1) {
+        throw new HttpError(400, 'BAD_FORMAT', 'Unknown format ' + format + ', expected ' + FORMATS.join(', '));
+    }
+    return { json: format !== 'udger', full: format === 'full' };
+}
+
+/**
+ * Check a { ua, ip } input
+ * @param {Object} data - request input
+ * @return {Object} { ua, ip } object, without the missing attributes
+ */
+function parseInput(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new HttpError(400, 'BAD_INPUT', 'Input must be an object having ua and/or ip attribute');
+    }
+
+    const input = {};
+
+    ['ua', 'ip'].forEach((key) => {
+        if (data[key] === undefined || data[key] === null || data[key] === '') return;
+        if (typeof data[key] !== 'string') {
+            throw new HttpError(400, 'BAD_INPUT', key + ' must be a string');
+        }
+        input[key] = data[key];
+    });
+
+    if (!input.ua && !input.ip) {
+        throw new HttpError(400, 'BAD_INPUT', 'ua and/or ip is required');
+    }
+
+    if (data.hints !== undefined) {
+        if (!data.hints || typeof data.hints !== 'object' || Array.isArray(data.hints)) {
+            throw new HttpError(400, 'BAD_INPUT', 'hints must be an object of client hints headers');
+        }
+        input.hints = data.hints;
+    }
+
+    return input;
+}
+
+/**
+ * Read a JSON request body
+ * @param {Object} req - http.IncomingMessage
+ * @param {Number} limit - maximum body size in bytes
+ * @return {Promise} resolved with the parsed body
+ */
+function readJson(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'BODY_TOO_LARGE', 'Body is larger than ' + limit + ' bytes'));
+                req.removeAllListeners('data');
+                req.resume();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString();
+            if (!body) return resolve({});
+            try {
+                resolve(JSON.parse(body));
+            } catch (err) {
+                reject(new HttpError(400, 'BAD_JSON', 'Body is not valid JSON: ' + err.message));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create the request handler of the parsing service
+ *
+ * Only the stateless parse({ ua, ip }) is used, the parser can be shared by concurrent requests
+ * @param {Object} parser - UdgerParser instance
+ * @param {Object} [opts] - options
+ * @param {Number} opts.bodyLimit - maximum body size in bytes (default: 1MB)
+ * @param {Boolean|Object} opts.watch - reload the database when the file changes, true or parser.watch() options
+ * @return {Function} (req, res) handler for http.createServer()
+ */
+function createHandler(parser, opts) {
+    opts = opts || {};
+
+    const bodyLimit = opts.bodyLimit || BODY_LIMIT;
+
+    const classifications = {
+        clients: () => parser.getUAClientsClassification(),
+        crawlers: () => parser.getUACrawlersClassification(),
+        ips: () => parser.getIPsClassification()
+    };
+
+    const checkDatabase = () => {
+        if (!parser.db) {
+            throw new HttpError(503, 'DB_NOT_READY', 'Database not ready');
+        }
+    };
+
+    const routes = {
+        'GET /parse': (req, query) => {
+            checkDatabase();
+            return parser.parse(parseInput(query), formatOptions(query.format));
+        },
+
+        'POST /parse': (req, query) => readJson(req, bodyLimit).then((body) => {
+            checkDatabase();
+            return parser.parse(parseInput(body), formatOptions(body.format || query.format));
+        }),
+
+        'POST /parse/batch': (req, query) => readJson(req, bodyLimit).then((body) => {
+            checkDatabase();
+
+            const items = Array.isArray(body) || !body || typeof body !== 'object' ? body : body.items;
+            if (!Array.isArray(items)) {
+                throw new HttpError(400, 'BAD_INPUT', 'Body must be an array or an object having an items array');
+            }
+
+            const input = items.map((item, i) => {
+                try {
+                    return parseInput(item);
+                } catch (err) {
+                    err.message = 'items[' + i + ']: ' + err.message;
+                    throw err;
+                }
+            });
+
+            return parser.parseMany(input, formatOptions(body.format || query.format));
+        }),
+
+        'GET /info': () => {
+            checkDatabase();
+            return parser.getDatabaseInfo();
+        },
+
+        'GET /health': (req, query, res) => {
+            // load balancers only look at the status code
+            if (!parser.db) res.statusCode = 503;
+
+            return {
+                status: parser.db ? 'ok' : 'error',
+                db: {
+                    // null for a snapshot given as bytes
+                    file: typeof parser.file === 'string' ? path.basename(parser.file) : null,
+                    engine: parser.engine,
+                    connected: !!parser.db,
+                    compileTime: parser.compileTime,
+                    version: parser.dbInfo ? parser.dbInfo.version : null,
+                    lastUpdate: parser.dbInfo ? parser.dbInfo.lastUpdate : null
+                },
+                cache: parser.getCacheStats()
+            };
+        }
+    };
+
+    const send = (res, status, data) => {
+        const body = JSON.stringify(data);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+    };
+
+    return (req, res) => {
+        const u = url.parse(req.url, true);
+        const pathname = u.pathname.replace(/\/+$/, '') || '/';
+
+        let route = routes[req.method + ' ' + pathname];
+
+        const m = /^\/classifications\/([^/]+)$/.exec(pathname);
+        if (!route && m && req.method === 'GET') {
+            route = () => {
+                if (!classifications[m[1]]) {
+                    throw new HttpError(404, 'NOT_FOUND', 'Unknown classification ' + m[1] + ', expected ' + Object.keys(classifications).join(', '));
+                }
+                checkDatabase();
+                return classifications[m[1]]();
+            };
+        }
+
+        if (!route) {
+            const allowed = Object.keys(routes).filter((r) => r.split(' ')[1] === pathname);
+            route = () => {
+                if (allowed.length) {
+                    throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method ' + req.method + ' not allowed on ' + pathname);
+                }
+                throw new HttpError(404, 'NOT_FOUND', 'Not found: ' + pathname);
+            };
+        }
+
+        new Promise((resolve) => resolve(route(req, u.query, res)))
+            .then((data) => send(res, res.statusCode, data))
+            .catch((err) => {
+                if (!(err instanceof HttpError)) {
+                    err = new HttpError(500, 'INTERNAL_ERROR', err.message);
+                }
+                send(res, err.status, { error: { code: err.code, message: err.message } });
+            });
+    };
+}
+
+/**
+ * Start the parsing service
+ * @param {Object} opts - options
+ * @param {String} opts.db - full path to udgerdb_v3.dat (or opts.parser)
+ * @param {String} opts.engine - engine of opts.db, 'sqlite' (default) or 'snapshot'
+ * @param {Object} opts.parser - UdgerParser instance to use instead of opening opts.db
+ * @param {Number} opts.port - port to listen on (default: 8080, 0 for a random one)
+ * @param {String} opts.host - host to listen on (default: all interfaces)
+ * @param {Number} opts.cacheSize - enable the parser cache with this size
+ * @param {Number} opts.bodyLimit - maximum body size in bytes (default: 1MB)
+ * @return {Promise} resolved with the listening http.Server, server.udgerParser is the parser
+ */
+function startServer(opts) {
+    return new Promise((resolve, reject) => {
+        opts = opts || {};
+
+        let parser = opts.parser;
+        if (!parser) {
+            if (!opts.db) throw new Error('startServer() needs a db or a parser option');
+            parser = require('../')(opts.db, { engine: opts.engine });
+        }
+
+        if (opts.cacheSize) {
+            parser.setCacheSize(opts.cacheSize);
+            parser.setCacheEnable(true);
+        }
+
+        if (opts.watch) {
+            parser.watch(opts.watch === true ? {} : opts.watch);
+        }
+
+        const server = http.createServer(createHandler(parser, opts));
+        server.udgerParser = parser;
+
+        if (opts.watch) {
+            server.on('close', () => parser.unwatch());
+        }
+
+        server.once('error', reject);
+        server.listen(opts.port === undefined ? 8080 : opts.port, opts.host, () => {
+            server.removeListener('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    HttpError,
+    createHandler,
+    startServer
+};
@@ -0,0 +1,15 @@
+// Pure javascript entry point for edge and serverless runtimes: no native module and no filesystem access,
+// the data is a snapshot (see buildSnapshot() and udger build-snapshot) given as an ArrayBuffer or an Uint8Array
+
+const UdgerParser = require('./lib/parser');
+const schema = require('./lib/schema');
+
+module.exports = function(snapshot, opts) {
+    return new (UdgerParser)(snapshot, Object.assign({}, opts, { engine: 'snapshot' }));
+};
+
+module.exports.getAcceptCH = require('./lib/clientHints').getAcceptCH;
+module.exports.createPolicy = require('./lib/policy').createPolicy;
+module.exports.UdgerDatabaseError = schema.UdgerDatabaseError;
+module.exports.CorruptDatabaseError = schema.CorruptDatabaseError;
+module.exports.IncompatibleDatabaseError = schema.IncompatibleDatabaseError;
@@ -0,0 +1,139 @@
+const tap = require('tap');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const PassThrough = require('stream').PassThrough;
+const config = require('./lib/config');
+const accessLog = require('../').accessLog;
+const cli = require('../lib/cli');
+
+const db = path.resolve(__dirname, 'db/udgerdb_v3_test.dat');
+const googleBot = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/55.0.2883.87 Safari/537.36';
+
+/**
+ * Build a combined log line
+ * @param {String} ip - client IP
+ * @param {String} ua - User-Agent
+ * @return {String} log line
+ */
+function line(ip, ua) {
+    return ip + ' - - [10/Oct/2019:13:55:36 +0200] "GET /index.html HTTP/1.1" 200 2326 "-" "' + ua + '"';
+}
+
+const lines = [
+    line('66.249.64.73', googleBot),
+    line('66.249.64.73', googleBot),
+    line('2001:41d0:8:d54c::1', chrome),
+    'not a combined log line',
+    line('192.168.0.1', chrome),
+    ''
+].join('\n');
+
+tap.test(
+    'accessLog: parseLine',
+    (t) => {
+        t.same(accessLog.parseLine('1.2.3.4 - frank [10/Oct/2019:13:55:36 +0200] "GET /a\\"b HTTP/1.0" 304 - "http://ref/" "UA \\"quoted\\""'), {
+            ip: '1.2.3.4',
+            ident: '-',
+            user: 'frank',
+            time: '10/Oct/2019:13:55:36 +0200',
+            request: 'GET /a"b HTTP/1.0',
+            status: 304,
+            bytes: 0,
+            referer: 'http://ref/',
+            ua: 'UA "quoted"'
+        });
+        t.equal(accessLog.parseLine('garbage'), null);
+        t.end();
+    }
+);
+
+tap.test(
+    'accessLog: analyzeStream should aggregate udger values',
+    async (t) => {
+        const input = new PassThrough();
+        input.end(lines);
+
+        const report = (await accessLog.analyzeStream(config.udgerParser, input)).report();
+        const chromeUa = config.udgerParser.parseUa(chrome).udger;
+
+        t.equal(report.lines, 5);
+        t.equal(report.parsed, 4);
+        t.equal(report.malformed, 1);
+        t.same(report.dimensions.ua_class_code, [
+            { value: 'browser', count: 2, share: 0.5 },
+            { value: 'crawler', count: 2, share: 0.5 }
+        ]);
+        t.same(report.dimensions.crawler_family, [{ value: 'Googlebot', count: 2, share: 1 }]);
+        t.same(report.dimensions.browser_version, [
+            { value: chromeUa.ua_family + ' ' + chromeUa.ua_version_major, count: 2, share: 1 }
+        ]);
+        t.same(report.dimensions.os_family, [{ value: chromeUa.os_family, count: 2, share: 1 }]);
+        t.equal(report.dimensions.ip_classification_code[0].value, 'crawler');
+        t.same(report.dimensions.datacenter.map((e) => e.value).sort(), ['Google sites', 'OVH']);
+        t.same(Object.keys(report.dimensions), accessLog.DIMENSIONS);
+    }
+);
+
+tap.test(
+    'accessLog: analyzeFiles should read plain and gzipped files',
+    async (t) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'udger-'));
+        const plain = path.join(dir, 'access.log');
+        const gzipped = path.join(dir, 'access.log.1.gz');
+        fs.writeFileSync(plain, lines);
+        fs.writeFileSync(gzipped, zlib.gzipSync(lines));
+
+        try {
+            const report = await accessLog.analyzeFiles(config.udgerParser, [plain, gzipped], { top:1 });
+            t.equal(report.lines, 10);
+            t.equal(report.parsed, 8);
+            t.equal(report.dimensions.ua_class_code.length, 1);
+            t.equal(report.dimensions.ua_class_code[0].count, 4);
+
+            await t.rejects(accessLog.analyzeFiles(config.udgerParser, path.join(dir, 'none.log')), /ENOENT/);
+        } finally {
+            fs.unlinkSync(plain);
+            fs.unlinkSync(gzipped);
+            fs.rmdirSync(dir);
+        }
+    }
+);
+
+tap.test(
+    'accessLog: report formats',
+    (t) => {
+        const analyzer = new accessLog.Analyzer(config.udgerParser);
+        lines.split('\n').forEach((l) => analyzer.add(l));
+        const report = analyzer.report();
+
+        const table = accessLog.formatTable(report);
+        t.match(table, /^lines: 5, parsed: 4, malformed: 1\n/);
+        t.match(table, /\ncrawler_family +count +share\n-+\nGooglebot +2 +100\.00%\n/);
+
+        const csv = accessLog.formatCsv(report).split('\n');
+        t.equal(csv[0], 'dimension,value,count,share');
+        t.equal(csv[1], 'ua_class_code,browser,2,0.500000');
+        t.end();
+    }
+);
+
+tap.test(
+    'accessLog: cli analyze',
+    async (t) => {
+        const stdin = new PassThrough();
+        const stdout = new PassThrough();
+        let out = '';
+        stdin.end(zlib.gzipSync(lines));
+        stdout.on('data', (d) => out += d);
+
+        const code = await cli.run(['analyze', '-d', db, '--report', 'json', '--top', '1'], { stdin, stdout, env: {} });
+        t.equal(code, 0);
+
+        const report = JSON.parse(out);
+        t.equal(report.parsed, 4);
+        t.equal(report.dimensions.ua_class_code.length, 1);
+    }
+);
@@ -68,3 +68,93 @@ tap.test(
         t.end();
     }
 );
+
+tap.test(
+    'Cache: results should be copies, changing them should not change the cache',
+    (t) => {
+        const parser = require('../')(config.udgerParser.file, { engine:config.engine });
+        parser.setCacheEnable(true);
+
+        let ret = parser.parse({ ua:myUa, ip:'66.249.64.73' });
+        ret['user_agent']['ua'] = 'changed';
+        ret['ip_address']['ip'] = 'changed';
+
+        ret = parser.parse({ ua:myUa, ip:'66.249.64.73' });
+        t.equal(ret['from_cache'], true);
+        t.equal(ret['user_agent']['ua'], 'Googlebot/2.1');
+        t.equal(ret['ip_address']['ip'], '66.249.64.73');
+
+        ret['user_agent']['ua'] = 'changed';
+        t.equal(parser.parse({ ua:myUa }, {})['user_agent']['ua'], 'Googlebot/2.1');
+
+        parser.disconnect();
+        t.end();
+    }
+);
+
+tap.test(
+    'Cache: User-Agents and IPs should have their own cache',
+    (t) => {
+        const parser = require('../')(config.udgerParser.file, { engine:config.engine });
+        parser.setCacheEnable(true);
+        parser.setCacheSize(2);
+
+        parser.parse({ ua:myUa, ip:'66.249.64.73' });
+        let ret = parser.parse({ ua:myUa, ip:'2001:41d0:8:d54c::1' });
+        t.equal(ret['from_cache'], false, 'new IP');
+
+        ret = parser.parse({ ua:myUa, ip:'66.249.64.73' });
+        t.equal(ret['from_cache'], true, 'same UA and IP in their caches');
+
+        t.equal(parser.parse({ ua:myUa }, { json:true, full:true }).fromCache, false, 'full JSON format is cached apart');
+        t.equal(parser.parse({ ua:myUa }, { json:true, full:true }).fromCache, true);
+        t.same(
+            parser.parse({ ua:myUa, ip:'66.249.64.73' }, { json:true }),
+            config.udgerParser.parse({ ua:myUa, ip:'66.249.64.73' }, { json:true })
+        );
+
+        const stats = parser.getCacheStats();
+        t.equal(stats.enabled, true);
+        t.same(stats.ua, { hits:4, misses:2, evictions:0, expirations:0, size:2, max:2, ttl:0 });
+        t.same(stats.ip, { hits:2, misses:2, evictions:0, expirations:0, size:2, max:2, ttl:0 });
+
+        parser.parse({ ip:'1.1.1.1' });
+        t.equal(parser.getCacheStats().ip.evictions, 1);
+
+        parser.parseMany([{ ua:myUa }, { ip:'1.1.1.1' }]);
+        t.equal(parser.getCacheStats().ua.hits, 5, 'parseMany() uses the cache');
+
+        parser.cacheClean();
+        t.equal(parser.getCacheStats().ua.size, 0);
+
+        parser.disconnect();
+        t.end();
+    }
+);
+
+tap.test(
+    'Cache: ttl and frozen results',
+    async (t) => {
+        const parser = require('../')(config.udgerParser.file, { engine:config.engine });
+        parser.setCacheEnable(true);
+        parser.setCacheTtl(20);
+
+        parser.parse({ ua:myUa });
+        t.equal(parser.parse({ ua:myUa })['from_cache'], true);
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        t.equal(parser.parse({ ua:myUa })['from_cache'], false, 'expired');
+        t.equal(parser.getCacheStats().ua.expirations, 1);
+
+        parser.setCacheTtl(0);
+        parser.setCacheFreeze(true);
+
+        const first = parser.parse({ ua:myUa });
+        const ret = parser.parse({ ua:myUa });
+        t.equal(ret['from_cache'], true);
+        t.ok(Object.isFrozen(ret['user_agent']));
+        t.ok(Object.isFrozen(first['user_agent']));
+        t.equal(ret['user_agent'], first['user_agent'], 'no copy');
+
+        parser.disconnect();
+    }
+);
@@ -0,0 +1,115 @@
+const tap = require('tap');
+const config = require('./lib/config');
+const conformance = require('./lib/cacheAdapterConformance');
+const LruCache = require('../lib/lru').LruCache;
+
+const myUa = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const myIp = '66.249.64.73';
+
+/**
+ * Shared cache stub, values are serialized as a network cache does
+ * @param {Boolean} async - methods return promises
+ * @param {Map} [store] - shared store
+ * @return {Object} adapter
+ */
+function sharedCache(async, store) {
+    store = store || new Map();
+    const wrap = (fn) => (async ? (...args) => new Promise((resolve) => setImmediate(() => resolve(fn(...args)))) : fn);
+
+    return {
+        async,
+        store,
+        get: wrap((key) => (store.has(key) ? JSON.parse(store.get(key)) : undefined)),
+        set: wrap((key, value) => {
+            store.set(key, JSON.stringify(value));
+        }),
+        delete: wrap((key) => {
+            store.delete(key);
+        }),
+        clear: wrap(() => store.clear())
+    };
+}
+
+conformance(tap, 'LruCache', () => new LruCache({ max:100 }));
+conformance(tap, 'sync shared cache', () => sharedCache(false));
+conformance(tap, 'async shared cache', () => sharedCache(true));
+
+tap.test(
+    'Cache adapter: processes should share the cache',
+    async (t) => {
+        const store = new Map();
+        const first = require('../')(config.udgerParser.file, { engine:config.engine });
+        const second = require('../')(config.udgerParser.file, { engine:config.engine });
+
+        first.setCacheAdapter(sharedCache(true, store));
+        second.setCacheAdapter(sharedCache(true, store));
+
+        t.equal((await first.parseAsync({ ua:myUa, ip:myIp })).from_cache, false);
+        t.equal((await second.parseAsync({ ua:myUa, ip:myIp })).from_cache, true);
+        t.ok(store.has('ua:' + myUa));
+        t.ok(store.has('ip:' + myIp));
+
+        // the synchronous methods don't use an async adapter
+        t.equal(second.parse({ ua:myUa, ip:myIp })['from_cache'], false);
+        t.equal(second.parseMany([{ ua:myUa }]).results[0]['user_agent']['ua'], 'Googlebot/2.1');
+
+        first.disconnect();
+        second.disconnect();
+    }
+);
+
+tap.test(
+    'Cache adapter: separate ua and ip adapters, stats and errors',
+    async (t) => {
+        const parser = require('../')(config.udgerParser.file, { engine:config.engine });
+        const ua = new LruCache({ max:10 });
+        const ip = sharedCache(false);
+
+        parser.setCacheAdapter({ ua, ip });
+        t.equal(parser.isCacheEnable(), true);
+
+        parser.parse({ ua:myUa, ip:myIp });
+        t.equal(parser.parse({ ua:myUa, ip:myIp })['from_cache'], true);
+        t.equal(ua.size, 1);
+        t.equal(ip.store.size, 1);
+
+        const stats = parser.getCacheStats();
+        t.equal(stats.ua.hits, 1);
+        t.equal(stats.ip, null, 'no stats()');
+
+        parser.setCacheSize(5);
+        t.equal(ua.max, 5, 'resize()');
+
+        const broken = {
+            get: () => {
+                throw new Error('down');
+            },
+            set: () => {
+                throw new Error('down');
+            },
+            delete: () => {},
+            clear: () => {
+                throw new Error('down');
+            }
+        };
+        parser.setCacheAdapter(broken);
+        t.equal(parser.parse({ ua:myUa })['from_cache'], false, 'errors are misses');
+        parser.cacheClean();
+
+        const rejecting = Object.assign(sharedCache(true), {
+            get: () => Promise.reject(new Error('down')),
+            set: () => Promise.reject(new Error('down'))
+        });
+        parser.setCacheAdapter(rejecting);
+        t.equal((await parser.parseAsync({ ua:myUa }))['from_cache'], false);
+
+        parser.setCacheAdapter(null);
+        t.type(parser.uaCache, LruCache);
+        t.not(parser.uaCache, parser.ipCache);
+
+        t.throws(() => parser.setCacheAdapter({ get:() => {} }), /Cache adapter must have get, set, delete, clear methods/);
+        t.throws(() => parser.setCacheAdapter({ ua, ip:{} }), /Cache adapter must have/);
+
+        parser.disconnect();
+    }
+);
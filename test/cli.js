@@ -0,0 +1,147 @@
+const tap = require('tap');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const PassThrough = require('stream').PassThrough;
+const config = require('./lib/config');
+const cli = require('../lib/cli');
+
+const db = path.resolve(__dirname, 'db/udgerdb_v3_test.dat');
+const myUa = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const myIp = '66.249.64.73';
+
+/**
+ * Run the cli with captured output
+ * @param {Array} argv - arguments
+ * @param {Object} [io] - stdin, env
+ * @return {Promise} resolved with { code, stdout, stderr }
+ */
+function run(argv, io) {
+    io = io || {};
+
+    const out = { stdout: '', stderr: '' };
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    stdout.on('data', (d) => out.stdout += d);
+    stderr.on('data', (d) => out.stderr += d);
+
+    return cli.run(argv, { stdin: io.stdin, stdout, stderr, env: io.env || {} }).then((code) => {
+        out.code = code;
+        return out;
+    });
+}
+
+tap.test(
+    'cli: parse should print the parse() result',
+    async (t) => {
+        let ret = await run(['parse', '--db', db, '--ua', myUa, '--ip', myIp]);
+        t.equal(ret.code, 0);
+        t.same(JSON.parse(ret.stdout), config.udgerParser.parse({ ua:myUa, ip:myIp }, {}));
+
+        ret = await run(['parse', '--ua=' + myUa, '-f', 'full'], { env: { UDGER_DB:db } });
+        t.equal(ret.code, 0);
+        t.same(JSON.parse(ret.stdout), config.udgerParser.parse({ ua:myUa }, { json:true, full:true }));
+    }
+);
+
+tap.test(
+    'cli: parse --stdin should print one json line per input line',
+    async (t) => {
+        const stdin = new PassThrough();
+        stdin.end([myIp, myUa, '', JSON.stringify({ ua:myUa, ip:myIp }), '{bad'].join('\n'));
+
+        const ret = await run(['parse', '--stdin', '-d', db, '-f', 'json'], { stdin });
+        const lines = ret.stdout.trim().split('\n').map((l) => JSON.parse(l));
+
+        t.equal(ret.code, 1);
+        t.equal(lines.length, 3);
+        t.same(lines[0], config.udgerParser.parse({ ip:myIp }, { json:true }));
+        t.same(lines[1], config.udgerParser.parse({ ua:myUa }, { json:true }));
+        t.same(lines[2], config.udgerParser.parse({ ua:myUa, ip:myIp }, { json:true }));
+        t.match(ret.stderr, /{bad/);
+    }
+);
+
+tap.test(
+    'cli: info, classes and random',
+    async (t) => {
+        let ret = await run(['info', '-d', db]);
+        t.equal(JSON.parse(ret.stdout).version, '20170106-01');
+
+        ret = await run(['classes', 'ip', 'crawler', '-d', db, '--compact']);
+        t.same(Object.keys(JSON.parse(ret.stdout)), ['ip', 'crawler']);
+        t.equal(ret.stdout.trim().split('\n').length, 1);
+
+        ret = await run(['random', 'crawlers', '-n', '3', '-d', db]);
+        t.equal(JSON.parse(ret.stdout).length, 3);
+
+        ret = await run(['random', 'ips', '-d', db]);
+        t.equal(ret.code, 0);
+        t.ok(JSON.parse(ret.stdout).length);
+    }
+);
+
+tap.test(
+    'cli: build-snapshot should write a snapshot usable with --engine snapshot',
+    async (t) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'udger-'));
+        const file = path.join(dir, 'udger.snapshot');
+        t.tearDown(() => fs.removeSync(dir));
+
+        let ret = await run(['build-snapshot', file, '-d', db]);
+        t.equal(ret.code, 0);
+        t.match(ret.stderr, /udger\.snapshot written, version 20170106-01, \d+ rows, \d+ bytes/);
+
+        ret = await run(['parse', '--db', file, '--engine', 'snapshot', '--ua', myUa, '--ip', myIp]);
+        t.equal(ret.code, 0);
+        t.same(JSON.parse(ret.stdout), config.udgerParser.parse({ ua:myUa, ip:myIp }, {}));
+
+        ret = await run(['info', '--db', file]);
+        t.equal(ret.code, 1);
+        t.match(ret.stderr, /is an udger snapshot, use the snapshot engine/);
+
+        ret = await run(['info', '--db', db, '--engine', 'mysql']);
+        t.match(ret.stderr, /Unknown engine mysql, expected sqlite or snapshot/);
+    }
+);
+
+tap.test(
+    'cli: errors',
+    async (t) => {
+        let ret = await run(['info']);
+        t.equal(ret.code, 1);
+        t.match(ret.stderr, /No database, use --db <file> or the UDGER_DB environment variable/);
+
+        ret = await run(['parse', '-d', db]);
+        t.equal(ret.code, 1);
+        t.match(ret.stderr, /parse needs --ua and\/or --ip/);
+
+        ret = await run(['parse', '-d', db, '--ua', myUa, '-f', 'xml']);
+        t.match(ret.stderr, /Unknown format xml/);
+
+        ret = await run(['random', 'foo', '-d', db]);
+        t.match(ret.stderr, /random needs one of crawlers, clients, ips/);
+
+        ret = await run(['foo']);
+        t.equal(ret.code, 2);
+        t.match(ret.stderr, /unknown command foo/);
+
+        ret = await run(['parse', '--ua']);
+        t.match(ret.stderr, /Option --ua needs a value/);
+    }
+);
+
+tap.test(
+    'cli: help and version',
+    async (t) => {
+        let ret = await run(['--help']);
+        t.equal(ret.code, 0);
+        t.match(ret.stdout, /Usage: udger <command>/);
+
+        ret = await run([]);
+        t.equal(ret.code, 2);
+
+        ret = await run(['-v']);
+        t.equal(ret.stdout.trim(), require('../package.json').version);
+    }
+);
@@ -0,0 +1,178 @@
+const tap = require('tap');
+const config = require('./lib/config');
+const clientHints = require('../lib/clientHints');
+
+const chrome = 'Mozilla/5.0 (Windows NT 6.1; WOW64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/55.0.0.0 Safari/537.36';
+const googleBot = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+
+const hints = {
+    'Sec-CH-UA': '"Not=A?Brand";v="99", "Chromium";v="55", "Google Chrome";v="55"',
+    'Sec-CH-UA-Full-Version-List': '"Not=A?Brand";v="99.0.0.0", "Chromium";v="55.0.2883.87", "Google Chrome";v="55.0.2883.87"',
+    'Sec-CH-UA-Platform': '"Windows"',
+    'Sec-CH-UA-Platform-Version': '"10.0.0"',
+    'Sec-CH-UA-Mobile': '?1',
+    'Sec-CH-UA-Model': '"Pixel"'
+};
+
+tap.test(
+    'clientHints: parseBrands should skip GREASE brands',
+    (t) => {
+        t.same(clientHints.parseBrands('" Not A;Brand";v="99", "Chromium";v="118", "Google Chrome";v="118"'), [
+            { brand:'Chromium', version:'118' },
+            { brand:'Google Chrome', version:'118' }
+        ]);
+        t.same(clientHints.parseBrands('"Not_A Brand";v="8"'), []);
+        t.same(clientHints.parseBrands(''), []);
+        t.end();
+    }
+);
+
+tap.test(
+    'clientHints: parseHints should read headers of any case',
+    (t) => {
+        t.same(clientHints.parseHints({
+            'sec-ch-ua-platform': '"Android"',
+            'SEC-CH-UA-PLATFORM-VERSION': '"13.0.0"',
+            'Sec-Ch-Ua-Mobile': '?0',
+            'sec-ch-ua-model': '""',
+            'user-agent': chrome
+        }), { platform:'Android', platformVersion:'13.0.0', model:'', mobile:false });
+        t.same(clientHints.parseHints(), {});
+        t.end();
+    }
+);
+
+tap.test(
+    'clientHints: getAcceptCH should list the used headers',
+    (t) => {
+        t.equal(require('../').getAcceptCH(), clientHints.HEADERS.join(', '));
+        t.match(require('../').getAcceptCH(), /Sec-CH-UA-Full-Version-List/);
+        t.end();
+    }
+);
+
+tap.test(
+    'clientHints: parse() udger format should refine ua version, os, device class and model',
+    (t) => {
+        const ret = config.udgerParser.parse({ ua:chrome, hints });
+        const base = config.udgerParser.parse({ ua:chrome });
+
+        t.equal(base['user_agent']['ua_version'], '55.0.0.0');
+        t.equal(base['user_agent']['client_hints'], undefined);
+
+        t.equal(ret['user_agent']['ua_version'], '55.0.2883.87');
+        t.equal(ret['user_agent']['ua'], 'Chrome 55.0.2883.87');
+        t.equal(ret['user_agent']['os'], 'Windows 10');
+        t.equal(ret['user_agent']['os_code'], 'windows_10');
+        t.equal(ret['user_agent']['device_class_code'], 'smartphone');
+        t.equal(ret['user_agent']['device_marketname'], 'Pixel');
+        t.same(ret['user_agent']['client_hints'], ['ua_version', 'os', 'device_class', 'device_marketname']);
+        t.end();
+    }
+);
+
+tap.test(
+    'clientHints: parse() json formats should refine the same fields',
+    (t) => {
+        let ret = config.udgerParser.parse({ ua:chrome, hints }, { json:true });
+        t.equal(ret.userAgent.os.code, 'windows_10');
+        t.equal(ret.userAgent.device.class, 'smartphone');
+        t.equal(ret.userAgent.device.marketName, 'Pixel');
+        t.same(ret.userAgent.clientHints, ['ua.version', 'os', 'device.class', 'device.marketName']);
+
+        ret = config.udgerParser.parse({ ua:chrome, hints }, { json:true, full:true });
+        t.equal(ret.userAgent.os.name, 'Windows 10');
+        t.equal(ret.userAgent.device.class.code, 'smartphone');
+        t.equal(ret.userAgent.ua.version.major, '55');
+        t.end();
+    }
+);
+
+tap.test(
+    'clientHints: Android platform without a known version should use Android',
+    (t) => {
+        const ret = config.udgerParser.parse({ ua:chrome, hints:{ 'sec-ch-ua-platform':'"Android"', 'sec-ch-ua-platform-version':'"99.0.0"' } });
+        t.equal(ret['user_agent']['os_code'], 'android');
+        t.same(ret['user_agent']['client_hints'], ['os']);
+        t.end();
+    }
+);
+
+tap.test(
+    'clientHints: osNames should omit a missing minor version',
+    (t) => {
+        t.same(clientHints.osNames('Android', '13'), ['Android 13', 'Android']);
+        t.same(clientHints.osNames('Android', '13.1.0'), ['Android 13.1', 'Android 13', 'Android']);
+        t.same(clientHints.osNames('macOS', '10'), ['macOS 10', 'OS X 10']);
+        t.same(clientHints.osNames('macOS', '10.15.7'), ['macOS 10.15', 'OS X 10.15']);
+        t.same(clientHints.osNames('macOS', '14.0.0'), ['macOS 14']);
+        t.same(clientHints.osNames('Windows', '0.3.0'), ['Windows 8.1']);
+        t.end();
+    }
+);
+
+tap.test(
+    'clientHints: Sec-CH-UA should refine the major version without a full version list',
+    (t) => {
+        const brands = (v) => ({ 'Sec-CH-UA':'"Not=A?Brand";v="99", "Chromium";v="' + v + '", "Google Chrome";v="' + v + '"' });
+
+        let ret = config.udgerParser.parse({ ua:chrome, hints:brands('56') });
+        t.equal(ret['user_agent']['ua_version'], '56');
+        t.equal(ret['user_agent']['ua_version_major'], '56');
+        t.equal(ret['user_agent']['ua'], 'Chrome 56');
+        t.same(ret['user_agent']['client_hints'], ['ua_version']);
+
+        ret = config.udgerParser.parse({ ua:chrome, hints:brands('55') });
+        t.equal(ret['user_agent']['ua_version'], '55.0.0.0', 'same major version, the User-Agent is kept');
+        t.same(ret['user_agent']['client_hints'], []);
+
+        ret = config.udgerParser.parse({ ua:chrome, hints:Object.assign({}, hints, brands('56')) });
+        t.equal(ret['user_agent']['ua_version'], '55.0.2883.87', 'the full version list wins');
+        t.end();
+    }
+);
+
+tap.test(
+    'clientHints: hints without refinement and crawlers should keep the result',
+    (t) => {
+        const ret = config.udgerParser.parse({ ua:chrome, hints:{ 'accept':'*/*' } });
+        t.same(ret['user_agent']['client_hints'], []);
+
+        t.same(config.udgerParser.parse({ ua:googleBot, hints }), config.udgerParser.parse({ ua:googleBot }));
+        t.end();
+    }
+);
+
+tap.test(
+    'clientHints: cache key should include the hints',
+    (t) => {
+        config.udgerParser.setCacheEnable(true);
+        const base = config.udgerParser.parse({ ua:chrome });
+        const ret = config.udgerParser.parse({ ua:chrome, hints });
+        config.udgerParser.setCacheEnable(false);
+
+        t.equal(base['user_agent']['ua_version'], '55.0.0.0');
+        t.equal(ret['user_agent']['ua_version'], '55.0.2883.87');
+        t.end();
+    }
+);
+
+tap.test(
+    'clientHints: parseMany() should parse the hints of each item',
+    (t) => {
+        const ret = config.udgerParser.parseMany([{ ua:chrome }, { ua:chrome, hints }, { ua:chrome, hints }]);
+        t.equal(ret.results[0]['user_agent']['ua_version'], '55.0.0.0');
+        t.equal(ret.results[1]['user_agent']['ua_version'], '55.0.2883.87');
+        t.same(ret.results[2], ret.results[1]);
+        t.equal(ret.stats.uniqueUa, 2);
+        t.end();
+    }
+);
+
+tap.test(
+    'clientHints: set() should not accept hints',
+    (t) => {
+        t.throws(() => config.udgerParser.set({ ua:chrome, hints }));
+        t.end();
+    }
+);
@@ -0,0 +1,96 @@
+const tap = require('tap');
+const clientIp = require('../lib/clientIp');
+const resolveClientIp = require('../').resolveClientIp;
+
+/**
+ * Fake node request
+ * @param {String} remote - socket address
+ * @param {Object} [headers] - request headers
+ * @return {Object} request
+ */
+function req(remote, headers) {
+    return { socket: { remoteAddress:remote }, headers: headers || {} };
+}
+
+tap.test(
+    'clientIp: untrusted socket address should ignore the headers',
+    (t) => {
+        const r = req('::ffff:203.0.113.7', { 'x-forwarded-for':'1.2.3.4', 'x-real-ip':'1.2.3.4' });
+        t.equal(resolveClientIp(r), '203.0.113.7');
+        t.equal(resolveClientIp(r, { trustedProxies:['10.0.0.0/8'] }), '203.0.113.7');
+        t.end();
+    }
+);
+
+tap.test(
+    'clientIp: X-Forwarded-For chain should return the first untrusted hop',
+    (t) => {
+        const opts = { trustedProxies:['10.0.0.0/8', '198.51.100.10'] };
+
+        t.equal(resolveClientIp(req('10.1.1.1', { 'x-forwarded-for':'6.6.6.6, 203.0.113.7, 198.51.100.10' }), opts), '203.0.113.7');
+        t.equal(resolveClientIp(req('10.1.1.1', { 'x-forwarded-for':'203.0.113.7:4711,10.2.2.2' }), opts), '203.0.113.7');
+        t.equal(resolveClientIp(req('10.1.1.1', { 'x-forwarded-for':'10.3.3.3, 10.2.2.2' }), opts), '10.3.3.3', 'all trusted');
+        t.equal(resolveClientIp(req('10.1.1.1', { 'x-forwarded-for':'203.0.113.7, garbage' }), opts), null, 'invalid hop');
+        t.equal(resolveClientIp(req('10.1.1.1', { 'x-forwarded-for':['6.6.6.6', '2001:DB8::1'] }), opts), '2001:db8::1');
+        t.end();
+    }
+);
+
+tap.test(
+    'clientIp: RFC 7239 Forwarded header',
+    (t) => {
+        const opts = { trustedProxies:'loopback' };
+
+        t.same(
+            clientIp.parseForwarded('for=192.0.2.60;proto=http;by=203.0.113.43, For="[2001:db8:cafe::17]:4711", for=unknown'),
+            ['192.0.2.60', '2001:db8:cafe::17', null]
+        );
+        t.equal(resolveClientIp(req('127.0.0.1', { forwarded:'for=192.0.2.60;proto=http, for="[2001:db8:cafe::17]:4711"' }), opts), '2001:db8:cafe::17');
+        t.equal(resolveClientIp(req('::1', { forwarded:'for=_hidden', 'x-forwarded-for':'1.2.3.4' }), opts), null);
+        t.end();
+    }
+);
+
+tap.test(
+    'clientIp: CDN and X-Real-IP headers',
+    (t) => {
+        const opts = { trustedProxies:'uniquelocal' };
+
+        t.equal(resolveClientIp(req('192.168.1.1', { 'cf-connecting-ip':'203.0.113.7', 'x-real-ip':'1.2.3.4' }), opts), '203.0.113.7');
+        t.equal(resolveClientIp(req('192.168.1.1', { 'x-real-ip':'203.0.113.8' }), opts), '203.0.113.8');
+        t.equal(resolveClientIp(req('192.168.1.1', { 'x-real-ip':'bad' }), opts), '192.168.1.1');
+        t.equal(resolveClientIp(req('fd00::1', { 'true-client-ip':'203.0.113.9' }), opts), '203.0.113.9');
+        t.end();
+    }
+);
+
+tap.test(
+    'clientIp: trusted proxies list',
+    (t) => {
+        const trust = clientIp.compileTrust(['loopback', '172.16.0.0/12', '2001:db8::/32', '203.0.113.7']);
+        t.ok(trust('127.0.0.2'));
+        t.ok(trust('::1'));
+        t.ok(trust('172.31.255.255'));
+        t.notOk(trust('172.32.0.0'));
+        t.ok(trust('2001:db8:1::1'));
+        t.ok(trust('203.0.113.7'));
+        t.notOk(trust('203.0.113.8'));
+
+        t.ok(clientIp.compileTrust((ip) => ip === '1.1.1.1')('1.1.1.1'));
+        t.throws(() => clientIp.compileTrust(['10.0.0.0/33']), /Invalid trusted proxy 10.0.0.0\/33/);
+        t.throws(() => clientIp.compileTrust(['foo']), /Invalid trusted proxy foo/);
+        t.end();
+    }
+);
+
+tap.test(
+    'clientIp: normalizeIp',
+    (t) => {
+        t.equal(clientIp.normalizeIp('::FFFF:1.2.3.4'), '1.2.3.4');
+        t.equal(clientIp.normalizeIp('[FE80::1%eth0]:80'), 'fe80::1');
+        t.equal(clientIp.normalizeIp('1.2.3.4:80'), '1.2.3.4');
+        t.equal(clientIp.normalizeIp('1.2.3'), null);
+        t.equal(clientIp.normalizeIp(undefined), null);
+        t.end();
+    }
+);
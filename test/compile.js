@@ -0,0 +1,33 @@
+const tap = require('tap');
+const config = require('./lib/config');
+
+tap.test(
+    'Compile: rules should be compiled when the database is opened',
+    (t) => {
+        const rules = config.udgerParser.rules;
+        t.ok(rules.client.length > 0, 'client regexes should be compiled');
+        t.ok(rules.os.length > 0, 'os regexes should be compiled');
+        t.ok(rules.deviceclass.length > 0, 'device class regexes should be compiled');
+        t.ok(rules.devicename['android'].length > 0, 'devicename regexes should be grouped by os family');
+        t.ok(rules.client[0].re instanceof RegExp, 'regstring should be compiled to a RegExp');
+        t.type(config.udgerParser.compileTime, 'number', 'compilation time should be reported');
+        t.end();
+    }
+);
+
+tap.test(
+    'Compile: rules should be rebuilt after disconnect() / connect()',
+    (t) => {
+        const rules = config.udgerParser.rules;
+
+        config.udgerParser.disconnect();
+        t.equal(config.udgerParser.rules, null, 'rules should be released');
+        t.equal(config.udgerParser.stmt, null, 'statements should be released');
+
+        config.udgerParser.connect();
+        t.ok(config.udgerParser.rules, 'rules should be compiled again');
+        t.notEqual(config.udgerParser.rules, rules, 'rules should be a new rule set');
+        t.equal(config.udgerParser.rules.client.length, rules.client.length);
+        t.end();
+    }
+);
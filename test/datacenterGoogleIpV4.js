@@ -33,7 +33,10 @@ let expected = {
         'crawler_respect_robotstxt': 'yes',
         'datacenter_name': 'Google sites',
         'datacenter_name_code': 'googgle_sites',
-        'datacenter_homepage': 'http://sites.google.com/'
+        'datacenter_homepage': 'http://sites.google.com/',
+        'datacenter_range_from': '66.249.64.0',
+        'datacenter_range_to': '66.249.95.255',
+        'datacenter_range_cidr': '66.249.64.0/19'
     }
 };
 
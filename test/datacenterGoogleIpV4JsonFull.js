@@ -48,7 +48,12 @@ const expected = {
         'datacenter': {
             'name': 'Google sites',
             'code': 'googgle_sites',
-            'homepage': 'http://sites.google.com/'
+            'homepage': 'http://sites.google.com/',
+            'range': {
+                'from': '66.249.64.0',
+                'to': '66.249.95.255',
+                'cidr': ['66.249.64.0/19']
+            }
         }
     },
     'fromCache': false
@@ -13,7 +13,10 @@ let expected = {
         'ip_classification_code': 'unrecognized',
         'datacenter_name': 'OVH',
         'datacenter_name_code': 'ovh',
-        'datacenter_homepage': 'http://www.ovh.com/'
+        'datacenter_homepage': 'http://www.ovh.com/',
+        'datacenter_range_from': '2001:41d0::',
+        'datacenter_range_to': '2001:41d0:ffff:ffff:ffff:ffff:ffff:ffff',
+        'datacenter_range_cidr': '2001:41d0::/32'
     }
 };
 
@@ -14,7 +14,12 @@ const expected = {
         'datacenter': {
             'name': 'OVH',
             'code': 'ovh',
-            'homepage': 'http://www.ovh.com/'
+            'homepage': 'http://www.ovh.com/',
+            'range': {
+                'from': '2001:41d0::',
+                'to': '2001:41d0:ffff:ffff:ffff:ffff:ffff:ffff',
+                'cidr': ['2001:41d0::/32']
+            }
         }
     },
     'fromCache': false
@@ -0,0 +1,130 @@
+const tap = require('tap');
+const fs = require('fs-extra');
+const Database = require('better-sqlite3');
+const config = require('./lib/config');
+const tmpDb = require('./lib/tmpDb');
+const udger = require('../');
+const schema = require('../lib/schema');
+
+tap.test(
+    'Validation: validateDatabase should read the version and the last update',
+    (t) => {
+        const db = new Database(config.db, { readonly:true });
+        const info = schema.validateDatabase(db, config.db);
+        db.close();
+
+        t.same(info, { version:'20170106-01', lastUpdate:new Date(1483690193000) });
+        t.same(config.udgerParser.dbInfo, info);
+        t.end();
+    }
+);
+
+tap.test(
+    'Validation: a file which is not a SQLite database should throw a CorruptDatabaseError',
+    (t) => {
+        const file = tmpDb(t, null, 'sqlite');
+        fs.writeFileSync(file, 'not a database');
+
+        t.throws(() => udger(file), udger.CorruptDatabaseError);
+        try {
+            udger(file);
+        } catch (err) {
+            t.ok(err instanceof udger.UdgerDatabaseError);
+            t.equal(err.code, 'CORRUPT_DATABASE');
+            t.equal(err.file, file);
+            t.match(err.message, /is not a readable SQLite database: file is not a database/);
+        }
+        t.end();
+    }
+);
+
+tap.test(
+    'Validation: missing tables and columns should throw an IncompatibleDatabaseError',
+    (t) => {
+        const file = tmpDb(t, (db) => {
+            db.exec('DROP TABLE udger_os_regex_words');
+            db.exec('DROP TABLE udger_devicename_brand');
+            db.exec('CREATE TABLE udger_devicename_brand (id INTEGER, brand TEXT)');
+        }, 'sqlite');
+
+        try {
+            udger(file);
+            t.fail('should throw');
+        } catch (err) {
+            t.ok(err instanceof udger.IncompatibleDatabaseError);
+            t.equal(err.code, 'INCOMPATIBLE_DATABASE');
+            t.same(err.missing, [
+                'udger_os_regex_words',
+                'udger_devicename_brand.brand_code',
+                'udger_devicename_brand.brand_url',
+                'udger_devicename_brand.icon',
+                'udger_devicename_brand.icon_big'
+            ]);
+            t.match(err.message, /is not an udger v3 database, missing udger_os_regex_words, udger_devicename_brand\.brand_code/);
+        }
+        t.end();
+    }
+);
+
+tap.test(
+    'Validation: a database without version should throw an IncompatibleDatabaseError',
+    (t) => {
+        const file = tmpDb(t, (db) => db.exec('DELETE FROM udger_db_info'), 'sqlite');
+
+        t.throws(() => udger(file), { code:'INCOMPATIBLE_DATABASE', message:file + ' has no version in udger_db_info' });
+        t.end();
+    }
+);
+
+tap.test(
+    'Validation: connect() and reload() should validate the database',
+    async (t) => {
+        const file = tmpDb(t, null, 'sqlite');
+        const bad = tmpDb(t, (db) => db.exec('DROP TABLE udger_ip_list'), 'sqlite');
+        const parser = udger(file);
+
+        await t.rejects(parser.reload(bad), udger.IncompatibleDatabaseError);
+        t.equal(parser.file, file);
+
+        parser.disconnect();
+        fs.copySync(bad, file);
+        t.throws(() => parser.connect(), udger.IncompatibleDatabaseError);
+        t.equal(parser.db, null);
+    }
+);
+
+tap.test(
+    'Validation: stale should be emitted when the data is older than maxAgeDays',
+    async (t) => {
+        const file = tmpDb(t, null, 'sqlite');
+        const ageDays = Math.floor((Date.now() - 1483690193000) / (24 * 3600 * 1000));
+
+        let parser = udger(file, { maxAgeDays:30 });
+        const stale = await new Promise((resolve) => parser.once('stale', resolve));
+
+        t.same(stale, {
+            file,
+            version:'20170106-01',
+            lastUpdate:new Date(1483690193000),
+            ageDays,
+            maxAgeDays:30
+        });
+
+        // reload() checks again
+        const events = [];
+        parser.on('stale', (s) => events.push(s));
+        await parser.reload();
+        t.equal(events.length, 1);
+        parser.disconnect();
+
+        // never checked by default
+        parser = udger(file);
+        parser.on('stale', () => t.fail('should not be stale'));
+        await new Promise((resolve) => setImmediate(resolve));
+        t.equal(parser.checkStale(), null);
+
+        parser.maxAgeDays = ageDays + 1;
+        t.equal(parser.checkStale(), null);
+        parser.disconnect();
+    }
+);
@@ -0,0 +1,208 @@
+const tap = require('tap');
+const config = require('./lib/config');
+const createEnrichStream = require('../').createEnrichStream;
+
+const myUa = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const myIp = '66.249.64.73';
+
+/**
+ * Write the input to the stream in small chunks, resolve with the output
+ * @param {Object} stream - enrich stream
+ * @param {String} input - text to write
+ * @return {Promise} output text or objects
+ */
+function run(stream, input) {
+    return new Promise((resolve, reject) => {
+        const out = [];
+        stream.on('data', (data) => out.push(data));
+        stream.on('end', () => resolve(stream.objectMode ? out : out.join('')));
+        stream.on('error', reject);
+
+        const buf = Buffer.from(input);
+        for (let i = 0; i < buf.length; i += 7) {
+            stream.write(buf.slice(i, i + 7));
+        }
+        stream.end();
+    });
+}
+
+tap.test(
+    'enrichStream: ndjson records should be enriched with the udger format',
+    async (t) => {
+        const input = [
+            JSON.stringify({ ua:myUa, ip:myIp, n:1 }),
+            JSON.stringify({ n:2 }),
+            ''
+        ].join('\n');
+
+        const stream = createEnrichStream(config.udgerParser);
+        const lines = (await run(stream, input)).split('\n');
+
+        t.equal(lines.length, 3);
+        t.same(JSON.parse(lines[0]).udger, {
+            user_agent: config.udgerParser.parseUa(myUa).udger,
+            ip_address: config.udgerParser.parseIp(myIp).udger
+        });
+        t.same(JSON.parse(lines[1]), { n:2 });
+        t.same(stream.stats, { rows:2, enriched:1, errors:0 });
+    }
+);
+
+tap.test(
+    'enrichStream: field paths and compact json',
+    async (t) => {
+        const input = JSON.stringify({ req:{ headers:{ 'user-agent':myUa }, ip:myIp } }) + '\n';
+
+        const stream = createEnrichStream(config.udgerParser, {
+            uaField:'req.headers.user-agent',
+            ipField:'req.ip',
+            target:'enrich.result',
+            json:true,
+            objectMode:true
+        });
+        const out = await run(stream, input);
+
+        t.equal(out.length, 1);
+        t.same(out[0].enrich.result, {
+            userAgent: config.udgerParser.parseUa(myUa, { json:true }).json,
+            ipAddress: config.udgerParser.parseIp(myIp, { json:true }).json
+        });
+    }
+);
+
+tap.test(
+    'enrichStream: malformed ndjson records should be skipped',
+    async (t) => {
+        const input = [
+            '{"ua":',
+            '[1,2]',
+            JSON.stringify({ ua:myUa })
+        ].join('\n');
+
+        const stream = createEnrichStream(config.udgerParser, { objectMode:true });
+        const skipped = [];
+        stream.on('skip', (s) => skipped.push(s.lineNumber));
+
+        const out = await run(stream, input);
+        t.equal(out.length, 1);
+        t.equal(out[0].udger.user_agent.ua_class_code, 'crawler');
+        t.same(skipped, [1, 2]);
+        t.same(stream.stats, { rows:1, enriched:1, errors:2 });
+    }
+);
+
+tap.test(
+    'enrichStream: ndjson records with a ua or an ip which is not a string should be skipped',
+    async (t) => {
+        const input = [
+            JSON.stringify({ ua:123 }),
+            JSON.stringify({ ua:myUa, n:1 }),
+            JSON.stringify({ ip:5 }),
+            JSON.stringify({ ua:{ a:1 }, ip:myIp }),
+            JSON.stringify({ ip:myIp, n:2 })
+        ].join('\n');
+
+        const stream = createEnrichStream(config.udgerParser, { objectMode:true });
+        const skipped = [];
+        stream.on('skip', (s) => skipped.push([s.lineNumber, s.error.message]));
+
+        const out = await run(stream, input);
+        t.same(out.map((r) => r.n), [1, 2]);
+        t.equal(out[1].udger.ip_address.ip_classification_code, 'crawler');
+        t.same(skipped, [[1, 'Field ua is not a string'], [3, 'Field ip is not a string'], [4, 'Field ua is not a string']]);
+        t.same(stream.stats, { rows:2, enriched:2, errors:3 });
+    }
+);
+
+tap.test(
+    'enrichStream: csv records should get a json column',
+    async (t) => {
+        const input = [
+            'id;agent;addr',
+            '1;"' + myUa + '";' + myIp,
+            '2;"broken',
+            'line";',
+            '3;"a ""quoted""";',
+            '4;too;many;fields',
+            '5;bad"quote;'
+        ].join('\r\n');
+
+        const stream = createEnrichStream(config.udgerParser, {
+            format:'csv',
+            delimiter:';',
+            uaField:'agent',
+            ipField:'addr',
+            json:true
+        });
+        const lines = (await run(stream, input)).split('\n');
+
+        t.equal(lines[0], 'id;agent;addr;udger');
+        t.equal(lines[1].indexOf('1;' + myUa + ';' + myIp + ';"{'), 0);
+        t.equal(lines[2], '2;"broken\r');
+        t.equal(lines[3].indexOf('line";;"{'), 0);
+        t.equal(lines[4].indexOf('3;"a ""quoted""";;"{'), 0);
+        t.equal(lines.length, 6);
+        t.same(stream.stats, { rows:3, enriched:3, errors:2 });
+    }
+);
+
+tap.test(
+    'enrichStream: csv with columns option and objectMode',
+    async (t) => {
+        const stream = createEnrichStream(config.udgerParser, {
+            format:'csv',
+            columns:['ip', 'ua'],
+            objectMode:true
+        });
+        const out = await run(stream, myIp + ',\n');
+
+        t.equal(out.length, 1);
+        t.equal(out[0].ip, myIp);
+        t.same(out[0].udger, { ip_address: config.udgerParser.parseIp(myIp).udger });
+    }
+);
+
+tap.test(
+    'enrichStream: unknown format should throw',
+    async (t) => {
+        t.throws(() => createEnrichStream(config.udgerParser, { format:'xml' }), /Unknown format xml/);
+    }
+);
+
+tap.test(
+    'enrichStream: a stray csv quote should not swallow the next records',
+    async (t) => {
+        const input = [
+            'ua,ip',
+            'foo,1.2.3.4',
+            'ba"r,1.2.3.5',
+            '"unclosed,1.2.3.6',
+            'baz,1.2.3.7',
+            'qux,1.2.3.8'
+        ].join('\n');
+
+        const stream = createEnrichStream(config.udgerParser, { format:'csv', objectMode:true });
+        const skipped = [];
+        stream.on('skip', (s) => skipped.push(s.line));
+
+        const out = await run(stream, input);
+        t.same(out.map((r) => r.ip), ['1.2.3.4', '1.2.3.7', '1.2.3.8']);
+        t.same(skipped, ['ba"r,1.2.3.5', '"unclosed,1.2.3.6']);
+        t.same(stream.stats, { rows:3, enriched:3, errors:2 });
+    }
+);
+
+tap.test(
+    'enrichStream: an unclosed csv quote should be skipped after 100 lines',
+    async (t) => {
+        const lines = ['ua,ip', '"unclosed,1.2.3.4'];
+        for (let i = 0; i < 150; i++) lines.push('ua' + i + ',1.2.3.' + (i % 250));
+
+        const stream = createEnrichStream(config.udgerParser, { format:'csv', objectMode:true });
+        const out = await run(stream, lines.join('\n') + '\n');
+
+        t.equal(out.length, 150);
+        t.equal(out[0].ua, 'ua0');
+        t.same(stream.stats, { rows:150, enriched:150, errors:1 });
+    }
+);
@@ -0,0 +1,13 @@
+const tap = require('tap');
+const config = require('./lib/config');
+
+tap.test(
+    'Get incompatible regexes',
+    (t) => {
+        config.udgerParser.getIncompatibleRegexes((err, results) => {
+            t.equal(err, null, 'should NOT return an error');
+            t.same(results, [], 'all regexes of the test database should be translated exactly');
+            t.end();
+        });
+    }
+);
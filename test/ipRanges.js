@@ -0,0 +1,233 @@
+const tap = require('tap');
+const Address6 = require('ip-address').Address6;
+const config = require('./lib/config');
+const tmpDb = require('./lib/tmpDb');
+const udger = require('../');
+const ipRanges = require('../lib/ipRanges');
+const utils = require('../utils');
+
+/**
+ * Parser on a copy of the test database, with the engine of the tests
+ * @param {Object} t - tap test
+ * @param {Function} change - called with the writable SQLite database
+ * @return {Object} UdgerParser, disconnected at the end of the test
+ */
+function tmpParser(t, change) {
+    const udgerParser = udger(tmpDb(t, change), { engine:config.engine });
+    t.tearDown(() => udgerParser.disconnect());
+    return udgerParser;
+}
+
+/**
+ * IPv6 address as integer
+ * @param {String} ip - address
+ * @return {BigInt} integer
+ */
+function ipv6(ip) {
+    return ipRanges.ipv6ToBigInt(new Address6(ip).canonicalForm().split(':').map((h) => parseInt(h, 16)));
+}
+
+/**
+ * Range expected at an address: the narrowest containing one, then the first one
+ * @param {Array} ranges - { from, to, value }
+ * @param {Number} ip - address
+ * @return {Object} range, null if none
+ */
+function bruteForce(ranges, ip) {
+    let ret = null;
+    ranges.forEach((r) => {
+        if (r.from === null || r.to === null || r.from > ip || r.to < ip) return;
+        if (!ret || r.to - r.from < ret.to - ret.from) ret = r;
+    });
+    return ret;
+}
+
+tap.test(
+    'ipRanges: overlapping ranges should be split, the narrowest one wins',
+    (t) => {
+        const ranges = [
+            { from:100, to:199, value:'wide' },
+            { from:120, to:129, value:'inner' },
+            { from:150, to:249, value:'overlap' },
+            { from:120, to:129, value:'same width, later' },
+            { from:300, to:309, value:'a' },
+            { from:310, to:319, value:'b' },
+            { from:null, to:5, value:'no bound' },
+            { from:9, to:1, value:'reversed' }
+        ];
+        const index = new ipRanges.RangeIndex(ranges);
+        const find = (ip) => {
+            const r = index.find(ip);
+            return r && r.value;
+        };
+
+        t.same([99, 100, 119, 120, 129, 130, 149, 150, 199, 200, 249, 250].map(find), [
+            null, 'wide', 'wide', 'inner', 'inner', 'wide', 'wide', 'wide', 'wide', 'overlap', 'overlap', null
+        ]);
+        t.same([299, 300, 309, 310, 319, 320, 1, 5, 9].map(find), [null, 'a', 'a', 'b', 'b', null, null, null, null]);
+        t.same(index.find(125), { from:120, to:129, value:'inner' }, 'the range bounds, not the interval ones');
+        t.same(index.find(135), { from:100, to:199, value:'wide' });
+        t.equal(index.size, 6);
+        t.equal(new ipRanges.RangeIndex([]).find(1), null);
+        t.end();
+    }
+);
+
+tap.test(
+    'ipRanges: find() should match a brute force search',
+    (t) => {
+        // deterministic pseudo random ranges
+        let seed = 42;
+        const random = (max) => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed % max;
+        };
+
+        const ranges = [];
+        for (let i = 0; i < 300; i++) {
+            const from = random(5000);
+            ranges.push({ from, to:from + random(i % 10 ? 50 : 1000), value:i });
+        }
+        const index = new ipRanges.RangeIndex(ranges);
+
+        let errors = 0;
+        for (let ip = 0; ip < 6100; ip++) {
+            const expected = bruteForce(ranges, ip);
+            const found = index.find(ip);
+            if ((expected && expected.value) !== (found && found.value)) errors++;
+        }
+        t.equal(errors, 0);
+        t.end();
+    }
+);
+
+tap.test(
+    'ipRanges: ipv4Cidrs() should cover the range with the fewest blocks',
+    (t) => {
+        const cidrs = (from, to) => ipRanges.ipv4Cidrs(utils.ip2long(from), utils.ip2long(to));
+
+        t.same(cidrs('66.249.64.0', '66.249.95.255'), ['66.249.64.0/19']);
+        t.same(cidrs('10.0.0.1', '10.0.0.1'), ['10.0.0.1/32']);
+        t.same(cidrs('10.0.0.1', '10.0.0.8'), ['10.0.0.1/32', '10.0.0.2/31', '10.0.0.4/30', '10.0.0.8/32']);
+        t.same(cidrs('0.0.0.0', '255.255.255.255'), ['0.0.0.0/0']);
+        t.same(cidrs('255.255.255.0', '255.255.255.255'), ['255.255.255.0/24']);
+        t.end();
+    }
+);
+
+tap.test(
+    'ipRanges: parse() should use the precedence rule and return the range',
+    (t) => {
+        const udgerParser = tmpParser(t, (db) => {
+            const insert = db.prepare('INSERT INTO udger_datacenter_range (datacenter_id, iplong_from, iplong_to) VALUES (?, ?, ?)');
+            // Choopa over the whole google range, then a narrower one across its end
+            insert.run(113, utils.ip2long('66.0.0.0'), utils.ip2long('66.255.255.255'));
+            insert.run(113, utils.ip2long('66.249.95.0'), utils.ip2long('66.249.96.255'));
+        });
+        const parse = (ip) => udgerParser.parse({ ip }).ip_address;
+
+        t.match(parse('66.249.64.73'), {
+            datacenter_name_code:'googgle_sites',
+            datacenter_range_from:'66.249.64.0',
+            datacenter_range_to:'66.249.95.255',
+            datacenter_range_cidr:'66.249.64.0/19'
+        });
+        t.match(parse('66.249.95.1'), {
+            datacenter_name_code:'choopa',
+            datacenter_range_from:'66.249.95.0',
+            datacenter_range_to:'66.249.96.255',
+            datacenter_range_cidr:'66.249.95.0/24,66.249.96.0/24'
+        });
+        t.match(parse('66.1.2.3'), {
+            datacenter_range_from:'66.0.0.0',
+            datacenter_range_to:'66.255.255.255',
+            datacenter_range_cidr:'66.0.0.0/8'
+        });
+        t.same(udgerParser.parse({ ip:'66.1.2.3' }, { json:true, full:true }).ipAddress.datacenter.range, {
+            from:'66.0.0.0', to:'66.255.255.255', cidr:['66.0.0.0/8']
+        });
+        t.match(parse('10.0.0.1'), { datacenter_name:'', datacenter_range_from:'', datacenter_range_cidr:'' });
+        t.end();
+    }
+);
+
+tap.test(
+    'ipRanges: IPv6 ranges should be compared as 128 bits integers',
+    (t) => {
+        const ranges = [
+            { from:ipv6('2001:db8::'), to:ipv6('2001:db8:ffff:ffff:ffff:ffff:ffff:ffff'), value:'wide' },
+            // across the 4th and 5th groups
+            { from:ipv6('2001:db8::8000:0:0:0'), to:ipv6('2001:db8:0:1:7fff:ffff:ffff:ffff'), value:'across' }
+        ];
+        const index = new ipRanges.RangeIndex(ranges);
+        const find = (ip) => {
+            const r = index.find(ipv6(ip));
+            return r && r.value;
+        };
+
+        t.same([
+            '2001:db7:ffff:ffff:ffff:ffff:ffff:ffff', '2001:db8::', '2001:db8::7fff:ffff:ffff:ffff',
+            '2001:db8::8000:0:0:0', '2001:db8::ffff:0:0:1', '2001:db8:0:1::', '2001:db8:0:1:7fff:ffff:ffff:ffff',
+            '2001:db8:0:1:8000::', '2001:db8:ffff:ffff:ffff:ffff:ffff:ffff', '2001:db9::'
+        ].map(find), [null, 'wide', 'wide', 'across', 'across', 'across', 'across', 'wide', 'wide', null]);
+
+        t.equal(ipRanges.bigIntToIpv6(ipv6('2001:0db8:0000:0000:8000:0000:0000:0001')), '2001:db8::8000:0:0:1');
+        t.equal(ipRanges.bigIntToIpv6(ipv6('::')), '::');
+        t.same(ipRanges.ipv6Cidrs(ranges[0].from, ranges[0].to), ['2001:db8::/32']);
+        t.same(ipRanges.ipv6Cidrs(ranges[1].from, ranges[1].to), ['2001:db8:0:0:8000::/65', '2001:db8:0:1::/65']);
+        t.same(ipRanges.ipv6Cidrs(ipv6('::'), ipv6('ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff')), ['::/0']);
+        t.equal(ipRanges.ipv6ToBigInt([1, 2, 3, 4, 5, 6, 7, null]), null);
+        t.end();
+    }
+);
+
+tap.test(
+    'ipRanges: parse() should find IPv6 ranges not lined up on group boundaries',
+    (t) => {
+        const udgerParser = tmpParser(t, (db) => {
+            const insert = db.prepare(
+                'INSERT INTO udger_datacenter_range6 (datacenter_id, ' +
+                [0, 1, 2, 3, 4, 5, 6, 7].map((i) => 'iplong_from' + i + ', iplong_to' + i).join(', ') +
+                ') VALUES (?, ' + new Array(16).fill('?').join(', ') + ')'
+            );
+            const add = (id, from, to) => {
+                from = new Address6(from).canonicalForm().split(':').map((h) => parseInt(h, 16));
+                to = new Address6(to).canonicalForm().split(':').map((h) => parseInt(h, 16));
+                insert.run([id].concat([].concat.apply([], from.map((f, i) => [f, to[i]]))));
+            };
+
+            // Choopa from the middle of a group to the middle of another one, a group by group comparison never matches it
+            add(113, '2001:db8::ffff:0', '2001:db8:0:1::ffff');
+            // Seznam inside OVH, across the 4th and 5th groups: a group by group comparison matches OVH there
+            add(683, '2001:41d0::8000:0:0:0', '2001:41d0:0:1:7fff:ffff:ffff:ffff');
+        });
+        const parse = (ip) => udgerParser.parse({ ip }).ip_address;
+
+        t.match(parse('2001:db8::1:2:3:4'), {
+            datacenter_name_code:'choopa',
+            datacenter_range_from:'2001:db8::ffff:0',
+            datacenter_range_to:'2001:db8:0:1::ffff'
+        });
+        t.match(parse('2001:db8::ffff:0'), { datacenter_name_code:'choopa' });
+        t.match(parse('2001:db8:0:1::ffff'), { datacenter_name_code:'choopa' });
+        t.match(parse('2001:db8::fffe:ffff'), { datacenter_name_code:'' });
+        t.match(parse('2001:db8:0:1::1:0'), { datacenter_name_code:'' });
+
+        const cidr = parse('2001:db8::1:0:0').datacenter_range_cidr.split(',');
+        t.equal(cidr.length, 34);
+        t.equal(cidr[0], '2001:db8::ffff:0/112');
+        t.equal(cidr[1], '2001:db8::1:0:0/96');
+        t.equal(cidr[33], '2001:db8:0:1::/112');
+
+        t.match(parse('2001:41d0::ffff:0:0:1'), {
+            datacenter_name_code:'seznam_cz',
+            datacenter_range_from:'2001:41d0:0:0:8000::',
+            datacenter_range_to:'2001:41d0:0:1:7fff:ffff:ffff:ffff',
+            datacenter_range_cidr:'2001:41d0:0:0:8000::/65,2001:41d0:0:1::/65'
+        });
+        t.match(parse('2001:41d0::7fff:ffff:ffff:ffff'), { datacenter_name_code:'ovh', datacenter_range_cidr:'2001:41d0::/32' });
+        t.match(parse('2001:41d0:0:1:8000::'), { datacenter_name_code:'ovh' });
+        t.match(parse('2001:41d0:8:d54c::1'), { datacenter_name_code:'ovh' });
+        t.end();
+    }
+);
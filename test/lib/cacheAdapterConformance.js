@@ -0,0 +1,105 @@
+// Conformance tests of the cache adapter contract, see lib/cacheAdapter.js
+//
+//   const conformance = require('udger-nodejs/test/lib/cacheAdapterConformance');
+//   conformance(require('tap'), 'my adapter', () => createMyAdapter());
+
+const path = require('path');
+const udger = require('../../');
+
+const db = path.resolve(__dirname, '../db/udgerdb_v3_test.dat');
+const myUa = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const myIp = '66.249.64.73';
+
+/**
+ * Run the conformance tests against an adapter
+ * @param {Object} tap - tap module
+ * @param {String} name - adapter name, used in the tests names
+ * @param {Function} create - returns a new, empty, adapter (or a promise of it)
+ */
+function cacheAdapterConformance(tap, name, create) {
+
+    const test = (title, fn) => tap.test('Cache adapter ' + name + ': ' + title, async (t) => {
+        const adapter = await create();
+        await fn(t, adapter);
+    });
+
+    test('should implement the methods', async (t, adapter) => {
+        for (const method of ['get', 'set', 'delete', 'clear']) {
+            t.type(adapter[method], 'function', method);
+        }
+        if (adapter.stats !== undefined) t.type(adapter.stats, 'function', 'stats');
+        if (adapter.resize !== undefined) t.type(adapter.resize, 'function', 'resize');
+    });
+
+    test('get() should return undefined or null for a missing key', async (t, adapter) => {
+        const ret = await adapter.get('missing');
+        t.ok(ret === undefined || ret === null);
+    });
+
+    test('set() then get() should return an equal value', async (t, adapter) => {
+        const value = { udger:{ ua:'Googlebot/2.1', list:['a', 'b'], n:1, empty:'' }, json:{ ua:{ name:'Googlebot/2.1' } } };
+        await adapter.set('ua:' + myUa, value);
+        t.same(await adapter.get('ua:' + myUa), value);
+        t.same(value.udger.list, ['a', 'b'], 'the value is not changed');
+    });
+
+    test('set() should replace the value', async (t, adapter) => {
+        await adapter.set('k', { v:1 });
+        await adapter.set('k', { v:2 });
+        t.same(await adapter.get('k'), { v:2 });
+    });
+
+    test('keys should be independent', async (t, adapter) => {
+        await adapter.set('ua:a', { v:'a' });
+        await adapter.set('ip:a', { v:'ip' });
+        await adapter.set('ua:a\n{"mobile":true}', { v:'hints' });
+        t.same(await adapter.get('ua:a'), { v:'a' });
+        t.same(await adapter.get('ip:a'), { v:'ip' });
+        t.same(await adapter.get('ua:a\n{"mobile":true}'), { v:'hints' });
+    });
+
+    test('delete() should remove a key', async (t, adapter) => {
+        await adapter.set('a', { v:1 });
+        await adapter.set('b', { v:2 });
+        await adapter.delete('a');
+        const ret = await adapter.get('a');
+        t.ok(ret === undefined || ret === null);
+        t.same(await adapter.get('b'), { v:2 });
+        await adapter.delete('missing');
+    });
+
+    test('clear() should remove all the keys', async (t, adapter) => {
+        await adapter.set('a', { v:1 });
+        await adapter.set('b', { v:2 });
+        await adapter.clear();
+        for (const key of ['a', 'b']) {
+            const ret = await adapter.get(key);
+            t.ok(ret === undefined || ret === null, key);
+        }
+    });
+
+    test('parser results should come from the cache', async (t, adapter) => {
+        const parser = udger(db);
+        parser.setCacheAdapter(adapter);
+
+        const parse = (data, opts) => (adapter.async ? parser.parseAsync(data, opts) : parser.parse(data, opts));
+
+        for (const opts of [{}, { json:true, full:true }]) {
+            const first = await parse({ ua:myUa, ip:myIp }, opts);
+            const second = await parse({ ua:myUa, ip:myIp }, opts);
+
+            t.equal(first[opts.json ? 'fromCache' : 'from_cache'], false);
+            t.equal(second[opts.json ? 'fromCache' : 'from_cache'], true);
+
+            delete first[opts.json ? 'fromCache' : 'from_cache'];
+            delete second[opts.json ? 'fromCache' : 'from_cache'];
+            t.same(second, first);
+        }
+
+        t.same(await parse({ ua:myUa }, { json:true }), { userAgent:parser.parseUa(myUa, { json:true }).json });
+
+        parser.disconnect();
+    });
+}
+
+module.exports = cacheAdapterConformance;
@@ -1,13 +1,27 @@
 const path = require('path');
+const os = require('os');
 const fs = require('fs-extra');
 const db = path.resolve(__dirname, '../db/udgerdb_v3_test.dat');
 const merge = require('merge-deep');
+const udger = require('../../');
 
 const defaultResult = fs.readJsonSync('./defaultResult.json');
 
-const udgerParser = require('../../')(db);
+// npm test runs the tests again with UDGER_ENGINE=snapshot, the results must be the same
+const engine = process.env.UDGER_ENGINE || 'sqlite';
+
+let file = db;
+if (engine === 'snapshot') {
+    file = path.join(os.tmpdir(), 'udger-test-' + process.pid + '.snapshot');
+    udger.buildSnapshot(db, file);
+    process.on('exit', () => fs.removeSync(file));
+}
+
+const udgerParser = udger(file, { engine });
 
 module.exports = {
+    db,
+    engine,
     defaultResult,
     udgerParser,
     merge
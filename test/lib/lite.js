@@ -0,0 +1,29 @@
+// Child process of test/lite.js: parses with lite.js once better-sqlite3, the filesystem and the other
+// node only modules can't be required anymore
+// argv: snapshot file, JSON array of parse() inputs
+// stdout: JSON { results, modules }, modules are the loaded files outside of node_modules
+const fs = require('fs');
+const Module = require('module');
+
+const bytes = fs.readFileSync(process.argv[2]);
+const inputs = JSON.parse(process.argv[3]);
+
+const blocked = ['better-sqlite3', 'fs', 'fs-extra', 'path', 'net', 'dns', 'http', 'child_process', 'worker_threads'];
+const load = Module._load;
+
+Module._load = function(request) {
+    if (blocked.indexOf(request) !== -1) {
+        const err = new Error('Cannot find module \'' + request + '\'');
+        err.code = 'MODULE_NOT_FOUND';
+        throw err;
+    }
+    return load.apply(this, arguments);
+};
+
+const udger = require('../../lite');
+const udgerParser = udger(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+
+process.stdout.write(JSON.stringify({
+    results: inputs.map((input) => udgerParser.parse(input, { full: true })),
+    modules: Object.keys(require.cache).filter((f) => f.indexOf('node_modules') === -1 && f !== __filename)
+}));
@@ -0,0 +1,38 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const udger = require('../../');
+const config = require('./config');
+
+/**
+ * Copy the test database in a temporary directory, removed at the end of the test
+ *
+ * With the snapshot engine the file is a snapshot built from the copy
+ * @param {Object} t - tap test
+ * @param {Function} [change] - called with the writable SQLite database
+ * @param {String} [engine] - engine of the file (default: the engine of the tests)
+ * @return {String} file
+ */
+function tmpDb(t, change, engine) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'udger-'));
+    const file = path.join(dir, 'udgerdb_v3.dat');
+
+    fs.copySync(config.db, file);
+    t.tearDown(() => fs.removeSync(dir));
+
+    if (change) {
+        const db = new Database(file);
+        change(db);
+        db.close();
+    }
+
+    if ((engine || config.engine) === 'snapshot') {
+        udger.buildSnapshot(file, file + '.snapshot');
+        fs.renameSync(file + '.snapshot', file);
+    }
+
+    return file;
+}
+
+module.exports = tmpDb;
@@ -0,0 +1,74 @@
+const tap = require('tap');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const config = require('./lib/config');
+const udger = require('../');
+const lite = require('../lite');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'udger-'));
+const file = path.join(dir, 'udger.snapshot');
+udger.buildSnapshot(config.db, file);
+
+tap.tearDown(() => fs.removeSync(dir));
+
+const myUa = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const myIp = '66.249.64.73';
+
+tap.test(
+    'lite: parse() should work without better-sqlite3 and without filesystem',
+    (t) => {
+        const inputs = [
+            { ua:myUa, ip:myIp },
+            { ua:'Mozilla/5.0 (compatible; MSIE 9.0; Windows Phone OS 7.5; Trident/5.0; IEMobile/9.0; NOKIA; Lumia 800)' },
+            { ip:'2a02:598:111::9' }
+        ];
+        const out = JSON.parse(childProcess.execFileSync(
+            process.execPath, [path.join(__dirname, 'lib/lite.js'), file, JSON.stringify(inputs)]
+        ));
+
+        t.same(out.results, inputs.map((input) => config.udgerParser.parse(input, { full:true })));
+        t.notOk(out.modules.some((f) => /engines[/\\]sqlite\.js$/.test(f)), 'sqlite engine not loaded');
+        t.notOk(out.modules.some((f) => /(pool|server|accessLog|crawlerVerify)\.js$/.test(f)), 'node only modules not loaded');
+        t.end();
+    }
+);
+
+tap.test(
+    'lite: the snapshot should be given as an ArrayBuffer or an Uint8Array',
+    async (t) => {
+        const bytes = new Uint8Array(fs.readFileSync(file));
+
+        let udgerParser = lite(bytes.buffer, { maxAgeDays:30 });
+        t.equal(udgerParser.engine, 'snapshot');
+        t.same(udgerParser.dbInfo, config.udgerParser.dbInfo);
+        t.same(udgerParser.parse({ ua:myUa }, { json:true }), config.udgerParser.parse({ ua:myUa }, { json:true }));
+        t.match(await new Promise((resolve) => udgerParser.once('stale', resolve)), { version:'20170106-01' });
+
+        t.throws(() => udgerParser.watch(), /watch\(\) needs a database file, the snapshot was given as bytes/);
+
+        const info = await udgerParser.reload(bytes);
+        t.equal(info.version, '20170106-01');
+        t.equal(udgerParser.file, bytes);
+        udgerParser.disconnect();
+
+        udgerParser = lite(bytes);
+        t.same(udgerParser.parse({ ip:myIp }), config.udgerParser.parse({ ip:myIp }));
+        udgerParser.disconnect();
+    }
+);
+
+tap.test(
+    'lite: a SQLite database or something else should be refused',
+    (t) => {
+        t.throws(() => lite(new Uint8Array(fs.readFileSync(config.db))), lite.IncompatibleDatabaseError);
+        t.throws(() => lite(new Uint8Array(fs.readFileSync(config.db))), {
+            code:'INCOMPATIBLE_DATABASE',
+            message:'snapshot is a SQLite database, build a snapshot with udger build-snapshot'
+        });
+        t.throws(() => lite(new Uint8Array(10)), { code:'CORRUPT_DATABASE' });
+        t.throws(() => lite({}), /A snapshot is a file name, an ArrayBuffer or an Uint8Array/);
+        t.end();
+    }
+);
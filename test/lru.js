@@ -0,0 +1,72 @@
+const tap = require('tap');
+const lru = require('../lib/lru');
+
+tap.test(
+    'LruCache: least recently used entries should be evicted',
+    (t) => {
+        const cache = new lru.LruCache({ max:2 });
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+        t.equal(cache.get('a'), 1);
+        cache.set('c', 3);
+
+        t.equal(cache.get('b'), undefined, 'b was the least recently used');
+        t.equal(cache.get('a'), 1);
+        t.equal(cache.get('c'), 3);
+        t.equal(cache.size, 2);
+
+        cache.set('a', 4);
+        t.equal(cache.peek('a'), 4);
+        t.equal(cache.has('b'), false);
+
+        cache.resize(1);
+        t.equal(cache.size, 1);
+        t.equal(cache.peek('a'), 4, 'peek() does not change the order');
+
+        t.same(cache.stats(), { hits:3, misses:1, evictions:2, expirations:0, size:1, max:1, ttl:0 });
+
+        cache.resetStats();
+        cache.clear();
+        t.same(cache.stats(), { hits:0, misses:0, evictions:0, expirations:0, size:0, max:1, ttl:0 });
+
+        t.equal(cache.delete('a'), false);
+        t.end();
+    }
+);
+
+tap.test(
+    'LruCache: entries should expire after the ttl',
+    async (t) => {
+        const cache = new lru.LruCache({ max:10, ttl:20 });
+        cache.set('a', 1);
+        t.equal(cache.get('a'), 1);
+
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        t.equal(cache.has('a'), false);
+        t.equal(cache.get('a'), undefined);
+        t.equal(cache.size, 0);
+        t.equal(cache.stats().expirations, 1);
+    }
+);
+
+tap.test(
+    'LruCache: no entry should be kept with a max of 0',
+    (t) => {
+        const cache = new lru.LruCache({ max:0 });
+        cache.set('a', 1);
+        t.equal(cache.size, 0);
+        t.equal(new lru.LruCache().max, 4000);
+        t.end();
+    }
+);
+
+tap.test(
+    'LruCache: deepFreeze should freeze the children',
+    (t) => {
+        const obj = lru.deepFreeze({ a:{ b:[1, { c:2 }] } });
+        t.ok(Object.isFrozen(obj.a.b[1]));
+        t.equal(lru.deepFreeze(null), null);
+        t.end();
+    }
+);
@@ -0,0 +1,135 @@
+const tap = require('tap');
+const http = require('http');
+const config = require('./lib/config');
+const middleware = require('../').middleware;
+
+const myUa = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const myIp = '66.249.64.73';
+
+/**
+ * Fake node request
+ * @param {String} url - request url
+ * @return {Object} request
+ */
+function fakeReq(url) {
+    return { url, headers: { 'user-agent':myUa }, socket: { remoteAddress:'::ffff:' + myIp } };
+}
+
+tap.test(
+    'middleware: connect should attach req.udger',
+    async (t) => {
+        const app = require('connect')();
+        let calls = 0;
+
+        const parser = {
+            parse: (data, opts) => {
+                calls++;
+                return config.udgerParser.parse(data, opts);
+            }
+        };
+
+        const mw = middleware.connect(parser, { format:'json', skip:['/static', /\.ico$/] });
+        app.use(mw);
+        app.use(mw);
+        app.use((req, res) => res.end(JSON.stringify(req.udger || null)));
+
+        const server = http.createServer(app).listen(0, '127.0.0.1');
+        t.tearDown(() => server.close());
+        await new Promise((resolve) => server.once('listening', resolve));
+
+        const get = (path) => new Promise((resolve, reject) => {
+            http.get({ port:server.address().port, path, headers:{ 'user-agent':myUa } }, (res) => {
+                let data = '';
+                res.on('data', (d) => data += d);
+                res.on('end', () => resolve(JSON.parse(data)));
+            }).on('error', reject);
+        });
+
+        t.same(await get('/page?a=1'), config.udgerParser.parse({ ua:myUa, ip:'127.0.0.1' }, { json:true }));
+        t.equal(calls, 1, 'parsed once');
+
+        t.equal(await get('/static/app.js'), null);
+        t.equal(await get('/favicon.ico'), null);
+        t.equal(calls, 1);
+    }
+);
+
+tap.test(
+    'middleware: options',
+    (t) => {
+        const parse = middleware.createRequestParser(config.udgerParser, {
+            getIp: (req) => req.headers['x-real-ip'],
+            skip: (req) => req.method === 'HEAD'
+        });
+
+        const req = fakeReq('/');
+        req.headers['x-real-ip'] = myIp;
+        t.same(parse(req), config.udgerParser.parse({ ua:myUa, ip:myIp }, {}));
+
+        req.method = 'HEAD';
+        t.equal(parse(req), undefined);
+
+        const proxied = middleware.createRequestParser(config.udgerParser, { trustedProxies:'uniquelocal' });
+        const req2 = fakeReq('/');
+        req2.socket.remoteAddress = '10.0.0.1';
+        req2.headers['x-forwarded-for'] = '1.2.3.4, ' + myIp;
+        t.same(proxied(req2), config.udgerParser.parse({ ua:myUa, ip:myIp }, {}));
+
+        const hinted = middleware.createRequestParser(config.udgerParser, { clientHints:true });
+        const req3 = fakeReq('/');
+        req3.headers['user-agent'] = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/55.0.0.0 Safari/537.36';
+        req3.headers['sec-ch-ua-mobile'] = '?1';
+        t.equal(hinted(req3)['user_agent']['device_class_code'], 'smartphone');
+        t.equal(parse(req3)['user_agent']['device_class_code'], 'desktop');
+
+        t.throws(() => middleware.connect(config.udgerParser, { format:'xml' }), /Unknown format xml/);
+        t.throws(() => middleware.connect(config.udgerParser, { skip:42 }), /skip option must be/);
+        t.end();
+    }
+);
+
+tap.test(
+    'middleware: koa should attach ctx.state.udger',
+    async (t) => {
+        const mw = middleware.koa(config.udgerParser, { format:'full', skip:'/health' });
+
+        let ctx = { req:fakeReq('/page'), state:{} };
+        let nextCalled = false;
+        await mw(ctx, () => {
+            nextCalled = true;
+            return Promise.resolve();
+        });
+        t.ok(nextCalled);
+        t.same(ctx.state.udger, config.udgerParser.parse({ ua:myUa, ip:myIp }, { json:true, full:true }));
+
+        ctx = { req:fakeReq('/health'), state:{} };
+        await mw(ctx, () => Promise.resolve());
+        t.equal(ctx.state.udger, undefined);
+    }
+);
+
+tap.test(
+    'middleware: fastify plugin should attach request.udger',
+    (t) => {
+        const plugin = middleware.fastify(config.udgerParser, { property:'agent' });
+        const hooks = [];
+        const fastify = {
+            decorateRequest: (name, value) => fastify.decorated = [name, value],
+            addHook: (name, fn) => hooks.push([name, fn])
+        };
+
+        t.equal(plugin[Symbol.for('skip-override')], true);
+
+        plugin(fastify, {}, () => {
+            t.same(fastify.decorated, ['agent', null]);
+            t.equal(hooks[0][0], 'onRequest');
+
+            const request = { raw:fakeReq('/'), agent:null };
+            hooks[0][1](request, {}, (err) => {
+                t.error(err);
+                t.same(request.agent, config.udgerParser.parse({ ua:myUa, ip:myIp }, {}));
+                t.end();
+            });
+        });
+    }
+);
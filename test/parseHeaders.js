@@ -0,0 +1,135 @@
+const tap = require('tap');
+const config = require('./lib/config');
+const requestHeaders = require('../lib/requestHeaders');
+
+const operaMini = 'Opera/9.80 (J2ME/MIDP; Opera Mini/9.80 (S60; SymbOS; Opera Mobi/23.348; U; en) Presto/2.5.25 Version/10.54';
+const android = 'Mozilla/5.0 (Linux; Android 4.0.4; Galaxy Nexus Build/IMM76B) AppleWebKit/535.19 (KHTML, like Gecko) Chrome/18.0.1025.133 Mobile Safari/535.19';
+const googleBot = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+
+tap.test(
+    'parseHeaders: User-Agent only should be the same as parse()',
+    (t) => {
+        for (const opts of [undefined, { json:true }, { json:true, full:true }]) {
+            const ret = config.udgerParser.parseHeaders({ 'User-Agent':android }, opts);
+            const expected = config.udgerParser.parse({ ua:android }, opts || {});
+
+            if (opts) {
+                t.same(ret.userAgent.uaHeaders, ['user-agent']);
+                delete ret.userAgent.uaHeaders;
+            } else {
+                t.same(ret['user_agent']['ua_headers'], ['user-agent']);
+                t.equal(ret['user_agent']['app_package'], '');
+                t.equal(ret['user_agent']['wap_profile'], '');
+                delete ret['user_agent']['ua_headers'];
+                delete ret['user_agent']['app_package'];
+                delete ret['user_agent']['wap_profile'];
+            }
+            t.same(ret, expected);
+        }
+        t.end();
+    }
+);
+
+tap.test(
+    'parseHeaders: device User-Agent should give the os and the device',
+    (t) => {
+        const headers = { 'User-Agent':operaMini, 'X-OperaMini-Phone-UA':android };
+
+        let ret = config.udgerParser.parseHeaders(headers);
+        t.equal(ret['user_agent']['ua_string'], operaMini);
+        t.equal(ret['user_agent']['os_code'], 'android_4');
+        t.equal(ret['user_agent']['os_family_code'], 'android');
+        t.equal(ret['user_agent']['device_class_code'], 'smartphone');
+        t.same(ret['user_agent']['ua_headers'], ['user-agent', 'x-operamini-phone-ua']);
+
+        ret = config.udgerParser.parseHeaders(headers, { json:true });
+        t.same(ret.userAgent.os, { code:'android_4', family:'android' });
+        t.same(ret.userAgent.device, { class:'smartphone' });
+        t.equal(ret.ipAddress, undefined);
+
+        ret = config.udgerParser.parseHeaders(headers, { json:true, full:true });
+        t.equal(ret.userAgent.os.name, 'Android 4.0.x Ice Cream Sandwich');
+        t.equal(ret.userAgent.device.class.code, 'smartphone');
+        t.end();
+    }
+);
+
+tap.test(
+    'parseHeaders: device User-Agent without User-Agent should be the main one',
+    (t) => {
+        const ret = config.udgerParser.parseHeaders({ 'device-stock-ua':android });
+        const expected = config.udgerParser.parseHeaders({ 'user-agent':android });
+        expected['user_agent']['ua_headers'] = ['device-stock-ua'];
+        t.same(ret, expected);
+        t.end();
+    }
+);
+
+tap.test(
+    'parseHeaders: crawlers should not be merged',
+    (t) => {
+        const ret = config.udgerParser.parseHeaders({ 'user-agent':googleBot, 'device-stock-ua':android });
+        t.equal(ret['user_agent']['ua_class_code'], 'crawler');
+        t.equal(ret['user_agent']['os_code'], '');
+        t.same(ret['user_agent']['ua_headers'], ['user-agent']);
+        t.end();
+    }
+);
+
+tap.test(
+    'parseHeaders: X-Requested-With and X-Wap-Profile should be reported',
+    (t) => {
+        const headers = {
+            'user-agent':android,
+            'x-requested-with':'com.example.app',
+            'x-wap-profile':'"http://wap.samsungmobile.com/uaprof/GT-I9250.xml"'
+        };
+
+        let ret = config.udgerParser.parseHeaders(headers);
+        t.equal(ret['user_agent']['app_package'], 'com.example.app');
+        t.equal(ret['user_agent']['wap_profile'], 'http://wap.samsungmobile.com/uaprof/GT-I9250.xml');
+
+        ret = config.udgerParser.parseHeaders(headers, { json:true });
+        t.equal(ret.userAgent.app.package, 'com.example.app');
+        t.equal(ret.userAgent.device.wapProfile, 'http://wap.samsungmobile.com/uaprof/GT-I9250.xml');
+
+        ret = config.udgerParser.parseHeaders({ 'user-agent':android, 'x-requested-with':'XMLHttpRequest' });
+        t.equal(ret['user_agent']['app_package'], '');
+        t.end();
+    }
+);
+
+tap.test(
+    'parseHeaders: client hints should refine the result',
+    (t) => {
+        const ret = config.udgerParser.parseHeaders({ 'user-agent':android, 'sec-ch-ua-model':'"Galaxy Nexus"' });
+        t.equal(ret['user_agent']['device_marketname'], 'Galaxy Nexus');
+        t.same(ret['user_agent']['client_hints'], ['device_marketname']);
+        t.end();
+    }
+);
+
+tap.test(
+    'parseHeaders: helpers',
+    (t) => {
+        t.same(requestHeaders.normalizeHeaders({ 'User-Agent':'a', 'X-Original-User-Agent':['b', 'c'], 'X-Null':null }), {
+            'user-agent':'a',
+            'x-original-user-agent':'b, c'
+        });
+        t.same(requestHeaders.deviceUas({ 'user-agent':'a', 'device-stock-ua':'a', 'x-original-user-agent':'b', 'x-device-user-agent':'b' }), [
+            { header:'x-original-user-agent', ua:'b' }
+        ]);
+        t.equal(requestHeaders.appPackage(' com.android.chrome '), 'com.android.chrome');
+        t.equal(requestHeaders.appPackage('com'), '');
+        t.end();
+    }
+);
+
+tap.test(
+    'parseHeaders: bad input should throw',
+    (t) => {
+        t.throws(() => config.udgerParser.parseHeaders(), /parseHeaders\(\) is waiting for a request headers object/);
+        t.throws(() => config.udgerParser.parseHeaders('ua'), /parseHeaders\(\) is waiting for a request headers object/);
+        t.end();
+    }
+);
@@ -0,0 +1,91 @@
+const tap = require('tap');
+const config = require('./lib/config');
+
+const googleBot = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/55.0.2883.87 Safari/537.36';
+const googleIp = '66.249.64.73';
+const ovhIp = '2001:41d0:8:d54c::1';
+
+const items = [
+    { ua:googleBot, ip:googleIp },
+    { ua:chrome, ip:ovhIp },
+    { ua:googleBot },
+    { ip:googleIp },
+    { ua:chrome, ip:googleIp },
+    {}
+];
+
+tap.test(
+    'parseMany: results should be aligned to the input and equal to parse()',
+    (t) => {
+        for (const opts of [undefined, { json:true }, { json:true, full:true }]) {
+            const ret = config.udgerParser.parseMany(items, opts);
+            t.equal(ret.results.length, items.length);
+            ret.results.forEach((r, i) => {
+                t.same(r, config.udgerParser.parse(items[i], opts || {}));
+            });
+        }
+        t.end();
+    }
+);
+
+tap.test(
+    'parseMany: stats should count distinct ua and ip',
+    (t) => {
+        const stats = config.udgerParser.parseMany(items).stats;
+        t.equal(stats.count, 6);
+        t.equal(stats.uniqueUa, 2);
+        t.equal(stats.uniqueIp, 2);
+        t.type(stats.elapsed, 'number');
+        t.end();
+    }
+);
+
+tap.test(
+    'parseMany: identical ua should give results not sharing mutable objects',
+    (t) => {
+        const ret = config.udgerParser.parseMany([{ ua:googleBot, ip:googleIp }, { ua:googleBot, ip:googleIp }]);
+        t.same(ret.results[0], ret.results[1]);
+        t.equal(ret.stats.uniqueUa, 1);
+
+        ret.results[0].user_agent.ua = 'changed';
+        ret.results[0].ip_address.ip = 'changed';
+        t.equal(ret.results[1].user_agent.ua, 'Googlebot/2.1');
+        t.equal(ret.results[1].ip_address.ip, googleIp);
+        t.end();
+    }
+);
+
+tap.test(
+    'parseMany: should throw when the database is not connected',
+    (t) => {
+        const udgerParser = require('../')(config.db);
+        udgerParser.disconnect();
+        t.throws(() => udgerParser.parseMany([{ ua:googleBot }]), /Database not ready/);
+        t.end();
+    }
+);
+
+tap.test(
+    'parseMany: should accept an iterable',
+    (t) => {
+        function* gen() {
+            yield { ua:googleBot };
+            yield { ip:googleIp };
+        }
+        const ret = config.udgerParser.parseMany(gen(), { json:true });
+        t.equal(ret.results.length, 2);
+        t.equal(ret.results[0].userAgent.ua.class, 'crawler');
+        t.equal(ret.results[1].ipAddress.classification, 'crawler');
+        t.end();
+    }
+);
+
+tap.test(
+    'parseMany: should throw on bad input',
+    (t) => {
+        t.throws(() => config.udgerParser.parseMany(42), /waiting for an array or an iterable/);
+        t.throws(() => config.udgerParser.parseMany([{ foo:'bar' }]), /waiting for objects having only ip and\/or ua attribute/);
+        t.end();
+    }
+);
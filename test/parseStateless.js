@@ -0,0 +1,56 @@
+const tap = require('tap');
+const config = require('./lib/config');
+
+const myUa = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/62.0.3202.94 Safari/537.36';
+const myIp = '66.249.64.73';
+
+tap.test(
+    'Stateless: parse({ ua, ip }) should return the same result as set() + parse()',
+    (t) => {
+        config.udgerParser.set({ ua:myUa, ip:myIp });
+        t.same(config.udgerParser.parse({ ua:myUa, ip:myIp }), config.udgerParser.parse());
+        t.same(
+            config.udgerParser.parse({ ua:myUa, ip:myIp }, { json:true, full:true }),
+            config.udgerParser.parse({ json:true, full:true })
+        );
+        t.end();
+    }
+);
+
+tap.test(
+    'Stateless: parse({ ua, ip }) should not modify the data initialized by set()',
+    (t) => {
+        config.udgerParser.set({ ua:'Googlebot/2.1 (+http://www.google.com/bot.html)', ip:'192.168.0.1' });
+        const before = config.udgerParser.parse();
+
+        config.udgerParser.parse({ ua:myUa, ip:myIp });
+        config.udgerParser.parse({ ua:myUa }, { json:true });
+
+        t.equal(config.udgerParser.ua, 'Googlebot/2.1 (+http://www.google.com/bot.html)');
+        t.equal(config.udgerParser.ip, '192.168.0.1');
+        t.same(config.udgerParser.parse(), before);
+        t.end();
+    }
+);
+
+tap.test(
+    'Stateless: parseUa() and parseIp() should return udger and json formats',
+    (t) => {
+        const ua = config.udgerParser.parseUa(myUa);
+        t.equal(ua.udger.ua_family_code, 'chrome');
+        t.equal(ua.json.ua.family, 'chrome');
+
+        const ip = config.udgerParser.parseIp(myIp.toUpperCase(), { full:true });
+        t.equal(ip.udger.ip_classification_code, 'crawler');
+        t.equal(ip.json.classification.code, 'crawler');
+        t.end();
+    }
+);
+
+tap.test(
+    'Stateless: parse() should fail on unknown attribute',
+    (t) => {
+        t.throws(() => config.udgerParser.parse({ ua:myUa, foo:'bar' }, {}));
+        t.end();
+    }
+);
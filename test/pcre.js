@@ -0,0 +1,93 @@
+const tap = require('tap');
+const pcre = require('../lib/pcre');
+
+tap.test(
+    'PCRE: delimiters and modifiers',
+    (t) => {
+        t.same(pcre.parseDelimited('/^Mozilla\\/5/si '), { pattern: '^Mozilla\\/5', modifiers: 'si' });
+        t.same(pcre.parseDelimited('{a}i'), { pattern: 'a', modifiers: 'i' });
+        t.same(pcre.parseDelimited('#a/b#'), { pattern: 'a/b', modifiers: '' });
+        t.throws(() => pcre.parseDelimited('/abc'), 'should fail without ending delimiter');
+        t.throws(() => pcre.parseDelimited('/abc/k'), 'should fail with unknown modifier');
+        t.end();
+    }
+);
+
+tap.test(
+    'PCRE: possessive quantifiers and atomic groups',
+    (t) => {
+        t.notOk('aaab'.match(pcre.toRegExp('/a++ab/')), 'a++ should not give back');
+        t.ok('aaab'.match(pcre.toRegExp('/a+ab/')), 'a+ should give back');
+        t.notOk('abc'.match(pcre.toRegExp('/(?>a|ab)c/')), 'atomic group should not backtrack');
+
+        const e = 'xababc'.match(pcre.toRegExp('/(?>x)(ab)++(c)/'));
+        t.equal(e[1], 'ab', 'emulation groups should be hidden from the result');
+        t.equal(e[2], 'c');
+        t.equal(e.length, 3);
+
+        t.notOk('abcb'.match(pcre.toRegExp('/(a)(?>b)(c)\\2/')), 'backreferences should be renumbered');
+        t.ok('abcc'.match(pcre.toRegExp('/(a)(?>b)(c)\\2/')), 'backreferences should be renumbered');
+        t.end();
+    }
+);
+
+tap.test(
+    'PCRE: inline modifiers',
+    (t) => {
+        t.ok('ABC'.match(pcre.toRegExp('/(?i)abc/')), '(?i) at start should apply to the whole pattern');
+        t.ok('aBC'.match(pcre.toRegExp('/a(?i)bc/')));
+        t.notOk('ABC'.match(pcre.toRegExp('/a(?i)bc/')), '(?i) should apply after its position only');
+        t.ok('aBc'.match(pcre.toRegExp('/a(?i:b)c/')));
+        t.notOk('aBC'.match(pcre.toRegExp('/a(?i:b)c/')), '(?i:...) should apply inside the group only');
+        t.ok('Abc'.match(pcre.toRegExp('/a(?-i)bc/i')));
+        t.notOk('aBc'.match(pcre.toRegExp('/a(?-i)bc/i')));
+        t.ok('a\nb'.match(pcre.toRegExp('/a(?s).b/')));
+        t.notOk('a\nb'.match(pcre.toRegExp('/a.b/')));
+        t.ok('a bc'.match(pcre.toRegExp('/a (?x) b # comment\n c/')), 'x should ignore whitespace and comments');
+        t.end();
+    }
+);
+
+tap.test(
+    'PCRE: anchors',
+    (t) => {
+        t.ok('foo\n'.match(pcre.toRegExp('/foo$/')), '$ should match before a final newline');
+        t.notOk('foo\n'.match(pcre.toRegExp('/foo$/D')), '$ should not match before a final newline with D');
+        t.ok('foo\n'.match(pcre.toRegExp('/\\Afoo\\Z/')));
+        t.notOk('foo\n'.match(pcre.toRegExp('/\\Afoo\\z/')));
+        t.notOk('a\nfoo'.match(pcre.toRegExp('/\\Afoo/m')), '\\A should not match after a newline');
+        t.ok('a\nfoo'.match(pcre.toRegExp('/^foo/m')));
+        t.ok('foo bar'.match(pcre.toRegExp('/bar/A')) === null, 'A modifier should anchor the pattern');
+        t.end();
+    }
+);
+
+tap.test(
+    'PCRE: escapes and classes',
+    (t) => {
+        t.ok('☺'.match(pcre.toRegExp('/\\x{263A}/u')));
+        t.ok('😀'.match(pcre.toRegExp('/^\\x{1F600}$/u')));
+        t.ok('a.*b'.match(pcre.toRegExp('/a\\Q.*\\Eb/')));
+        t.ok('x1'.match(pcre.toRegExp('/[[:alpha:]][[:digit:]]/')));
+        t.ok(']'.match(pcre.toRegExp('/[]a]/')), '] first in a class should be a literal');
+        t.ok('a\r\nb'.match(pcre.toRegExp('/a\\Rb/')));
+        t.notOk(' '.match(pcre.toRegExp('/\\s/')), '\\s should not match non ASCII spaces');
+        t.ok(' '.match(pcre.toRegExp('/\\h/')));
+        t.equal('aa'.match(pcre.toRegExp('/(?<x>a)\\k<x>/'))[1], 'a', 'named groups should be numbered');
+        t.end();
+    }
+);
+
+tap.test(
+    'PCRE: incompatibilities',
+    (t) => {
+        t.same(pcre.translate('/IEMobile ([0-9\\.]+)/si').issues, [], 'exact translation should have no issue');
+        t.ok(pcre.translate('/a\\Kb/').issues.length, '\\K should be reported');
+        t.ok(pcre.translate('/\\X/').issues.length, '\\X should be reported');
+        t.throws(() => pcre.translate('/(?|(a)|(b))/'), 'branch reset should not be supported');
+        t.throws(() => pcre.translate('/(a(?1)?)/'), 'recursion should not be supported');
+        t.throws(() => pcre.translate('/(?(1)a|b)/'), 'conditionals should not be supported');
+        t.throws(() => pcre.translate('/a(*SKIP)b/'), 'backtracking verbs should not be supported');
+        t.end();
+    }
+);
@@ -0,0 +1,117 @@
+const tap = require('tap');
+const config = require('./lib/config');
+const policy = require('../lib/policy');
+const createPolicy = require('../').createPolicy;
+
+const googleBot = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/55.0.2883.87 Safari/537.36';
+const googleIp = '66.249.64.73';
+const ovhIp = '2001:41d0:8:d54c::1';
+
+const rules = [
+    'deny if ip.classification in [fake_crawler, cgi_proxy]',
+    { name:'search engines', action:'allow', if:'crawler.category == search_engine_bot' },
+    'challenge if datacenter and ua.class == browser'
+];
+
+tap.test(
+    'policy: first matching rule should win, in every format',
+    (t) => {
+        const p = createPolicy({ rules, default:'allow' });
+
+        for (const opts of [{}, { json:true }, { json:true, full:true }]) {
+            let ret = p.evaluate(config.udgerParser.parse({ ua:googleBot, ip:ovhIp }, opts));
+            t.equal(ret.action, 'deny');
+            t.same(ret.rule, { index:0, name:rules[0], action:'deny', source:rules[0] });
+
+            ret = p.evaluate(config.udgerParser.parse({ ua:googleBot, ip:googleIp }, opts));
+            t.equal(ret.action, 'allow');
+            t.equal(ret.rule.name, 'search engines');
+            t.equal(ret.rule.source, 'allow if crawler.category == search_engine_bot');
+
+            ret = p.evaluate(config.udgerParser.parse({ ua:chrome, ip:googleIp }, opts));
+            t.equal(ret.action, 'challenge');
+            t.equal(ret.rule.index, 2);
+
+            t.same(p.evaluate(config.udgerParser.parse({ ua:chrome }, opts)), { action:'allow', rule:null });
+        }
+        t.end();
+    }
+);
+
+tap.test(
+    'policy: conditions',
+    (t) => {
+        const result = config.udgerParser.parse({ ua:googleBot, ip:googleIp });
+        const test = (condition) => policy.compileCondition(condition)(result);
+
+        t.equal(test('ua.class == crawler'), true);
+        t.equal(test('ua.class != crawler'), false);
+        t.equal(test('ua.family == "googlebot"'), true);
+        t.equal(test('ip.country not in [FR, DE]'), true);
+        t.equal(test('ip.hostname matches /\\.googlebot\\.com$/'), true);
+        t.equal(test('ua matches /^mozilla/i'), false);
+        t.equal(test('os.code'), false);
+        t.equal(test('not os.code and datacenter'), true);
+        t.equal(test('ua.class == browser or ip.classification == crawler and datacenter'), true);
+        t.equal(test('(ua.class == browser or ip.classification == crawler) and os.code'), false);
+        t.equal(test('not (ua.class == browser)'), true);
+        t.equal(test('ip.version == 4 and ip.crawler.family == googlebot'), true);
+        t.end();
+    }
+);
+
+tap.test(
+    'policy: getField should read the udger and JSON formats',
+    (t) => {
+        for (const field of Object.keys(policy.FIELDS)) {
+            const expected = policy.getField(config.udgerParser.parse({ ua:googleBot, ip:googleIp }), field);
+            t.equal(policy.getField(config.udgerParser.parse({ ua:googleBot, ip:googleIp }, { json:true, full:true }), field), expected, field);
+        }
+        t.equal(policy.getField({}, 'ua.class'), '');
+        t.equal(policy.getField(null, 'ua.class'), '');
+        t.end();
+    }
+);
+
+tap.test(
+    'policy: rules, defaults and audit',
+    (t) => {
+        const p = createPolicy({
+            rules:[
+                { action:'deny', if:(r) => r['ip_address']['ip'] === '10.0.0.1' },
+                'deny'
+            ],
+            default:'challenge'
+        });
+
+        t.same(p.describe(), [
+            { index:0, name:'deny if <function>', action:'deny', source:'deny if <function>' },
+            { index:1, name:'deny', action:'deny', source:'deny' }
+        ]);
+        t.equal(p.evaluate(config.udgerParser.parse({ ip:'10.0.0.1' })).rule.index, 0);
+        t.equal(p.evaluate(config.udgerParser.parse({ ip:'10.0.0.2' })).rule.index, 1);
+
+        t.same(createPolicy([]).evaluate({}), { action:'allow', rule:null });
+        t.same(createPolicy({ rules:[], default:'challenge' }).evaluate({}), { action:'challenge', rule:null });
+        t.end();
+    }
+);
+
+tap.test(
+    'policy: invalid rules should throw',
+    (t) => {
+        t.throws(() => createPolicy(), /createPolicy\(\) is waiting for an array of rules/);
+        t.throws(() => createPolicy({ rules:[], default:'block' }), /Unknown default action block/);
+        t.throws(() => createPolicy(['block']), /Policy rule 0: unknown action block/);
+        t.throws(() => createPolicy(['allow', 42]), /Policy rule 1: a rule must be a string or an object/);
+        t.throws(() => createPolicy(['deny if foo == 1']), /unknown field foo at 0/);
+        t.throws(() => createPolicy(['deny if ua.class ==']), /unexpected end, expected a value/);
+        t.throws(() => createPolicy(['deny if (ua.class == x']), /unexpected end, expected \)/);
+        t.throws(() => createPolicy(['deny if ua.class in [a b]']), /unexpected "b" at 14, expected \] or ,/);
+        t.throws(() => createPolicy(['deny if ua.class == x datacenter']), /expected and, or or the end/);
+        t.throws(() => createPolicy(['deny if ua matches chrome']), /expected a \/regex\//);
+        t.throws(() => createPolicy([{ action:'deny', if:42 }]), /condition must be a string or a function/);
+        t.end();
+    }
+);
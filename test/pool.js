@@ -0,0 +1,142 @@
+const tap = require('tap');
+const path = require('path');
+const config = require('./lib/config');
+
+const db = path.resolve(__dirname, 'db/udgerdb_v3_test.dat');
+const UdgerPool = require('../').UdgerPool;
+
+const myUa = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const myIp = '66.249.64.73';
+
+tap.test(
+    'Pool: parse() should resolve with the parser result',
+    async (t) => {
+        const pool = new UdgerPool(db, { size:2 });
+
+        for (const opts of [{}, { json:true }, { json:true, full:true }]) {
+            t.same(
+                await pool.parse({ ua:myUa, ip:myIp }, opts),
+                config.udgerParser.parse({ ua:myUa, ip:myIp }, opts)
+            );
+        }
+
+        t.same(await pool.parseUa(myUa), config.udgerParser.parseUa(myUa));
+        t.same(await pool.parseIp(myIp), config.udgerParser.parseIp(myIp));
+        t.same(await pool.parseHeaders({ 'user-agent':myUa }), config.udgerParser.parseHeaders({ 'user-agent':myUa }));
+
+        await pool.close();
+    }
+);
+
+tap.test(
+    'Pool: least-busy strategy should spread the tasks',
+    async (t) => {
+        const pool = new UdgerPool(db, { size:2, strategy:'least-busy' });
+
+        const tasks = [pool.parse({ ua:myUa }), pool.parse({ ip:myIp })];
+        t.same(pool.workers.map((w) => w.pending.size), [1, 1]);
+
+        const results = await Promise.all(tasks);
+        t.equal(results[0].user_agent.ua_class_code, 'crawler');
+        t.equal(results[1].ip_address.ip_classification_code, 'crawler');
+
+        await pool.close();
+    }
+);
+
+tap.test(
+    'Pool: unknown strategy should throw',
+    async (t) => {
+        t.throws(() => new UdgerPool(db, { strategy:'random' }), /Unknown strategy random/);
+    }
+);
+
+tap.test(
+    'Pool: crashed worker should be restarted',
+    async (t) => {
+        const pool = new UdgerPool(db, { size:2 });
+
+        // one task per worker, so both are ready
+        await Promise.all([pool.parse({ ua:myUa }), pool.parse({ ua:myUa })]);
+
+        const restarted = new Promise((resolve) => pool.once('restart', resolve));
+        await pool.workers[0].terminate();
+        t.equal(await restarted, 0);
+
+        t.equal(pool.workers.length, 2);
+        const results = await Promise.all([pool.parse({ ip:myIp }), pool.parse({ ip:myIp })]);
+        results.forEach((r) => t.equal(r.ip_address.ip_classification_code, 'crawler'));
+
+        await pool.close();
+    }
+);
+
+tap.test(
+    'Pool: close() should wait for pending tasks then reject new ones',
+    async (t) => {
+        const pool = new UdgerPool(db, { size:1 });
+
+        const pending = pool.parse({ ua:myUa });
+        const closed = pool.close();
+
+        t.equal((await pending).user_agent.ua_class_code, 'crawler');
+        await closed;
+        t.equal(pool.workers.length, 0);
+        await t.rejects(pool.parse({ ua:myUa }), /Pool is closed/);
+    }
+);
+
+tap.test(
+    'Pool: worker failing at startup should emit error',
+    async (t) => {
+        const pool = new UdgerPool(path.resolve(__dirname, 'db/notfound.dat'), { size:1 });
+        pool.on('error', () => {});
+
+        await t.rejects(pool.parse({ ua:myUa }), /unable to open database file/);
+        await pool.close();
+    }
+);
+
+let hasThreads = true;
+try {
+    require('worker_threads');
+} catch (e) {
+    hasThreads = false;
+}
+
+tap.test(
+    'Pool: threads option should parse in a worker thread',
+    { skip: !hasThreads && 'worker_threads not available' },
+    async (t) => {
+        // better-sqlite3 must not be loaded yet by the main thread
+        const script = [
+            'const UdgerPool = require(' + JSON.stringify(path.resolve(__dirname, '../lib/pool')) + ');',
+            'const pool = new UdgerPool(' + JSON.stringify(db) + ', { size:1, threads:true });',
+            'pool.parseUa(' + JSON.stringify(myUa) + ')',
+            '.then((r) => console.log(r.udger.ua_class_code))',
+            '.then(() => pool.close());'
+        ].join('\n');
+
+        const out = require('child_process').execFileSync(process.execPath, ['-e', script]);
+        t.equal(out.toString().trim(), 'crawler');
+    }
+);
+
+tap.test(
+    'Pool: the snapshot engine should use worker threads by default',
+    { skip: !hasThreads && 'worker_threads not available' },
+    async (t) => {
+        const file = path.join(require('os').tmpdir(), 'udger-pool-' + process.pid + '.snapshot');
+        require('../').buildSnapshot(db, file);
+        t.tearDown(() => require('fs').unlinkSync(file));
+
+        const pool = new UdgerPool(file, { size:1, engine:'snapshot' });
+        t.equal(pool.threads, true);
+        t.same(await pool.parseUa(myUa), config.udgerParser.parseUa(myUa));
+        await pool.close();
+
+        const sqlitePool = new UdgerPool(db, { size:1 });
+        t.equal(sqlitePool.threads, false, 'child processes with the sqlite engine');
+        await sqlitePool.close();
+    }
+);
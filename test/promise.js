@@ -0,0 +1,63 @@
+const tap = require('tap');
+const config = require('./lib/config');
+
+const myUa = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const myIp = '66.249.64.73';
+
+tap.test(
+    'Promise: info() should resolve with database info',
+    async (t) => {
+        const result = await config.udgerParser.info();
+        t.equal(result.version, '20170106-01');
+    }
+);
+
+tap.test(
+    'Promise: helpers should return a promise without callback',
+    async (t) => {
+        t.equal((await config.udgerParser.randomUACrawlers(5)).length, 5);
+        t.equal((await config.udgerParser.randomUAClients(5)).length, 5);
+        t.ok((await config.udgerParser.getUAClientsClassification()).length);
+        t.ok((await config.udgerParser.getUACrawlersClassification()).length);
+        t.ok((await config.udgerParser.getUACrawlersFamilies()).length);
+        t.ok((await config.udgerParser.getIPsClassification()).length);
+        t.same(await config.udgerParser.getIncompatibleRegexes(), []);
+        await t.rejects(config.udgerParser.randomIPv4(), /Please specify maximum number of records/);
+        await t.rejects(config.udgerParser.randomIPv4('10'), /Maximum number of records is not a number/);
+    }
+);
+
+tap.test(
+    'Promise: parseAsync() should resolve with the parse() result',
+    async (t) => {
+        const opts = { json:true, full:true };
+        t.same(await config.udgerParser.parseAsync({ ua:myUa, ip:myIp }, opts), config.udgerParser.parse({ ua:myUa, ip:myIp }, opts));
+        t.same(await config.udgerParser.parseUaAsync(myUa), config.udgerParser.parseUa(myUa));
+        t.same(await config.udgerParser.parseIpAsync(myIp), config.udgerParser.parseIp(myIp));
+    }
+);
+
+tap.test(
+    'Promise: should reject when database is not ready',
+    async (t) => {
+        config.udgerParser.disconnect();
+        await t.rejects(config.udgerParser.info(), /Database not ready/);
+        await t.rejects(config.udgerParser.randomUACrawlers(5), /Database not ready/);
+        await t.rejects(config.udgerParser.parseAsync({ ua:myUa }), /Database not ready/);
+        await t.rejects(config.udgerParser.parseUaAsync(myUa), /Database not ready/);
+        await t.rejects(config.udgerParser.parseIpAsync(myIp), /Database not ready/);
+        config.udgerParser.connect();
+    }
+);
+
+tap.test(
+    'Callback: should still be called with an error when database is not ready',
+    (t) => {
+        config.udgerParser.disconnect();
+        config.udgerParser.getDatabaseInfo((err) => {
+            t.equal(err.message, 'Database not ready');
+            config.udgerParser.connect();
+            t.end();
+        });
+    }
+);
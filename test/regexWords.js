@@ -0,0 +1,64 @@
+const tap = require('tap');
+const config = require('./lib/config');
+
+const myUa = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/62.0.3202.94 Safari/537.36';
+
+tap.test(
+    'Regex words: findWords() should return the words contained in the User-Agent',
+    (t) => {
+        const words = config.udgerParser.findWords('udger_client_regex_words', myUa);
+        const ids = {};
+
+        config.udgerParser.regexWords['udger_client_regex_words'].forEach((w) => {
+            ids[w.word] = w.id;
+        });
+
+        t.ok(words.has(0), 'should always contain 0 (no word required)');
+        t.ok(words.has(ids['mozilla']), 'should contain "mozilla"');
+        t.ok(words.has(ids['chrome']), 'should contain "chrome" (case insensitive)');
+        t.notOk(words.has(ids['firefox']), 'should not contain "firefox"');
+        t.end();
+    }
+);
+
+tap.test(
+    'Regex words: words cache should be reset by disconnect()',
+    (t) => {
+        config.udgerParser.disconnect();
+        t.same(config.udgerParser.regexWords, {});
+        config.udgerParser.connect();
+        t.end();
+    }
+);
+
+tap.test(
+    'Regex words: results should equal a scan of every regex in sequence order',
+    (t) => {
+        const udgerParser = require('../')(config.udgerParser.file, { engine:config.engine });
+        const fullScan = require('../')(config.udgerParser.file, { engine:config.engine });
+        // every regex is tested, as without the udger_*_regex_words prefilter
+        fullScan.findWords = () => ({ has: () => true });
+
+        const uas = [
+            myUa,
+            'Mozilla/5.0 (Windows NT 6.1; WOW64; rv:40.0) Gecko/20100101 Firefox/40.1',
+            'Mozilla/5.0 (iPhone; CPU iPhone OS 10_3_1 like Mac OS X) AppleWebKit/603.1.30 (KHTML, like Gecko) Version/10.0 Mobile/14E304 Safari/602.1',
+            'Mozilla/5.0 (Linux; Android 7.0; SM-G930V Build/NRD90M) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/59.0.3071.125 Mobile Safari/537.36',
+            'Mozilla/5.0 (compatible; MSIE 9.0; Windows Phone OS 7.5; Trident/5.0; IEMobile/9.0; NOKIA; Lumia 800)',
+            'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_12_6) AppleWebKit/603.3.8 (KHTML, like Gecko) Version/10.1.2 Safari/603.3.8',
+            // words of an alternative: phone for (CE|Phone), luna and xenta for (Luna TAB|Xenta TAB|Xenta\-TAB)
+            'Mozilla/4.0 (compatible; MSIE 4.01; Windows CE; PPC; 240x320)',
+            'Mozilla/5.0 (Linux; Android 4.2.2; Luna TAB7.85 Build/JDQ39) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/30.0.0.0 Safari/537.36'
+        ];
+        udgerParser.randomUACrawlers(1000, (err, rows) => rows.forEach((r) => uas.push(r.ua_string)));
+        udgerParser.randomUAClients(1000, (err, rows) => rows.forEach((r) => uas.push(r.randomUA)));
+
+        uas.forEach((ua) => {
+            t.same(udgerParser.parseUa(ua, { json:true, full:true }), fullScan.parseUa(ua, { json:true, full:true }), ua);
+        });
+
+        udgerParser.disconnect();
+        fullScan.disconnect();
+        t.end();
+    }
+);
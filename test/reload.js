@@ -0,0 +1,193 @@
+const tap = require('tap');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./lib/config');
+const tmpDb = require('./lib/tmpDb');
+
+const myUa = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const myIp = '66.249.64.73';
+
+/**
+ * Open a parser with the engine of the tests
+ * @param {String} file - database file
+ * @param {Object} [opts] - options
+ * @return {UdgerParser} parser
+ */
+function udger(file, opts) {
+    return require('../')(file, Object.assign({ engine:config.engine }, opts));
+}
+
+tap.test(
+    'Reload: reload() should swap the database and emit reload',
+    async (t) => {
+        const file = tmpDb(t);
+        const dir = path.dirname(file);
+        fs.copySync(file, path.join(dir, 'new.dat'));
+
+        const parser = udger(file);
+        const oldDb = parser.db;
+        const events = [];
+        parser.on('reload', (info) => events.push(info));
+
+        const info = await parser.reload(path.join(dir, 'new.dat'));
+
+        t.equal(info.file, path.join(dir, 'new.dat'));
+        t.equal(info.previousFile, file);
+        t.equal(typeof info.version, 'string');
+        t.ok(info.compileTime >= 0);
+        t.same(events, [info]);
+
+        t.equal(parser.file, path.join(dir, 'new.dat'));
+        t.notEqual(parser.db, oldDb);
+        t.equal(oldDb.open, false);
+        t.equal(parser.parse({ ua:myUa })['user_agent']['ua_family_code'], 'googlebot');
+
+        // without a path, the current file is opened again
+        t.equal((await parser.reload()).file, path.join(dir, 'new.dat'));
+
+        parser.disconnect();
+    }
+);
+
+tap.test(
+    'Reload: a bad database should emit reloadError and keep the old one',
+    async (t) => {
+        const file = tmpDb(t);
+        const dir = path.dirname(file);
+        fs.writeFileSync(path.join(dir, 'bad.dat'), 'not a database');
+
+        const parser = udger(file);
+        const db = parser.db;
+        const errors = [];
+        parser.on('reloadError', (err) => errors.push(err));
+
+        await t.rejects(parser.reload(path.join(dir, 'bad.dat')));
+        await t.rejects(parser.reload(path.join(dir, 'missing.dat')));
+
+        t.equal(errors.length, 2);
+        t.equal(parser.db, db);
+        t.equal(parser.file, file);
+        t.equal(parser.parse({ ua:myUa })['user_agent']['ua_family_code'], 'googlebot');
+
+        parser.disconnect();
+    }
+);
+
+tap.test(
+    'Reload: reload() should clear the caches',
+    async (t) => {
+        const parser = udger(tmpDb(t));
+
+        parser.setCacheEnable(true);
+        parser.parse({ ua:myUa, ip:myIp });
+        t.equal(parser.parse({ ua:myUa, ip:myIp })['from_cache'], true);
+
+        await parser.reload();
+
+        t.equal(parser.getCacheStats().ua.size, 0);
+        t.equal(parser.getCacheStats().ip.size, 0);
+        t.equal(parser.parse({ ua:myUa, ip:myIp })['from_cache'], false);
+
+        parser.disconnect();
+    }
+);
+
+tap.test(
+    'Reload: concurrent reloads should run one after the other',
+    async (t) => {
+        const file = tmpDb(t);
+        const dir = path.dirname(file);
+        fs.copySync(file, path.join(dir, 'new.dat'));
+
+        const parser = udger(file);
+        const files = [];
+        parser.on('reload', (info) => files.push(info.file));
+
+        await Promise.all([parser.reload(path.join(dir, 'new.dat')), parser.reload(file)]);
+
+        t.same(files, [path.join(dir, 'new.dat'), file]);
+        t.equal(parser.file, file);
+
+        parser.disconnect();
+    }
+);
+
+tap.test(
+    'Reload: requests in flight should end on the old database',
+    async (t) => {
+        const parser = udger(tmpDb(t));
+        const oldDb = parser.db;
+
+        let unblock;
+        const blocked = new Promise((resolve) => {
+            unblock = resolve;
+        });
+        const store = new Map();
+
+        parser.setCacheAdapter({
+            async: true,
+            get: (key) => blocked.then(() => store.get(key)),
+            set: (key, value) => {
+                store.set(key, value);
+            },
+            delete: (key) => {
+                store.delete(key);
+            },
+            clear: () => store.clear()
+        });
+
+        const inFlight = parser.parseAsync({ ua:myUa });
+        await parser.reload();
+
+        t.notEqual(parser.db, oldDb);
+        t.equal(oldDb.open, true, 'the old database is kept for the request');
+
+        unblock();
+        const ret = await inFlight;
+
+        t.equal(ret['user_agent']['ua_family_code'], 'googlebot');
+        t.equal(oldDb.open, false, 'the old database is closed after the request');
+        t.equal(store.size, 0, 'the old database result is not cached');
+
+        t.equal((await parser.parseAsync({ ua:myUa }))['user_agent']['ua_family_code'], 'googlebot');
+        t.equal(store.size, 1);
+
+        parser.disconnect();
+    }
+);
+
+tap.test(
+    'Reload: watch() should reload when the file is replaced',
+    async (t) => {
+        const file = tmpDb(t);
+        const dir = path.dirname(file);
+        const parser = udger(file, { watch: { interval:20, debounce:10 } });
+        const oldDb = parser.db;
+
+        t.ok(parser.watcher);
+
+        // the watcher does not keep the process alive, the timeout does
+        let timer;
+        const reloaded = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('no reload')), 5000);
+            parser.once('reload', resolve);
+        });
+
+        // one poll of the watcher, then as the updater does, write a new file and rename it over the old one
+        await new Promise((resolve) => setTimeout(resolve, 40));
+        fs.copySync(file, path.join(dir, 'new.dat'));
+        fs.renameSync(path.join(dir, 'new.dat'), file);
+
+        const info = await reloaded;
+        clearTimeout(timer);
+
+        t.equal(info.file, file);
+        t.notEqual(parser.db, oldDb);
+        t.equal(parser.parse({ ua:myUa })['user_agent']['ua_family_code'], 'googlebot');
+
+        t.equal(parser.unwatch(), true);
+        t.equal(parser.unwatch(), false);
+
+        parser.disconnect();
+    }
+);
@@ -0,0 +1,167 @@
+const tap = require('tap');
+const http = require('http');
+const path = require('path');
+const config = require('./lib/config');
+const startServer = require('../').startServer;
+
+const db = path.resolve(__dirname, 'db/udgerdb_v3_test.dat');
+const myUa = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const myIp = '66.249.64.73';
+
+/**
+ * Send a request to the server
+ * @param {Object} server - listening http.Server
+ * @param {String} method - http method
+ * @param {String} path - path and query
+ * @param {*} [body] - JSON body or raw string
+ * @return {Promise} resolved with { status, body }
+ */
+function request(server, method, path, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port: server.address().port, method, path }, (res) => {
+            let data = '';
+            res.on('data', (d) => data += d);
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+        });
+        req.on('error', reject);
+        if (body !== undefined) req.write(typeof body === 'string' ? body : JSON.stringify(body));
+        req.end();
+    });
+}
+
+tap.test(
+    'server: routes',
+    async (t) => {
+        const server = await startServer({
+            db:config.udgerParser.file, engine:config.engine, port:0, host:'127.0.0.1', cacheSize:100
+        });
+        t.tearDown(() => server.close());
+
+        let ret = await request(server, 'GET', '/parse?ua=' + encodeURIComponent(myUa) + '&ip=' + myIp + '&format=json');
+        t.equal(ret.status, 200);
+        t.same(ret.body, config.udgerParser.parse({ ua:myUa, ip:myIp }, { json:true }));
+
+        ret = await request(server, 'POST', '/parse', { ua:myUa, format:'full' });
+        t.same(ret.body, config.udgerParser.parse({ ua:myUa }, { json:true, full:true }));
+
+        const hints = { 'sec-ch-ua-platform':'"Android"' };
+        ret = await request(server, 'POST', '/parse', { ua:myUa, hints });
+        t.same(ret.body, config.udgerParser.parse({ ua:myUa, hints }));
+
+        ret = await request(server, 'POST', '/parse/batch', { items:[{ ua:myUa }, { ip:myIp }, { ua:myUa }] });
+        t.equal(ret.body.results.length, 3);
+        t.same(ret.body.results[1], config.udgerParser.parse({ ip:myIp }, {}));
+        t.equal(ret.body.stats.uniqueUa, 1);
+
+        ret = await request(server, 'GET', '/info');
+        t.equal(ret.body.version, '20170106-01');
+
+        ret = await request(server, 'GET', '/classifications/crawlers');
+        t.same(ret.body, await config.udgerParser.getUACrawlersClassification());
+
+        ret = await request(server, 'GET', '/health');
+        t.equal(ret.body.status, 'ok');
+        t.equal(ret.body.db.connected, true);
+        t.equal(ret.body.db.engine, config.engine);
+        t.equal(ret.body.db.version, '20170106-01');
+        t.equal(ret.body.db.lastUpdate, '2017-01-06T08:09:53.000Z');
+        t.same(ret.body.cache, {
+            enabled:true,
+            ua:{ hits:1, misses:3, evictions:0, expirations:0, size:3, max:100, ttl:0 },
+            ip:{ hits:1, misses:1, evictions:0, expirations:0, size:1, max:100, ttl:0 }
+        });
+    }
+);
+
+tap.test(
+    'server: structured errors',
+    async (t) => {
+        const server = await startServer({ parser:config.udgerParser, port:0, host:'127.0.0.1', bodyLimit:100 });
+        t.tearDown(() => server.close());
+
+        const expect = async (method, path, body, status, code) => {
+            const ret = await request(server, method, path, body);
+            t.equal(ret.status, status, method + ' ' + path);
+            t.equal(ret.body.error.code, code);
+            t.type(ret.body.error.message, 'string');
+        };
+
+        await expect('GET', '/parse', undefined, 400, 'BAD_INPUT');
+        await expect('GET', '/parse?ua=x&format=xml', undefined, 400, 'BAD_FORMAT');
+        await expect('POST', '/parse', '{bad', 400, 'BAD_JSON');
+        await expect('POST', '/parse', { ua:42 }, 400, 'BAD_INPUT');
+        await expect('POST', '/parse', { ua:'x', hints:'x' }, 400, 'BAD_INPUT');
+        await expect('POST', '/parse', { ua:'x'.repeat(200) }, 413, 'BODY_TOO_LARGE');
+        await expect('POST', '/parse/batch', { items:'x' }, 400, 'BAD_INPUT');
+        await expect('POST', '/parse/batch', 'null', 400, 'BAD_INPUT');
+        await expect('POST', '/parse/batch', '42', 400, 'BAD_INPUT');
+        await expect('POST', '/parse', 'null', 400, 'BAD_INPUT');
+        await expect('POST', '/parse/batch', [{ ua:'x' }, {}], 400, 'BAD_INPUT');
+        await expect('GET', '/classifications/foo', undefined, 404, 'NOT_FOUND');
+        await expect('GET', '/foo', undefined, 404, 'NOT_FOUND');
+        await expect('DELETE', '/parse', undefined, 405, 'METHOD_NOT_ALLOWED');
+    }
+);
+
+tap.test(
+    'server: database not ready',
+    async (t) => {
+        const parser = require('../')(db);
+        const server = await startServer({ parser, port:0, host:'127.0.0.1' });
+        t.tearDown(() => server.close());
+
+        parser.disconnect();
+
+        let ret = await request(server, 'GET', '/parse?ua=x');
+        t.equal(ret.status, 503);
+        t.equal(ret.body.error.code, 'DB_NOT_READY');
+
+        ret = await request(server, 'GET', '/health');
+        t.equal(ret.status, 503);
+        t.equal(ret.body.status, 'error');
+        t.equal(ret.body.db.connected, false);
+    }
+);
+
+tap.test(
+    'server: startServer needs a database',
+    async (t) => {
+        await t.rejects(startServer({ port:0 }), /startServer\(\) needs a db or a parser option/);
+    }
+);
+
+tap.test(
+    'server: watch option should watch the database until the server is closed',
+    async (t) => {
+        const parser = require('../')(db);
+        const server = await startServer({ parser, port:0, host:'127.0.0.1', watch:{ interval:1000 } });
+
+        t.equal(parser.watcher.file, db);
+        t.same(parser.watcher.opts, { interval:1000 });
+
+        await new Promise((resolve) => server.close(resolve));
+        t.equal(parser.watcher, null);
+
+        parser.disconnect();
+    }
+);
+
+tap.test(
+    'server: health should work with a snapshot given as bytes',
+    async (t) => {
+        const os = require('os');
+        const fs = require('fs');
+        const file = path.join(os.tmpdir(), 'udger-server-' + process.pid + '.snapshot');
+        require('../').buildSnapshot(db, file);
+        const bytes = new Uint8Array(fs.readFileSync(file));
+        fs.unlinkSync(file);
+
+        const parser = require('../lite')(bytes);
+        const server = await startServer({ parser, port:0, host:'127.0.0.1' });
+        t.tearDown(() => server.close());
+
+        const ret = await request(server, 'GET', '/health');
+        t.equal(ret.status, 200);
+        t.match(ret.body, { status:'ok', db:{ file:null, engine:'snapshot', connected:true, version:'20170106-01' } });
+    }
+);
@@ -0,0 +1,182 @@
+const tap = require('tap');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const config = require('./lib/config');
+const udger = require('../');
+const sqlite = require('../lib/engines/sqlite');
+const snapshot = require('../lib/engines/snapshot');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'udger-'));
+const file = path.join(dir, 'udger.snapshot');
+const built = udger.buildSnapshot(config.db, file);
+
+tap.tearDown(() => fs.removeSync(dir));
+
+/**
+ * Write a changed copy of the snapshot
+ * @param {Function} change - called with the snapshot lines, returns the new ones
+ * @return {String} file
+ */
+function changed(change) {
+    const out = path.join(dir, 'changed.snapshot');
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    fs.writeFileSync(out, change(lines).join('\n'));
+    return out;
+}
+
+tap.test(
+    'Snapshot: buildSnapshot should write every table of the database',
+    (t) => {
+        const header = JSON.parse(fs.readFileSync(file, 'utf8').split('\n')[0]);
+
+        t.match(built, { file, version:'20170106-01', tables:22 });
+        t.equal(built.bytes, fs.statSync(file).size);
+        t.match(header, { format:'udger-snapshot', formatVersion:1, version:'20170106-01', lastUpdate:1483690193 });
+        t.equal(fs.readdirSync(dir).length, 1, 'no temporary file left');
+        t.end();
+    }
+);
+
+tap.test(
+    'Snapshot: the snapshot engine should return the same rows as the sqlite engine',
+    (t) => {
+        const db = sqlite.open(config.db).db;
+        const snap = snapshot.open(file).db;
+        const a = sqlite.prepare(db);
+        const b = snapshot.prepare(snap);
+        const rows = (sql) => db.prepare(sql).all();
+
+        const same = (name, args) => {
+            args.forEach((arg) => {
+                const params = Array.isArray(arg) ? arg : [arg];
+                const expected = a[name].get.apply(a[name], params);
+                const found = b[name].get.apply(b[name], params);
+                if (!util.isDeepStrictEqual(found, expected)) {
+                    t.same(found, expected, name + ' ' + JSON.stringify(arg));
+                }
+            });
+            t.pass(name + ' for ' + args.length + ' values');
+        };
+
+        [
+            'datacenterRanges', 'datacenter6Ranges',
+            'clientRegex', 'osRegex', 'deviceclassRegex', 'devicenameRegex',
+            'clientRegexWords', 'osRegexWords', 'deviceclassRegexWords',
+            'clientClasses', 'crawlerClasses', 'crawlerFamilies', 'ipClasses'
+        ].forEach((name) => t.same(b[name].all(), a[name].all(), name));
+        t.same(b.dbInfo.get(), a.dbInfo.get(), 'dbInfo');
+
+        same('crawler', rows('SELECT ua_string FROM udger_crawler_list').map((r) => r.ua_string).concat('unknown'));
+        same('clientOsRelation', rows('SELECT id FROM udger_client_list').map((r) => r.id).concat(-1));
+        same('clientClassDevice', rows('SELECT id FROM udger_client_class').map((r) => r.id).concat(-1));
+        same('devicename', rows('SELECT regex_id, code FROM udger_devicename_list').map((r) => [r.regex_id, r.code]));
+        same('ip', rows('SELECT ip FROM udger_ip_list').map((r) => r.ip).concat('10.0.0.1', '::1'));
+
+        const osNames = rows('SELECT name FROM udger_os_list').map((r) => r.name);
+        same('hintsOs', osNames.map((name) => [name, name + ' %']).concat(
+            [['windows', 'windows %'], ['Android', 'Android %'], ['iOS', 'ios %'], ['none', 'none %']]
+        ));
+        same('hintsDeviceclass', rows('SELECT name_code FROM udger_deviceclass_list').map((r) => r.name_code));
+        same('hintsDevicename', rows('SELECT code FROM udger_devicename_list').map((r) => r.code).concat('none'));
+
+        const crawlers = new Set(rows('SELECT ua_string FROM udger_crawler_list').map((r) => r.ua_string));
+        const random = b.randomCrawlers.all(5);
+        t.equal(random.length, 5);
+        t.ok(random.every((r) => crawlers.has(r.ua_string)));
+        t.ok(b.randomIPv4.all(3).every((r) => /^\d+\.\d+\.\d+\.\d+$/.test(r.ip)));
+        t.equal(b.randomClientRegexes.all(2).length, 2);
+
+        db.close();
+        snap.close();
+        t.equal(snap.open, false);
+        t.end();
+    }
+);
+
+tap.test(
+    'Snapshot: parsing should give the same results with both engines',
+    async (t) => {
+        const a = udger(config.db);
+        const b = udger(file, { engine:'snapshot' });
+
+        t.equal(b.engine, 'snapshot');
+        t.same(b.dbInfo, a.dbInfo);
+
+        const inputs = (await a.randomUACrawlers(20)).map((r) => ({ ua:r.ua_string }))
+            .concat((await a.randomIPv4(20)).map((r) => ({ ip:r.ip })))
+            .concat([
+                { ua:'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/60.0.3112.113 Safari/537.36' },
+                { ua:'Mozilla/5.0 (compatible; MSIE 9.0; Windows Phone OS 7.5; Trident/5.0; IEMobile/9.0; NOKIA; Lumia 800)' },
+                { ip:'2a02:598:111::9' },
+                { ip:'108.61.199.93' }
+            ]);
+
+        inputs.forEach((input) => {
+            t.same(b.parse(input, { full:true }), a.parse(input, { full:true }), JSON.stringify(input));
+        });
+
+        a.disconnect();
+        b.disconnect();
+    }
+);
+
+tap.test(
+    'Snapshot: opening a file with the wrong engine should throw an IncompatibleDatabaseError',
+    (t) => {
+        t.throws(() => udger(config.db, { engine:'snapshot' }), {
+            code:'INCOMPATIBLE_DATABASE',
+            message:config.db + ' is a SQLite database, build a snapshot with udger build-snapshot'
+        });
+        t.throws(() => udger(file), {
+            code:'INCOMPATIBLE_DATABASE',
+            message:file + ' is an udger snapshot, use the snapshot engine'
+        });
+        t.throws(() => udger(file, { engine:'mysql' }), /Unknown engine mysql, expected sqlite or snapshot/);
+        t.end();
+    }
+);
+
+tap.test(
+    'Snapshot: a damaged snapshot should throw an udger database error',
+    (t) => {
+        const open = (change) => () => snapshot.open(changed(change));
+
+        t.throws(open((lines) => ['{"format":"other"}'].concat(lines.slice(1))), {
+            code:'INCOMPATIBLE_DATABASE', message:/is not an udger snapshot$/
+        });
+        t.throws(open((lines) => [lines[0].replace('"formatVersion":1', '"formatVersion":2')].concat(lines.slice(1))), {
+            code:'INCOMPATIBLE_DATABASE', message:/is a version 2 snapshot, expected 1, build it again/
+        });
+        t.throws(open((lines) => lines.slice(0, 4)), {
+            code:'CORRUPT_DATABASE', message:/is not a readable udger snapshot: truncated table udger_client_class$/
+        });
+        t.throws(open((lines) => lines.slice(0, Math.floor(lines.length / 2))), {
+            code:'CORRUPT_DATABASE', message:/truncated table/
+        });
+        t.throws(open((lines) => [lines[0], 'not json'].concat(lines.slice(2))), {
+            code:'CORRUPT_DATABASE', message:/is not a readable udger snapshot: /
+        });
+        t.throws(open(() => []), { code:'CORRUPT_DATABASE', message:/empty file/ });
+
+        const missing = open((lines) => {
+            const i = lines.findIndex((l) => l.indexOf('{"table":"udger_os_regex_words"') === 0);
+            return lines.slice(0, i).concat(lines.slice(i + 1 + JSON.parse(lines[i]).rows));
+        });
+        t.throws(missing, { code:'INCOMPATIBLE_DATABASE', missing:['udger_os_regex_words'] });
+        t.end();
+    }
+);
+
+tap.test(
+    'Snapshot: load() should read a snapshot from memory',
+    (t) => {
+        const bytes = new Uint8Array(fs.readFileSync(file));
+        const snap = snapshot.load(bytes);
+
+        t.same(snap.info, config.udgerParser.dbInfo);
+        t.throws(() => snapshot.load(bytes.subarray(0, 10)), { file:'snapshot', code:'CORRUPT_DATABASE' });
+        t.end();
+    }
+);
@@ -0,0 +1,150 @@
+const tap = require('tap');
+const config = require('./lib/config');
+const CrawlerVerifier = require('../lib/crawlerVerify').CrawlerVerifier;
+
+const googleBot = 'Googlebot/2.1 (+http://www.google.com/bot.html)';
+const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/55.0.2883.87 Safari/537.36';
+
+/**
+ * Local DNS resolver stub
+ * @param {Object} ptr - hostnames by IP
+ * @param {Object} a - IPs by hostname
+ * @return {Object} resolver, calls counts the queries
+ */
+function stubResolver(ptr, a) {
+    const resolver = { calls:0 };
+    const answer = (map, name) => {
+        resolver.calls++;
+        if (map[name] instanceof Error) return Promise.reject(map[name]);
+        if (!map[name]) {
+            const err = new Error('queryA ENOTFOUND ' + name);
+            err.code = 'ENOTFOUND';
+            return Promise.reject(err);
+        }
+        return Promise.resolve(map[name]);
+    };
+    resolver.reverse = (ip) => answer(ptr, ip);
+    resolver.resolve4 = (host) => answer(a, host);
+    resolver.resolve6 = (host) => answer(a, host);
+    return resolver;
+}
+
+const resolver = stubResolver({
+    '66.249.66.1': ['crawl-66-249-66-1.googlebot.com'],
+    '1.2.3.4': ['evil.example.com'],
+    '5.6.7.8': ['crawl-5-6-7-8.googlebot.com'],
+    '2001:4860:4801:10::1': ['crawl.googlebot.com'],
+    '9.9.9.9': Object.assign(new Error('querySERVFAIL'), { code:'ESERVFAIL' })
+}, {
+    'crawl-66-249-66-1.googlebot.com': ['66.249.66.1'],
+    'crawl-5-6-7-8.googlebot.com': ['66.249.66.2'],
+    'crawl.googlebot.com': ['2001:4860:4801:0010:0000:0000:0000:0001']
+});
+
+config.udgerParser.setCrawlerVerification({ resolver });
+
+tap.test(
+    'verifyCrawler: forward-confirmed reverse DNS should verify the crawler',
+    async (t) => {
+        let ret = await config.udgerParser.verifyCrawler(googleBot, '66.249.66.1');
+        t.equal(ret['ip_address']['crawler_verification'], 'verified');
+        t.equal(ret['ip_address']['crawler_verification_hostname'], 'crawl-66-249-66-1.googlebot.com');
+        t.equal(ret['user_agent']['ua_class_code'], 'crawler');
+
+        ret = await config.udgerParser.verifyCrawler(googleBot, '2001:4860:4801:10::1', { json:true });
+        t.same(ret.ipAddress.crawlerVerification, { status:'verified', hostname:'crawl.googlebot.com' });
+    }
+);
+
+tap.test(
+    'verifyCrawler: wrong domain, forward mismatch and no PTR should fail',
+    async (t) => {
+        let ret = await config.udgerParser.verifyCrawler(googleBot, '1.2.3.4');
+        t.equal(ret['ip_address']['crawler_verification'], 'failed');
+        t.equal(ret['ip_address']['crawler_verification_hostname'], 'evil.example.com');
+
+        ret = await config.udgerParser.verifyCrawler(googleBot, '5.6.7.8');
+        t.equal(ret['ip_address']['crawler_verification'], 'failed');
+        t.equal(ret['ip_address']['crawler_verification_hostname'], 'crawl-5-6-7-8.googlebot.com');
+
+        ret = await config.udgerParser.verifyCrawler(googleBot, '10.0.0.1', { json:true, full:true });
+        t.same(ret.ipAddress.crawlerVerification, { status:'failed' });
+    }
+);
+
+tap.test(
+    'verifyCrawler: clients should not be verified',
+    async (t) => {
+        const calls = resolver.calls;
+        const ret = await config.udgerParser.verifyCrawler(chrome, '66.249.66.1');
+        t.equal(ret['ip_address']['crawler_verification'], 'not_crawler');
+        t.equal(ret['user_agent'].ua_class_code, 'browser');
+        t.equal(resolver.calls, calls, 'no DNS query');
+    }
+);
+
+tap.test(
+    'verifyCrawler: verdicts should be cached, DNS errors should not',
+    async (t) => {
+        const r = stubResolver({
+            '66.249.66.1': ['crawl-66-249-66-1.googlebot.com'],
+            '9.9.9.9': Object.assign(new Error('querySERVFAIL'), { code:'ESERVFAIL' })
+        }, {
+            'crawl-66-249-66-1.googlebot.com': ['66.249.66.1']
+        });
+
+        const verifier = new CrawlerVerifier({ resolver:r });
+        const all = await Promise.all([verifier.verify('googlebot', '66.249.66.1'), verifier.verify('googlebot', '66.249.66.1')]);
+        t.same(all[0], { status:'verified', hostname:'crawl-66-249-66-1.googlebot.com' });
+        t.same(all[1], all[0]);
+        t.equal(r.calls, 2, 'one reverse and one forward query');
+
+        await verifier.verify('googlebot', '66.249.66.1');
+        t.equal(r.calls, 2, 'cached');
+
+        await t.rejects(verifier.verify('googlebot', '9.9.9.9'), /SERVFAIL/);
+        await t.rejects(verifier.verify('googlebot', '9.9.9.9'), /SERVFAIL/);
+        t.equal(r.calls, 4, 'errors are not cached');
+
+        t.same(await verifier.verify('pingometer', '66.249.66.1'), { status:'unknown', hostname:'' });
+
+        verifier.clear();
+        await verifier.verify('googlebot', '66.249.66.1');
+        t.equal(r.calls, 6);
+    }
+);
+
+tap.test(
+    'verifyCrawler: expired verdicts, cache size and timeout',
+    async (t) => {
+        const r = stubResolver({ '66.249.66.1': ['crawl.googlebot.com'], '66.249.66.2': ['crawl.googlebot.com'] }, {
+            'crawl.googlebot.com': ['66.249.66.1']
+        });
+
+        let verifier = new CrawlerVerifier({ resolver:r, ttl:1 });
+        await verifier.verify('googlebot', '66.249.66.1');
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        await verifier.verify('googlebot', '66.249.66.1');
+        t.equal(r.calls, 4, 'expired');
+
+        verifier = new CrawlerVerifier({ resolver:r, cacheSize:1 });
+        await verifier.verify('googlebot', '66.249.66.1');
+        await verifier.verify('googlebot', '66.249.66.2');
+        t.equal(verifier.cache.size, 1);
+
+        verifier = new CrawlerVerifier({ resolver:{ reverse:() => new Promise(() => {}) }, timeout:10 });
+        await t.rejects(verifier.verify('googlebot', '66.249.66.1'), /timed out/);
+
+        verifier = new CrawlerVerifier({ resolver:r, domains:{ pingometer:['googlebot.com'] } });
+        t.equal((await verifier.verify('pingometer', '66.249.66.1')).status, 'verified');
+    }
+);
+
+tap.test(
+    'verifyCrawler: bad input and DNS errors should reject',
+    async (t) => {
+        await t.rejects(config.udgerParser.verifyCrawler(googleBot), /verifyCrawler\(\) is waiting for an User-Agent and a valid IP address/);
+        await t.rejects(config.udgerParser.verifyCrawler(googleBot, 'foo'), /valid IP address/);
+        await t.rejects(config.udgerParser.verifyCrawler(googleBot, '9.9.9.9'), /SERVFAIL/);
+    }
+);
@@ -1,12 +1,9 @@
 const Address6 = require('ip-address').Address6;
 const Address4 = require('ip-address').Address4;
+const pcre = require('./lib/pcre');
 
 function phpRegexpToJs(str) {
-    let re = str.replace(/^\//, '').trim();
-    let flags = re.match(/\/([a-z]{0,3})$/);
-    flags = flags[1].replace(/s/, '');
-    re = re.replace(/\/[a-z]{0,3}$/, '');
-    return new RegExp(re, flags);
+    return pcre.toRegExp(str);
 }
 
 function getIpVersion(ip) {